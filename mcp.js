@@ -0,0 +1,20 @@
+// MCP stdio entry point (Claude Desktop and other MCP clients spawn this process).
+// stdout carries JSON-RPC frames, so everything else must write to stderr.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Clients launch us from arbitrary directories; data/ paths are cwd-relative
+process.chdir(path.dirname(fileURLToPath(import.meta.url)));
+dotenv.config();
+process.env.MCP_TRANSPORT = 'stdio';
+console.log = console.error;
+
+const { TokenStore } = await import('./src/config/tokenStore.js');
+const { HeadlessAuth } = await import('./src/services/headlessAuth.js');
+const { startStdioServer } = await import('./src/mcp/server.js');
+
+await TokenStore.init();
+// Org profiles with auth.flow jwt | client_credentials get their tokens here too (refresh timers are unref'd)
+await HeadlessAuth.start();
+await startStdioServer();
@@ -6,6 +6,7 @@ import generateLLMRoute from './src/routes/generateLLM.js';
 import authRoute from './src/routes/auth.js';
 import configApi from './src/config/configApi.js';
 import exportRoute from './src/routes/export.js';
+import exportSchedulesRoute from './src/routes/exportSchedules.js';
 import streamRoute from './src/routes/stream.js';
 import promptRegistry from './src/config/promptRegistry.js';
 import describeRoute from './src/routes/describe.js';
@@ -13,16 +14,32 @@ import generateStreamRoute from './src/routes/generateStream.js';
 import clarifyRoute from './src/routes/clarify.js';
 import metricsRoute from './src/routes/metrics.js';
 import searchRoute from './src/routes/search.js';
+import reportsRoute from './src/routes/reports.js';
+import orgsRoute from './src/routes/orgs.js';
+import mcpRoute from './src/routes/mcp.js';
 import { logger } from './src/utils/logger.js';
 import { TokenStore } from './src/config/tokenStore.js';
+import { HeadlessAuth } from './src/services/headlessAuth.js';
+import { ExportQueue } from './src/services/exportQueue.js';
+import { ExportRetention } from './src/services/exportRetention.js';
+import { ExportScheduler } from './src/services/exportScheduler.js';
 
 dotenv.config();
 
 // Initialize token persistence (load from disk if present)
 await TokenStore.init();
+// Issue tokens for org profiles using the JWT bearer or client credentials flow
+await HeadlessAuth.start();
+// Resume or fail export jobs interrupted by the last shutdown
+await ExportQueue.init();
+// Delete expired exports and enforce per-org disk quotas in the background
+ExportRetention.start();
+// Recurring exports from data/schedules
+await ExportScheduler.start();
 
 const app = express();
-app.use(cors());
+// Browser-based MCP clients need to read the session header
+app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
 app.use(express.json({ limit: '2mb' }));
 // Serve static files from public/
 app.use(express.static('public'));
@@ -37,11 +54,17 @@ app.use('/v1', generateStreamRoute);
 app.use('/v1/clarify', clarifyRoute);
 app.use('/v1/metrics', metricsRoute);
 app.use('/v1/search', searchRoute);
+app.use('/v1/reports', reportsRoute);
+app.use('/v1/orgs', orgsRoute);
+
+// MCP Streamable HTTP transport
+app.use('/mcp', mcpRoute);
 
 // Legacy routes (maintain backward compatibility)
 app.use('/auth', authRoute);
 app.use('/', configApi);
 app.use('/', exportRoute);
+app.use('/', exportSchedulesRoute);
 app.use('/', streamRoute);
 app.use('/', promptRegistry);
 app.use('/', describeRoute);
@@ -51,6 +74,8 @@ app.use('/', generateStreamRoute);
 app.use('/clarify', clarifyRoute);
 app.use('/metrics', metricsRoute);
 app.use('/search', searchRoute);
+app.use('/reports', reportsRoute);
+app.use('/orgs', orgsRoute);
 
 const port = Number(process.env.PORT || 3000);
 app.listen(port, () => logger.info({ port }, 'MCP server listening'));
@@ -318,6 +318,31 @@ export async function loadBusinessContext(orgId) {
   }
 }
 
+/**
+ * Load query guidelines (data/configs/query-guidelines.json); {} when missing
+ */
+export async function loadQueryGuidelines() {
+  const cacheKey = 'query-guidelines';
+  const cached = configCache.get(cacheKey);
+
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.data;
+  }
+
+  let guidelines = {};
+  try {
+    const guidelinesPath = path.join(CONFIG_DIR, 'query-guidelines.json');
+    guidelines = JSON.parse(await fs.readFile(guidelinesPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to load query guidelines', { error: error.message });
+    }
+  }
+
+  configCache.set(cacheKey, { data: guidelines, timestamp: Date.now() });
+  return guidelines;
+}
+
 /**
  * Clear configuration cache
  */
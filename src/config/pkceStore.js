@@ -14,8 +14,8 @@ export const PkceStore = {
     if (!entry) return undefined;
     stateToEntry.delete(state);
     if (Date.now() > entry.expiresAt) return undefined;
-    const { codeVerifier, sessionId, orgId } = entry;
-    return { codeVerifier, sessionId, orgId };
+    const { expiresAt, ...rest } = entry;
+    return rest;
   }
 };
 
@@ -1,27 +1,104 @@
 import { Router } from 'express';
-import path from 'path';
-import { readJson, writeJson } from '../utils/fileStore.js';
+import {
+  listPrompts,
+  listLegacyPrompts,
+  listPromptVersions,
+  loadPrompt,
+  loadLegacyPrompt,
+  savePrompt,
+  saveLegacyPrompt,
+  renderPrompt
+} from './promptStore.js';
+import { logger } from '../utils/logger.js';
 
+// REST view of the versioned prompt registry (also served over MCP prompts/list, prompts/get)
 const router = Router();
-const baseDir = path.resolve(process.cwd(), 'data', 'prompts');
-const fileFor = (name) => path.join(baseDir, `${name}.json`);
 
+const summarize = (p) => ({
+  name: p.name,
+  title: p.title,
+  description: p.description,
+  latest: p.version,
+  versions: p.versions,
+  arguments: p.arguments || []
+});
+
+/**
+ * GET /prompts - List prompts stored under data/prompts
+ */
 router.get('/prompts', async (req, res) => {
-  // Minimal listing (no fs.readdir to keep simple in MVP)
-  res.json({ available: ['v1.0.0'] });
+  try {
+    const [prompts, legacy] = await Promise.all([listPrompts(), listLegacyPrompts()]);
+    res.json({
+      available: [...prompts.map(p => p.name), ...legacy],
+      prompts: prompts.map(summarize),
+      legacy
+    });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to list prompts');
+    res.status(500).json({ error: 'prompt_list_error', message: error.message });
+  }
 });
 
+/**
+ * GET /prompts/:name - Latest version (or ?version=x.y.z); falls back to legacy flat files
+ */
 router.get('/prompts/:name', async (req, res) => {
-  const cfg = await readJson(fileFor(req.params.name));
-  if (!cfg) return res.status(404).json({ error: 'not_found' });
-  res.json(cfg);
+  const prompt = await loadPrompt(req.params.name, req.query.version);
+  if (prompt) return res.json(prompt);
+  const legacy = req.query.version ? undefined : await loadLegacyPrompt(req.params.name);
+  if (!legacy) return res.status(404).json({ error: 'not_found' });
+  res.json(legacy);
 });
 
-router.put('/prompts/:name', async (req, res) => {
-  await writeJson(fileFor(req.params.name), req.body);
-  res.json({ ok: true });
+/**
+ * GET /prompts/:name/versions - Stored versions, oldest first
+ */
+router.get('/prompts/:name/versions', async (req, res) => {
+  const versions = await listPromptVersions(req.params.name);
+  if (!versions.length) return res.status(404).json({ error: 'not_found' });
+  res.json({ name: req.params.name, versions });
 });
 
-export default router;
+/**
+ * PUT /prompts/:name - Store a new version (body.version or next patch version).
+ * A JSON object without `messages` is the pre-versioning raw body: it is still written to
+ * the flat data/prompts/<name>.json file, with a Deprecation header.
+ */
+router.put('/prompts/:name', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (typeof body === 'object' && !Array.isArray(body) && !('messages' in body)) {
+      const legacy = await saveLegacyPrompt(req.params.name, body);
+      if (!legacy.ok) return res.status(legacy.error === 'versioned_prompt_exists' ? 409 : 400).json(legacy);
+      logger.warn({ name: req.params.name }, 'Saved legacy raw prompt body; send { messages, ... } to store a version');
+      res.setHeader('Deprecation', 'true');
+      return res.json({ ok: true, legacy: true, warning: 'Raw prompt bodies are deprecated; send a versioned definition with messages' });
+    }
+    const result = await savePrompt(req.params.name, body);
+    if (!result.ok) {
+      const status = result.error === 'version_exists' ? 409 : 400;
+      return res.status(status).json(result);
+    }
+    logger.info({ name: req.params.name, version: result.version }, 'Saved prompt version');
+    res.json(result);
+  } catch (error) {
+    logger.error({ name: req.params.name, error: error.message }, 'Failed to save prompt');
+    res.status(500).json({ error: 'prompt_save_error', message: error.message });
+  }
+});
 
+/**
+ * POST /prompts/:name/render - Render with typed arguments { arguments, version }
+ */
+router.post('/prompts/:name/render', async (req, res) => {
+  try {
+    const { arguments: args = {}, version } = req.body || {};
+    const { definition, values, messages } = await renderPrompt(req.params.name, args, version);
+    res.json({ name: definition.name, version: definition.version, arguments: values, messages });
+  } catch (error) {
+    res.status(400).json({ error: 'prompt_render_error', message: error.message });
+  }
+});
 
+export default router;
@@ -0,0 +1,222 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJson, writeJson } from '../utils/fileStore.js';
+import { validate } from '../utils/jsonSchema.js';
+
+// Versioned prompt templates: data/prompts/<name>/<version>.json
+// Versions are immutable; saving a new definition adds a version.
+const baseDir = path.resolve(process.cwd(), 'data', 'prompts');
+const promptDir = (name) => path.join(baseDir, name);
+const versionFile = (name, version) => path.join(promptDir(name), `${version}.json`);
+
+const NAME_RE = /^[a-z0-9][a-z0-9-]*$/i;
+const VERSION_RE = /^\d+\.\d+\.\d+$/;
+
+export const promptDefinitionSchema = {
+  type: 'object',
+  properties: {
+    version: { type: 'string', pattern: VERSION_RE.source },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    arguments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+          description: { type: 'string' },
+          type: { enum: ['string', 'integer', 'number', 'boolean', 'date'] },
+          required: { type: 'boolean' },
+          enum: { type: 'array', items: { type: 'string' } },
+          default: {}
+        },
+        required: ['name']
+      }
+    },
+    messages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          role: { enum: ['user', 'assistant'] },
+          text: { type: 'string' }
+        },
+        required: ['role', 'text']
+      }
+    }
+  },
+  required: ['messages']
+};
+
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
+}
+
+function bumpPatch(version) {
+  const [major, minor, patch] = version.split('.').map(Number);
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+async function readdirOrEmpty(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+/**
+ * Versions stored for a prompt, oldest first
+ */
+export async function listPromptVersions(name) {
+  if (!NAME_RE.test(name)) return [];
+  const entries = await readdirOrEmpty(promptDir(name));
+  return entries
+    .filter(e => e.isFile() && e.name.endsWith('.json'))
+    .map(e => path.basename(e.name, '.json'))
+    .filter(v => VERSION_RE.test(v))
+    .sort(compareVersions);
+}
+
+/**
+ * Load a prompt definition; latest version unless one is given
+ */
+export async function loadPrompt(name, version) {
+  const versions = await listPromptVersions(name);
+  if (!versions.length) return undefined;
+  const resolved = version || versions[versions.length - 1];
+  if (!versions.includes(resolved)) return undefined;
+  const def = await readJson(versionFile(name, resolved));
+  return def && { ...def, name, version: resolved, versions };
+}
+
+/**
+ * Enumerate every versioned prompt under data/prompts
+ */
+export async function listPrompts() {
+  const entries = await readdirOrEmpty(baseDir);
+  const names = entries.filter(e => e.isDirectory() && NAME_RE.test(e.name)).map(e => e.name).sort();
+  const prompts = await Promise.all(names.map(name => loadPrompt(name)));
+  return prompts.filter(Boolean);
+}
+
+/**
+ * Flat data/prompts/<name>.json files written before prompts were versioned
+ */
+export async function listLegacyPrompts() {
+  const entries = await readdirOrEmpty(baseDir);
+  return entries
+    .filter(e => e.isFile() && e.name.endsWith('.json'))
+    .map(e => path.basename(e.name, '.json'))
+    .sort();
+}
+
+export async function loadLegacyPrompt(name) {
+  if (!NAME_RE.test(name.replace(/\./g, '-'))) return undefined;
+  return readJson(path.join(baseDir, `${name}.json`));
+}
+
+/**
+ * Write a flat data/prompts/<name>.json file as PUT /prompts did before versioning (deprecated).
+ * Returns { ok } or { ok: false, error } when the name is taken by a versioned prompt.
+ */
+export async function saveLegacyPrompt(name, body) {
+  if (!NAME_RE.test(name.replace(/\./g, '-'))) return { ok: false, error: 'invalid_name' };
+  if ((await listPromptVersions(name)).length) return { ok: false, error: 'versioned_prompt_exists' };
+  await writeJson(path.join(baseDir, `${name}.json`), body);
+  return { ok: true };
+}
+
+/**
+ * Store a new version of a prompt. Returns { ok, version } or { ok: false, error, details }.
+ */
+export async function savePrompt(name, definition) {
+  if (!NAME_RE.test(name)) return { ok: false, error: 'invalid_name' };
+  const { ok, errors } = validate(promptDefinitionSchema, definition);
+  if (!ok) return { ok: false, error: 'invalid_prompt', details: errors };
+
+  const versions = await listPromptVersions(name);
+  const latest = versions[versions.length - 1];
+  const version = definition.version || (latest ? bumpPatch(latest) : '1.0.0');
+  if (versions.includes(version)) return { ok: false, error: 'version_exists', version };
+
+  await writeJson(versionFile(name, version), { ...definition, name, version, createdAt: new Date().toISOString() });
+  return { ok: true, version };
+}
+
+// Coerce a (string) argument value to its declared type
+function coerceArgument(spec, raw) {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const n = Number(value);
+      if (value === '' || !Number.isFinite(n) || (spec.type === 'integer' && !Number.isInteger(n))) {
+        throw new Error(`Argument ${spec.name} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      return n;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error(`Argument ${spec.name} must be true or false`);
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) throw new Error(`Argument ${spec.name} must be a YYYY-MM-DD date`);
+      return String(value);
+    default:
+      if (spec.enum && !spec.enum.includes(String(value))) {
+        throw new Error(`Argument ${spec.name} must be one of: ${spec.enum.join(', ')}`);
+      }
+      return String(value);
+  }
+}
+
+/**
+ * Resolve typed arguments against a prompt definition (defaults, required, coercion)
+ */
+export function resolvePromptArguments(definition, args = {}) {
+  const out = {};
+  for (const spec of definition.arguments || []) {
+    const raw = args[spec.name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.default !== undefined) out[spec.name] = spec.default;
+      else if (spec.required) throw new Error(`Missing required argument: ${spec.name}`);
+      continue;
+    }
+    out[spec.name] = coerceArgument(spec, raw);
+  }
+  return out;
+}
+
+// {{name}} substitutes a value; {{#name}}...{{/name}} keeps a block only when name is set (blocks may nest)
+export function renderTemplate(text, values) {
+  const isSet = (key) => values[key] !== undefined && values[key] !== false;
+  let out = text;
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, block) => (isSet(key) ? block : ''));
+  } while (out !== previous);
+  return out.replace(/\{\{(\w+)\}\}/g, (_, key) => (values[key] === undefined ? '' : String(values[key])));
+}
+
+/**
+ * Render a stored prompt into messages. Throws on unknown prompt or invalid arguments.
+ */
+export async function renderPrompt(name, args = {}, version) {
+  const definition = await loadPrompt(name, version);
+  if (!definition) throw new Error(`Unknown prompt: ${name}${version ? `@${version}` : ''}`);
+  const values = resolvePromptArguments(definition, args);
+  return {
+    definition,
+    values,
+    messages: definition.messages.map(m => ({ role: m.role, text: renderTemplate(m.text, values) }))
+  };
+}
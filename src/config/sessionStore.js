@@ -23,6 +23,9 @@ export const SessionStore = {
     const current = SessionStore.get(id);
     SessionStore.set(id, { ...current, ...patch });
   },
+  remove(id) {
+    mem.delete(id);
+  },
   
   // Add clarification answer
   addClarification(sessionId, question, answer) {
@@ -143,9 +143,38 @@ export const TokenStore = {
   remove(sessionId, orgId) {
     const byOrg = memory.get(sessionId);
     if (!byOrg) return;
+    const wasDefault = byOrg.get(orgId)?.isDefault;
     byOrg.delete(orgId);
     if (byOrg.size === 0) memory.delete(sessionId);
+    // Promote the next connection so the session keeps a default org
+    else if (wasDefault) byOrg.values().next().value.isDefault = true;
     persistToDisk().catch(() => {});
+  },
+  // [orgId, tokenContext] pairs connected in a session
+  list(sessionId) {
+    return Array.from(memory.get(sessionId)?.entries() || []);
+  },
+  // Shallow-merge connection metadata (label, loginUrl, ...) into a stored token
+  update(sessionId, orgId, patch) {
+    const token = this.get(sessionId, orgId);
+    if (!token) return undefined;
+    const next = { ...token, ...patch };
+    this.put(sessionId, orgId, next);
+    return next;
+  },
+  // Org used when a request names none: the one marked default, else the only connection
+  defaultOrgId(sessionId) {
+    const entries = this.list(sessionId);
+    const marked = entries.find(([, token]) => token?.isDefault);
+    if (marked) return marked[0];
+    return entries.length === 1 ? entries[0][0] : undefined;
+  },
+  setDefault(sessionId, orgId) {
+    const byOrg = memory.get(sessionId);
+    if (!byOrg?.has(orgId)) return false;
+    for (const [id, token] of byOrg.entries()) byOrg.set(id, { ...token, isDefault: id === orgId });
+    persistToDisk().catch(() => {});
+    return true;
   }
 };
 
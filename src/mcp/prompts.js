@@ -0,0 +1,39 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { listPrompts as listStoredPrompts, renderPrompt } from '../config/promptStore.js';
+
+// MCP arguments are untyped strings; surface the declared type in the description
+function describeArgument(spec) {
+  const hints = [spec.type && spec.type !== 'string' ? spec.type : undefined, spec.enum ? `one of ${spec.enum.join('|')}` : undefined]
+    .filter(Boolean);
+  const suffix = hints.length ? ` (${hints.join(', ')})` : '';
+  return { name: spec.name, description: `${spec.description || spec.name}${suffix}`, required: Boolean(spec.required) };
+}
+
+/**
+ * Latest version of every stored prompt, in MCP prompts/list shape
+ */
+export async function listPrompts() {
+  const prompts = await listStoredPrompts();
+  return prompts.map(p => ({
+    name: p.name,
+    title: p.title,
+    description: `${p.description || p.title || p.name} [v${p.version}]`,
+    arguments: (p.arguments || []).map(describeArgument)
+  }));
+}
+
+/**
+ * Render a prompt for prompts/get. `name@x.y.z` pins a stored version.
+ */
+export async function getPrompt(name, args = {}) {
+  const [promptName, version] = String(name).split('@');
+  try {
+    const { definition, messages } = await renderPrompt(promptName, args, version);
+    return {
+      description: `${definition.description || definition.title || definition.name} [v${definition.version}]`,
+      messages: messages.map(m => ({ role: m.role, content: { type: 'text', text: m.text } }))
+    };
+  } catch (err) {
+    throw new McpError(ErrorCode.InvalidParams, err.message);
+  }
+}
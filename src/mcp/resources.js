@@ -0,0 +1,155 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { loadOrgProfile, loadPersona, loadBusinessContext, listOrgProfiles, listPersonas } from '../config/configLoader.js';
+import { TokenStore } from '../config/tokenStore.js';
+import { DescribeCache } from '../services/describeCache.js';
+import { buildDescribeIndex } from '../services/schemaIndex.js';
+import { sfClient } from '../services/salesforce.js';
+
+// Shared files in data/configs that are not org profiles
+const SHARED_CONFIGS = new Set(['business-context', 'query-guidelines', 'technical-config']);
+
+const JSON_MIME = 'application/json';
+
+export const sobjectUri = (orgId, apiName) => `salesforce://${encodeURIComponent(orgId)}/sobjects/${encodeURIComponent(apiName)}`;
+const orgUri = (orgId) => `orion://orgs/${encodeURIComponent(orgId)}`;
+// data/configs/business-context.json is shared by every org, so it is one resource
+const BUSINESS_CONTEXT_URI = 'orion://business-context';
+const personaUri = (name) => `orion://personas/${encodeURIComponent(name)}`;
+
+export const resourceTemplates = [
+  {
+    uriTemplate: 'salesforce://{orgId}/sobjects/{apiName}',
+    name: 'sobject-describe',
+    description: 'Describe of a Salesforce object for an org connection: fields, types, picklists and relationships',
+    mimeType: JSON_MIME
+  },
+  {
+    uriTemplate: 'orion://orgs/{orgId}',
+    name: 'org-profile',
+    description: 'Org profile from data/configs: guardrails, synonyms, important objects',
+    mimeType: JSON_MIME
+  },
+  {
+    uriTemplate: 'orion://personas/{name}',
+    name: 'persona',
+    description: 'Response persona from data/personas',
+    mimeType: JSON_MIME
+  }
+];
+
+/**
+ * Concrete resources: the business context, every org profile and persona on disk, plus
+ * the objects currently held in the describe cache (use the template to read any other object).
+ */
+export async function listResources() {
+  const [orgIds, personas] = await Promise.all([listOrgProfiles(), listPersonas()]);
+  const profiles = orgIds.filter(id => !SHARED_CONFIGS.has(id));
+
+  return [
+    {
+      uri: BUSINESS_CONTEXT_URI,
+      name: 'Business context',
+      description: 'Business context used for LLM query generation: key objects, relationships and aggregation rules (shared by all orgs)',
+      mimeType: JSON_MIME
+    },
+    ...profiles.map(orgId => ({ uri: orgUri(orgId), name: `Org profile: ${orgId}`, mimeType: JSON_MIME })),
+    ...personas.map(name => ({ uri: personaUri(name), name: `Persona: ${name}`, mimeType: JSON_MIME })),
+    ...DescribeCache.entries().map(({ orgId, objectApiName }) => ({
+      uri: sobjectUri(orgId, objectApiName),
+      name: `${objectApiName} (${orgId})`,
+      mimeType: JSON_MIME
+    }))
+  ];
+}
+
+function parseUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return undefined;
+  }
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const host = decodeURIComponent(url.hostname);
+
+  if (url.protocol === 'salesforce:' && segments.length === 2 && segments[0] === 'sobjects') {
+    return { kind: 'sobject', orgId: host, apiName: segments[1] };
+  }
+  if (url.protocol === 'orion:' && host === 'orgs' && segments.length === 1) {
+    return { kind: 'org', orgId: segments[0] };
+  }
+  if (url.protocol === 'orion:' && host === 'business-context' && segments.length === 0) {
+    return { kind: 'business-context' };
+  }
+  if (url.protocol === 'orion:' && host === 'personas' && segments.length === 1) {
+    return { kind: 'persona', name: segments[0] };
+  }
+  return undefined;
+}
+
+// Compact describe shape: enough for an agent to write SOQL without the raw payload
+function summarizeDescribe(orgId, d) {
+  return {
+    orgId,
+    apiName: d.name,
+    label: d.label,
+    labelPlural: d.labelPlural,
+    custom: d.custom,
+    queryable: d.queryable,
+    fields: (d.fields || []).map(f => ({
+      name: f.name,
+      label: f.label,
+      type: f.type,
+      nillable: f.nillable,
+      filterable: f.filterable,
+      ...(f.relationshipName && { relationshipName: f.relationshipName, referenceTo: f.referenceTo }),
+      ...(f.picklistValues?.length && { picklistValues: f.picklistValues.filter(p => p.active).map(p => p.value) })
+    })),
+    childRelationships: (d.childRelationships || [])
+      .filter(cr => cr.relationshipName)
+      .map(cr => ({ relationshipName: cr.relationshipName, childSObject: cr.childSObject, field: cr.field }))
+  };
+}
+
+async function readSObject(orgId, apiName, sessionId) {
+  let describe = DescribeCache.get(orgId, apiName);
+  if (!describe) {
+    const tokenCtx = TokenStore.get(sessionId, orgId) || { instanceUrl: process.env.SF_INSTANCE_URL, accessToken: process.env.SF_ACCESS_TOKEN };
+    if (!tokenCtx?.instanceUrl || !tokenCtx?.accessToken) {
+      throw new McpError(ErrorCode.InvalidRequest, `missing_salesforce_token for org ${orgId}`);
+    }
+    const sf = sfClient({ ...tokenCtx, sessionId, orgId });
+    // buildDescribeIndex populates DescribeCache, which notifies subscribers
+    const index = await buildDescribeIndex(sf, [apiName], { orgId });
+    describe = index.objects[apiName]?.describe;
+    if (!describe) throw new McpError(ErrorCode.InvalidParams, `Unable to describe ${apiName} in org ${orgId}`);
+  }
+  return summarizeDescribe(orgId, describe);
+}
+
+/**
+ * Read a resource by URI. `context.sessionId` selects the Salesforce tokens used
+ * when an object is not yet in the describe cache.
+ */
+export async function readResource(uri, context = {}) {
+  const parsed = parseUri(uri);
+  if (!parsed) throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+
+  let data;
+  switch (parsed.kind) {
+    case 'sobject':
+      data = await readSObject(parsed.orgId, parsed.apiName, context.sessionId || 'dev');
+      break;
+    case 'org':
+      data = await loadOrgProfile(parsed.orgId);
+      break;
+    case 'business-context':
+      data = await loadBusinessContext();
+      break;
+    case 'persona':
+      data = await loadPersona(parsed.name);
+      break;
+  }
+
+  return { contents: [{ uri, mimeType: JSON_MIME, text: JSON.stringify(data, null, 2) }] };
+}
@@ -0,0 +1,60 @@
+// In-process dispatcher for Express routers.
+// MCP tools run the exact REST handlers (same validation, security checks and
+// payload shapes) without an HTTP round trip.
+
+export function invokeRoute(router, { method = 'GET', path = '/', body = {}, query = {}, headers = {}, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve(result);
+    };
+
+    const req = {
+      method: method.toUpperCase(),
+      url: path,
+      originalUrl: path,
+      path,
+      body,
+      query,
+      headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+      get(name) { return this.headers[String(name).toLowerCase()]; },
+      onProgress
+    };
+
+    const res = {
+      statusCode: 200,
+      headers: {},
+      headersSent: false,
+      locals: {},
+      status(code) { this.statusCode = code; return this; },
+      setHeader(name, value) { this.headers[String(name).toLowerCase()] = value; },
+      getHeader(name) { return this.headers[String(name).toLowerCase()]; },
+      json(payload) {
+        this.headersSent = true;
+        finish({ status: this.statusCode, body: payload });
+        return this;
+      },
+      send(payload) { return this.json(payload); },
+      end() {
+        this.headersSent = true;
+        finish({ status: this.statusCode, body: undefined });
+        return this;
+      },
+      redirect(url) {
+        this.statusCode = 302;
+        return this.json({ redirect: url });
+      }
+    };
+
+    try {
+      router(req, res, (err) => {
+        if (err) return reject(err);
+        finish({ status: 404, body: { error: 'not_found', path } });
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
@@ -0,0 +1,102 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { listTools, callTool } from './tools.js';
+import { listResources, resourceTemplates, readResource, sobjectUri } from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { DescribeCache } from '../services/describeCache.js';
+import { PROGRESS_PHASES } from '../utils/progress.js';
+import { logger } from '../utils/logger.js';
+
+export const SERVER_INFO = { name: 'orion-salesforce-mcp-server', version: '1.0.0' };
+
+/**
+ * Build an MCP server exposing the query pipeline as tools, org schema/config as resources
+ * and the prompt registry as prompts.
+ * Transport-agnostic: callers connect it to stdio or HTTP.
+ */
+export function createMcpServer() {
+  const server = new Server(SERVER_INFO, {
+    capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {} }
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listTools() }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    return callTool(name, args || {}, {
+      sessionId: extra.sessionId,
+      onProgress: progressReporter(extra)
+    });
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: await listPrompts() }));
+  server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+    getPrompt(request.params.name, request.params.arguments || {})
+  );
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: await listResources() }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) =>
+    readResource(request.params.uri, { sessionId: extra.sessionId })
+  );
+
+  // Describe cache refreshes become resources/updated for subscribed URIs;
+  // newly cached objects change the resource list
+  const subscriptions = new Set();
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+  const unsubscribeCache = DescribeCache.subscribe((orgId, objectApiName, { isNew }) => {
+    const uri = sobjectUri(orgId, objectApiName);
+    if (subscriptions.has(uri)) server.sendResourceUpdated({ uri }).catch(() => {});
+    if (isNew) server.sendResourceListChanged().catch(() => {});
+  });
+  server.onclose = () => {
+    unsubscribeCache();
+    subscriptions.clear();
+  };
+
+  return server;
+}
+
+// Forward route phases as notifications/progress when the client sent a progressToken
+function progressReporter(extra) {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+  return (phase) => {
+    const index = PROGRESS_PHASES.indexOf(phase);
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress: index >= 0 ? index + 1 : 0,
+        total: PROGRESS_PHASES.length,
+        message: phase
+      }
+    }).catch(() => {});
+  };
+}
+
+export async function startStdioServer() {
+  const server = createMcpServer();
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  logger.info({ transport: 'stdio' }, 'MCP server connected');
+  return server;
+}
@@ -0,0 +1,227 @@
+import generateLLMRoute from '../routes/generateLLM.js';
+import searchRoute from '../routes/search.js';
+import describeRoute from '../routes/describe.js';
+import exportRoute from '../routes/export.js';
+import reportsRoute from '../routes/reports.js';
+import { invokeRoute } from './routeInvoker.js';
+import { logger } from '../utils/logger.js';
+
+// Shared connection arguments; defaults mirror the REST routes
+const connectionProperties = {
+  org_id: { type: 'string', description: 'Org profile / connection id (data/configs/<org_id>.json)', default: 'default' },
+  sessionId: { type: 'string', description: 'Session whose Salesforce tokens should be used (defaults to the MCP session, else "dev")' }
+};
+
+/**
+ * MCP tool catalog. Each tool maps its arguments onto an existing REST handler
+ * so REST and MCP clients get identical behavior.
+ */
+export const tools = [
+  {
+    name: 'query_salesforce',
+    description: 'Answer a natural-language question about Salesforce data. Generates SOQL/SOSL with the LLM pipeline, enforces security policy and FLS, and returns a table or text answer with the executed query in metadata.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'Natural-language question, e.g. "inventory by location for Dow\'s"' },
+        ...connectionProperties,
+        persona: { type: 'string', description: 'Persona name from data/personas' },
+        org_ids: { type: 'array', items: { type: 'string' }, description: 'Optional connected orgs to run the query in; rows are merged with an _orgId column' }
+      },
+      required: ['question']
+    },
+    route: generateLLMRoute,
+    toRequest: (args) => ({
+      method: 'POST',
+      path: '/',
+      // With org_ids the plan is built against the first of them
+      body: { user_question: args.question, org_id: args.org_ids?.length ? undefined : args.org_id, org_ids: args.org_ids, sessionId: args.sessionId, persona: args.persona }
+    })
+  },
+  {
+    name: 'search_salesforce',
+    description: 'Run a cross-object SOSL search for a term and return matching records grouped by object.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search_term: { type: 'string', description: 'Text to search for across objects' },
+        ...connectionProperties,
+        objects: { type: 'array', items: { type: 'string' }, description: 'Optional object API names to restrict the search to' },
+        limit: { type: 'integer', minimum: 1, maximum: 2000, default: 200 },
+        org_ids: { type: 'array', items: { type: 'string' }, description: 'Optional connected orgs to search; records carry an _orgId field' }
+      },
+      required: ['search_term']
+    },
+    route: searchRoute,
+    toRequest: (args) => ({
+      method: 'POST',
+      path: '/cross-object',
+      body: { search_term: args.search_term, org_id: args.org_ids?.length ? undefined : args.org_id, org_ids: args.org_ids, sessionId: args.sessionId, objects: args.objects, limit: args.limit }
+    })
+  },
+  {
+    name: 'describe_sobject',
+    description: 'Describe a Salesforce object: fields, types, name field and parent relationships.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        object: { type: 'string', description: 'Object API name, e.g. owsc__Item_Lot__c' },
+        ...connectionProperties
+      },
+      required: ['object']
+    },
+    route: describeRoute,
+    toRequest: (args) => ({
+      method: 'GET',
+      path: `/describe/${encodeURIComponent(args.object)}`,
+      query: { org_id: args.org_id, sessionId: args.sessionId }
+    })
+  },
+  {
+    name: 'export_records',
+    description: 'Start an asynchronous export of a SOQL query to a file. Returns an exportId; poll get_export_status for progress and a signed download URL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        soql: { type: 'string', description: 'SOQL query to export' },
+        ...connectionProperties,
+        format: { type: 'string', enum: ['csv', 'csv.gz', 'xlsx', 'parquet', 'jsonl'], default: 'csv' },
+        maxRows: { type: 'integer', minimum: 1, default: 50000 },
+        mode: { type: 'string', enum: ['auto', 'bulk', 'rest'], default: 'auto', description: 'auto uses Bulk API 2.0 for CSV exports above EXPORT_BULK_THRESHOLD rows' },
+        children: { type: 'string', enum: ['count', 'json', 'explode'], default: 'count', description: 'How child subquery results are written: a count column, a JSON column, or one row per child record' },
+        callbackUrl: { type: 'string', description: 'Optional URL that receives a signed POST when the export finishes' }
+      },
+      required: ['soql']
+    },
+    route: exportRoute,
+    toRequest: (args) => ({
+      method: 'POST',
+      path: '/export',
+      body: { soql: args.soql, org_id: args.org_id, sessionId: args.sessionId, format: args.format, maxRows: args.maxRows, mode: args.mode, children: args.children, callbackUrl: args.callbackUrl }
+    })
+  },
+  {
+    name: 'get_export_status',
+    description: 'Get the status of an export started with export_records, including a signed download URL once complete.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        exportId: { type: 'string', description: 'Id returned by export_records' }
+      },
+      required: ['exportId']
+    },
+    route: exportRoute,
+    toRequest: (args) => ({
+      method: 'GET',
+      path: `/export/${encodeURIComponent(args.exportId)}/status`
+    })
+  },
+  {
+    name: 'cancel_export',
+    description: 'Cancel a queued or running export started with export_records. Its partial file is removed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        exportId: { type: 'string', description: 'Id returned by export_records' }
+      },
+      required: ['exportId']
+    },
+    route: exportRoute,
+    toRequest: (args) => ({
+      method: 'DELETE',
+      path: `/export/${encodeURIComponent(args.exportId)}`
+    })
+  },
+  {
+    name: 'list_reports',
+    description: 'List Salesforce reports visible to the connected user, optionally filtered by a search term in the name or description.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search: { type: 'string', description: 'Case-insensitive text to match in report names and descriptions' },
+        ...connectionProperties
+      }
+    },
+    route: reportsRoute,
+    toRequest: (args) => ({
+      method: 'GET',
+      path: '/',
+      query: { search: args.search, org_id: args.org_id, sessionId: args.sessionId }
+    })
+  },
+  {
+    name: 'run_report',
+    description: 'Run a Salesforce report through the Analytics API and return its rows as a table. Filters override the saved report filters on the same column for this run only.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        reportId: { type: 'string', description: 'Report Id (00O...) from list_reports' },
+        ...connectionProperties,
+        filters: {
+          type: 'array',
+          description: 'Filter overrides, e.g. [{ "column": "ACCOUNT.NAME", "operator": "equals", "value": "Acme" }]',
+          items: {
+            type: 'object',
+            properties: { column: { type: 'string' }, operator: { type: 'string' }, value: { type: 'string' } },
+            required: ['column', 'operator']
+          }
+        },
+        dateFilter: {
+          type: 'object',
+          description: 'Standard date filter override, e.g. { "durationValue": "THIS_MONTH" }',
+          properties: { durationValue: { type: 'string' } }
+        }
+      },
+      required: ['reportId']
+    },
+    route: reportsRoute,
+    toRequest: (args) => ({
+      method: 'POST',
+      path: `/${encodeURIComponent(args.reportId)}/run`,
+      body: { org_id: args.org_id, sessionId: args.sessionId, filters: args.filters, dateFilter: args.dateFilter }
+    })
+  }
+];
+
+export function listTools() {
+  return tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+// Fill in schema defaults so handlers see the same values REST callers would send
+function applyDefaults(inputSchema, args = {}) {
+  const out = { ...args };
+  for (const [key, prop] of Object.entries(inputSchema.properties || {})) {
+    if (out[key] === undefined && prop.default !== undefined) out[key] = prop.default;
+  }
+  return out;
+}
+
+/**
+ * Run a tool. `context.sessionId` is the transport session (Mcp-Session-Id over HTTP)
+ * and `context.onProgress` receives the shared progress phases from the route.
+ */
+export async function callTool(name, args = {}, context = {}) {
+  const tool = tools.find(t => t.name === name);
+  if (!tool) {
+    return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+  }
+
+  const missing = (tool.inputSchema.required || []).filter(k => args?.[k] === undefined || args?.[k] === '');
+  if (missing.length) {
+    return { content: [{ type: 'text', text: `Missing required argument(s): ${missing.join(', ')}` }], isError: true };
+  }
+
+  try {
+    const resolved = applyDefaults(tool.inputSchema, { ...args, sessionId: args.sessionId || context.sessionId || 'dev' });
+    const { status, body } = await invokeRoute(tool.route, { ...tool.toRequest(resolved), onProgress: context.onProgress });
+    if (context.onProgress) context.onProgress('done');
+    logger.info({ tool: name, status, sessionId: resolved.sessionId }, 'MCP tool call completed');
+    return {
+      content: [{ type: 'text', text: JSON.stringify(body, null, 2) }],
+      isError: status >= 400
+    };
+  } catch (err) {
+    logger.error({ tool: name, error: err?.message }, 'MCP tool call failed');
+    return { content: [{ type: 'text', text: `Tool ${name} failed: ${err?.message}` }], isError: true };
+  }
+}
@@ -2,24 +2,16 @@ import { Router } from 'express';
 import { oauthClient } from '../services/salesforceOAuth.js';
 import { TokenStore } from '../config/tokenStore.js';
 import { PkceStore } from '../config/pkceStore.js';
-import crypto from 'crypto';
-import axios from 'axios';
+import { HeadlessAuth } from '../services/headlessAuth.js';
+import { beginAuthorization, disconnect, saveConnection } from '../services/orgConnections.js';
 
 const router = Router();
 
 router.get('/login', (req, res) => {
-  const { SF_CLIENT_ID, SF_CLIENT_SECRET, SF_REDIRECT_URI } = process.env;
-  if (!SF_CLIENT_ID || !SF_CLIENT_SECRET || !SF_REDIRECT_URI) return res.status(500).json({ error: 'oauth_not_configured' });
-  const client = oauthClient({ clientId: SF_CLIENT_ID, clientSecret: SF_CLIENT_SECRET, redirectUri: SF_REDIRECT_URI });
-  const state = String(req.query.state || crypto.randomUUID());
-  const sessionId = String(req.query.sessionId || 'dev');
-  const orgId = String(req.query.orgId || 'default');
-  // Generate PKCE verifier and store by state alongside session identifiers
-  const codeVerifier = crypto.randomBytes(32).toString('base64url');
-  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-  PkceStore.put(state, { codeVerifier, sessionId, orgId });
-  const url = client.authUrl({ state, codeChallenge, scope: 'api refresh_token offline_access' });
-  res.redirect(url);
+  const { sessionId = 'dev', orgId = 'default', state, label, environment, loginUrl } = req.query || {};
+  const started = beginAuthorization({ sessionId: String(sessionId), orgId: String(orgId), state, label, environment, loginUrl });
+  if (started.error) return res.status(started.error === 'oauth_not_configured' ? 500 : 400).json({ error: started.error });
+  res.redirect(started.authUrl);
 });
 
 router.get('/callback', async (req, res) => {
@@ -28,14 +20,15 @@ router.get('/callback', async (req, res) => {
     if (!code) return res.status(400).json({ error: 'missing_code' });
 
     const { SF_CLIENT_ID, SF_CLIENT_SECRET, SF_REDIRECT_URI } = process.env;
-    const client = oauthClient({ clientId: SF_CLIENT_ID, clientSecret: SF_CLIENT_SECRET, redirectUri: SF_REDIRECT_URI });
     const state = String(req.query.state || '');
     const pkce = PkceStore.take(state);
+    // Exchange the code at the login URL the flow started on (production, sandbox or My Domain)
+    const client = oauthClient({ clientId: SF_CLIENT_ID, clientSecret: SF_CLIENT_SECRET, redirectUri: SF_REDIRECT_URI, loginUrl: pkce?.loginUrl });
     const token = await client.exchangeCode(code, pkce?.codeVerifier);
     const sid = pkce?.sessionId || 'dev';
     const oid = pkce?.orgId || 'default';
-    TokenStore.put(sid, oid, token);
-    res.json({ ok: true, sessionId: sid, orgId: oid, instanceUrl: token.instanceUrl });
+    const connection = saveConnection(sid, oid, token, { label: pkce?.label, environment: pkce?.environment, loginUrl: pkce?.loginUrl });
+    res.json({ ok: true, sessionId: sid, orgId: oid, instanceUrl: token.instanceUrl, connection });
   } catch (err) {
     res.status(500).json({ error: 'oauth_exchange_failed', message: err?.message });
   }
@@ -45,17 +38,7 @@ router.get('/callback', async (req, res) => {
 router.post('/logout', async (req, res) => {
   try {
     const { sessionId = 'dev', orgId = 'default', revoke = true } = req.body || {};
-    const token = TokenStore.get(sessionId, orgId);
-    if (!token) return res.json({ ok: true });
-    if (revoke && token.accessToken) {
-      try {
-        const base = (process.env.SF_LOGIN_URL || 'https://login.salesforce.com');
-        const toRevoke = token.refreshToken || token.accessToken;
-        const form = new URLSearchParams({ token: toRevoke });
-        await axios.post(`${base}/services/oauth2/revoke`, form.toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
-      } catch {}
-    }
-    TokenStore.remove(sessionId, orgId);
+    await disconnect(sessionId, orgId, { revoke });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: 'logout_failed', message: err?.message });
@@ -68,7 +51,23 @@ router.get('/status', (req, res) => {
   const orgId = String(req.query.orgId || 'default');
   const token = TokenStore.get(sessionId, orgId);
   if (!token) return res.json({ authenticated: false });
-  res.json({ authenticated: true, instanceUrl: token.instanceUrl, hasRefresh: Boolean(token.refreshToken), issuedAt: token.issuedAt });
+  res.json({ authenticated: true, instanceUrl: token.instanceUrl, loginUrl: token.loginUrl, environment: token.environment || 'production', hasRefresh: Boolean(token.refreshToken), issuedAt: token.issuedAt, flow: token.flow || 'authorization_code' });
+});
+
+// Headless (JWT bearer / client credentials) orgs and their last token issue
+router.get('/headless', (req, res) => {
+  res.json({ orgs: HeadlessAuth.status() });
+});
+
+// Re-run an org's headless grant now
+router.post('/headless/:orgId/refresh', async (req, res) => {
+  if (!HeadlessAuth.manages(req.params.orgId)) return res.status(404).json({ error: 'not_headless', orgId: req.params.orgId });
+  try {
+    const token = await HeadlessAuth.refresh(req.params.orgId);
+    res.json({ ok: true, orgId: req.params.orgId, instanceUrl: token.instanceUrl, issuedAt: token.issuedAt });
+  } catch (err) {
+    res.status(502).json({ error: 'headless_auth_failed', message: err?.message });
+  }
 });
 
 export default router;
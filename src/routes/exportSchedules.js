@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import { ExportScheduler } from '../services/exportScheduler.js';
+import { ExportQueue } from '../services/exportQueue.js';
+import { statOrUndefined } from '../utils/fileStore.js';
+import { signUrl } from '../utils/signedUrl.js';
+import { logger } from '../utils/logger.js';
+
+// Saved export definitions run on a cron schedule (see services/exportScheduler.js)
+const router = Router();
+
+const summarize = ({ runs, ...schedule }) => ({ ...schedule, lastRun: runs?.[0] });
+
+// Run history entry with the export's current status and, while the file exists, a signed download link
+async function describeRun(run) {
+  if (!run.exportId) return run;
+  const job = await ExportQueue.get(run.exportId);
+  if (!job) return { ...run, status: 'expired' };
+  const { status, rowsWritten, size, format, error, finishedAt, expiresAt } = job;
+  const downloadable = status === 'complete' && job.path && (await statOrUndefined(job.path));
+  return {
+    ...run,
+    status,
+    rowsWritten,
+    size,
+    format,
+    error,
+    finishedAt,
+    expiresAt,
+    statusUrl: `/export/${run.exportId}/status`,
+    downloadUrl: downloadable ? signUrl(`/export/${run.exportId}/download`) : undefined
+  };
+}
+
+function sendResult(res, result) {
+  if (result.ok) return res.json(result.schedule);
+  const status = result.error === 'not_found' ? 404 : 400;
+  res.status(status).json(result);
+}
+
+/**
+ * GET /export-schedules - List saved schedules with their most recent run
+ */
+router.get('/export-schedules', (req, res) => {
+  res.json({ schedules: ExportScheduler.list().map(summarize) });
+});
+
+/**
+ * POST /export-schedules - Save { name, cron, timezone, org_id, sessionId, soql, format, children, mode, maxRows, enabled }
+ */
+router.post('/export-schedules', async (req, res) => {
+  try {
+    const result = await ExportScheduler.create(req.body || {});
+    if (result.ok) logger.info({ scheduleId: result.schedule.id, cron: result.schedule.cron }, 'Export schedule created');
+    sendResult(res, result);
+  } catch (err) {
+    res.status(500).json({ error: 'schedule_save_failed', message: err?.message });
+  }
+});
+
+router.get('/export-schedules/:id', (req, res) => {
+  const schedule = ExportScheduler.get(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'not_found' });
+  res.json(summarize(schedule));
+});
+
+/**
+ * PUT /export-schedules/:id - Update any of the saved fields; nextRunAt is recomputed
+ */
+router.put('/export-schedules/:id', async (req, res) => {
+  try {
+    sendResult(res, await ExportScheduler.update(req.params.id, req.body || {}));
+  } catch (err) {
+    res.status(500).json({ error: 'schedule_save_failed', message: err?.message });
+  }
+});
+
+router.delete('/export-schedules/:id', async (req, res) => {
+  const removed = await ExportScheduler.remove(req.params.id);
+  if (!removed) return res.status(404).json({ error: 'not_found' });
+  res.json({ id: req.params.id, deleted: true });
+});
+
+/**
+ * POST /export-schedules/:id/run - Run now, outside the cron cadence
+ */
+router.post('/export-schedules/:id/run', async (req, res) => {
+  try {
+    const run = await ExportScheduler.runNow(req.params.id);
+    if (!run) return res.status(404).json({ error: 'not_found' });
+    if (run.status === 'skipped') return res.status(409).json(run);
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: 'schedule_run_failed', message: err?.message });
+  }
+});
+
+/**
+ * GET /export-schedules/:id/runs - Run history, newest first, with per-run download links
+ */
+router.get('/export-schedules/:id/runs', async (req, res) => {
+  const schedule = ExportScheduler.get(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'not_found' });
+  const runs = await Promise.all((schedule.runs || []).map(describeRun));
+  res.json({ id: schedule.id, name: schedule.name, runs });
+});
+
+export default router;
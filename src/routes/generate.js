@@ -15,12 +15,19 @@ import { resolveDateRange, needsDateClarification, normalizeDateMacro } from '..
 import { resolveObjectsIntelligently, isProblematicSystemObject } from '../services/intelligentResolver.js';
 import { buildObjectClarification, buildDateClarification } from '../utils/clarify.js';
 import { enforceFls, validateQuerySecurity, checkFieldPermissions } from '../utils/security.js';
+import { withCallback } from '../services/callbackRequests.js';
+import { rowCapFor, applyRowLimit } from '../services/rowLimit.js';
 
 const router = Router();
 
+// With a callbackUrl the request is answered with 202 and the result is delivered by webhook
+router.post('/', withCallback(router));
+
 router.post('/', async (req, res) => {
   try {
-    const { user_question, org_id, sessionId = 'dev', request_hints, persona: personaName } = req.body || {};
+    const { user_question, org_id: requestedOrgId, sessionId = 'dev', request_hints, persona: personaName } = req.body || {};
+    // Without org_id, use the session's default connection (see /v1/orgs)
+    const org_id = requestedOrgId || TokenStore.defaultOrgId(sessionId);
     if (!user_question || !org_id) return res.status(400).json({ error: 'user_question and org_id required' });
 
     // Prefer OAuth tokens from TokenStore; fall back to env for dev.
@@ -238,10 +245,14 @@ router.post('/', async (req, res) => {
       return res.json({
         type: 'text',
         content: `This will return about ${total} rows. Do you want a summary, a CSV export, or the first 200 in chat?`,
-        metadata: { suggestExport: true, total, soql: countPlan.soql }
+        metadata: { suggestExport: true, total, soql: countPlan.soql, apiVersion: sf.apiVersion }
       });
     }
 
+    // Server-side row cap (guardrails.maxRows / queryPreferences.maxLimit)
+    let rowLimit;
+    ({ query: plan.soql, rowLimit } = applyRowLimit(plan.soql, 'SOQL', await rowCapFor(orgProfile)));
+
     let data;
     let querySuccess = true;
     try {
@@ -292,9 +303,11 @@ router.post('/', async (req, res) => {
         objects: [plan.object], 
         intent, 
         soql: plan.soql, 
+        rowLimit,
         prompt_version: defaults.prompt_version, 
         persona: persona.name, 
         total,
+        apiVersion: sf.apiVersion,
         security: { 
           flsRestricted,
           droppedFields,
@@ -316,6 +329,7 @@ router.post('/', async (req, res) => {
     return res.json(payload);
   } catch (err) {
     logger.error({ err }, 'generate failed');
+    if (err?.code === 'invalid_soql') return res.status(400).json({ error: err.code, message: err.message });
     return res.status(500).json({ error: 'internal_error', message: err?.message });
   }
 });
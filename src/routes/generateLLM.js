@@ -9,12 +9,24 @@ import { buildTableSchema, validate } from '../utils/jsonSchema.js';
 import { chatComplete } from '../services/llm/openaiAdapter.js';
 import { withRetry } from '../utils/withRetry.js';
 import { shouldRetryLLM } from '../utils/retryPolicies.js';
-import { redactPII } from '../utils/redact.js';
+import { redactPII, redactRows } from '../utils/redact.js';
 import { logger } from '../utils/logger.js';
 import { enforceFls, validateQuerySecurity } from '../utils/security.js';
+import { reportProgress } from '../utils/progress.js';
+import { withCallback } from '../services/callbackRequests.js';
+import { detectMetadataIntent, queryMetadata } from '../services/toolingMetadata.js';
+import { listReports, matchReport, planReportFilters, runReportTable, applyFilterOverrides, checkReportPolicy } from '../services/reports.js';
+import { parseOrgIds, runAcrossOrgs, mergeOrgTables } from '../services/federatedQuery.js';
+import { validateSoql, validateSosl } from '../services/soqlValidator.js';
+import { rowCapFor, applyRowLimit, capRows } from '../services/rowLimit.js';
+import { compileAggregateQuery, compileRecordQuery, aggregateTable } from '../services/aggregateQuery.js';
+import { aggregationSpec, fieldPaths, aggregateRecords, AGGREGATION_MAX_ROWS } from '../services/aggregationEngine.js';
 
 const router = Router();
 
+// With a callbackUrl the request is answered with 202 and the result is delivered by webhook
+router.post('/', withCallback(router));
+
 // Simple schema-intent detection (generic, no hardcoding of business logic)
 function detectSchemaIntent(question = '') {
   const q = String(question).toLowerCase();
@@ -47,17 +59,42 @@ function resolveObjectFromCatalog(question = '', enhancedDescribeIndex) {
   const list = Array.isArray(enhancedDescribeIndex.objects)
     ? enhancedDescribeIndex.objects
     : Object.values(enhancedDescribeIndex.objects || {});
+  // Longest match wins, so "Item Lot" resolves to Item Lot rather than Item
+  let best = null;
+  let bestLength = 0;
   for (const entry of list) {
     if (!entry) continue;
     const api = String(entry.apiName || '').toLowerCase();
     const label = String(entry.label || '').toLowerCase();
     const plural = String(entry.labelPlural || '').toLowerCase();
     if (!api && !label && !plural) continue;
-    if (q.includes(api) || (label && q.includes(label)) || (plural && q.includes(plural))) {
-      return entry.apiName || null;
+    for (const term of [api, label, plural]) {
+      if (term && q.includes(term) && term.length > bestLength) {
+        best = entry.apiName || null;
+        bestLength = term.length;
+      }
     }
   }
-  return null;
+  return best;
+}
+
+// Catalog match first, then labels from the global describe (objects outside the limited enhanced index)
+async function resolveTargetObject(sf, question, enhancedDescribeIndex) {
+  const fromCatalog = resolveObjectFromCatalog(question, enhancedDescribeIndex);
+  if (fromCatalog) return fromCatalog;
+  try {
+    const qLower = String(question || '').toLowerCase();
+    const candidates = (await sf.listSObjects()).filter(o => {
+      const label = String(o.label || '').toLowerCase();
+      const plural = String(o.labelPlural || '').toLowerCase();
+      return (label && qLower.includes(label)) || (plural && qLower.includes(plural));
+    });
+    candidates.sort((a, b) => (b.custom === true) - (a.custom === true) || String(b.label).length - String(a.label).length);
+    return candidates[0]?.name || null;
+  } catch (e) {
+    logger.warn({ error: e.message }, 'Global describe fallback failed');
+    return null;
+  }
 }
 
 // LLM-based pairing intent detection (fallback when simple triggers miss)
@@ -124,7 +161,12 @@ function enforceWineSoqlConstraints(soql, statusFilter, limit) {
  */
 router.post('/', async (req, res) => {
   try {
-    const { user_question, org_id, sessionId = 'dev', request_hints, persona: personaName } = req.body || {};
+    const { user_question, org_id: requestedOrgId, org_ids, sessionId = 'dev', request_hints, persona: personaName } = req.body || {};
+    // org_ids: run the plan against each of these connected orgs and merge the results
+    const federation = parseOrgIds(org_ids);
+    if (!federation.ok) return res.status(400).json({ error: 'invalid_org_ids', message: federation.error });
+    // Without org_id, plan against the first of org_ids, else the session's default connection (see /v1/orgs)
+    const org_id = requestedOrgId || federation.orgIds[0] || TokenStore.defaultOrgId(sessionId);
     if (!user_question || !org_id) return res.status(400).json({ error: 'user_question and org_id required' });
 
     // Setup Salesforce client
@@ -132,6 +174,7 @@ router.post('/', async (req, res) => {
     if (!tokenCtx) tokenCtx = { instanceUrl: process.env.SF_INSTANCE_URL, accessToken: process.env.SF_ACCESS_TOKEN };
     if (!tokenCtx?.instanceUrl || !tokenCtx?.accessToken) return res.status(401).json({ error: 'missing_salesforce_token' });
     const sf = sfClient({ ...tokenCtx, sessionId, orgId: org_id });
+    reportProgress(req, 'ready');
 
     // Load configuration and session
     const [orgProfile, persona, defaults, businessContext] = await Promise.all([
@@ -147,6 +190,7 @@ router.post('/', async (req, res) => {
     // STEP 0: Defer conversational detection until after metadata load (to reduce false positives)
 
     // STEP 1: Build comprehensive Salesforce metadata for LLM
+    reportProgress(req, 'planning');
     const enhancedDescribeIndex = await buildEnhancedDescribeIndex(sf, org_id, {
       maxObjects: 50, // Limit for LLM context window
       includeAllCustom: true
@@ -207,6 +251,48 @@ router.post('/', async (req, res) => {
       logger.warn({ error: conversationalError.message }, 'Conversational detection failed, proceeding with Salesforce processing');
     }
 
+    // EARLY: Metadata questions (validation rules, Apex triggers, flows, custom field definitions)
+    // are answered read-only from the Tooling API rather than planned as data queries
+    const metadataKind = orgProfile?.guardrails?.metadataQuestions === false ? null : detectMetadataIntent(user_question);
+    if (metadataKind) {
+      try {
+        const objectApiName = await resolveTargetObject(sf, user_question, enhancedDescribeIndex);
+        if (objectApiName && (orgProfile?.guardrails?.blockedObjects || []).includes(objectApiName)) {
+          return res.status(403).json({
+            error: 'access_denied',
+            message: 'Query not allowed by security policy',
+            reasons: [`Object ${objectApiName} is blocked by org policy`]
+          });
+        }
+        let describeFields = [];
+        if (metadataKind === 'customFields' && objectApiName) {
+          const container = enhancedDescribeIndex.objects;
+          const entry = Array.isArray(container) ? container.find(o => o?.apiName === objectApiName) : container?.[objectApiName];
+          describeFields = entry?.fields || (await sf.describeSObject(objectApiName).catch(() => undefined))?.fields || [];
+        }
+        const result = await queryMetadata(sf, metadataKind, { objectApiName, describeFields });
+        const payload = {
+          type: 'table',
+          content: { columns: result.columns, rows: result.rows },
+          metadata: {
+            objects: result.object ? [result.object] : [],
+            schema: true,
+            metadataType: result.sobject,
+            tooling: result.tooling,
+            soql: result.soql,
+            total: result.rows.length,
+            confidence: 1.0,
+            apiVersion: sf.apiVersion
+          }
+        };
+        const { ok } = validate(buildTableSchema(result.columns), payload);
+        if (ok) return res.json(payload);
+        logger.warn({ metadataKind }, 'Metadata answer failed table validation; proceeding to query planning');
+      } catch (e) {
+        logger.warn({ error: e.message, metadataKind }, 'Metadata question failed; proceeding to query planning');
+      }
+    }
+
     // EARLY: Schema intent shortcut - handle before LLM planning to avoid dependency on queryType
     if (detectSchemaIntent(user_question)) {
       try {
@@ -297,7 +383,8 @@ router.post('/', async (req, res) => {
             schema: true,
             source: fieldsSource === objectData?.fields ? 'enhancedDescribeIndex' : 'liveDescribe',
             total: rows.length,
-            confidence: 1.0
+            confidence: 1.0,
+            apiVersion: sf.apiVersion
           }
         };
 
@@ -312,6 +399,52 @@ router.post('/', async (req, res) => {
       }
     }
 
+    // STEP 1.9: An existing Salesforce report that matches the question is run (with filter
+    // overrides) before falling back to generated SOQL. Opt-in per org (features.reports.enabled),
+    // since matching costs a catalog query, a describe and an LLM call
+    const reportPrefs = { enabled: false, ...(orgProfile?.features?.reports || {}) };
+    // Reports are per org, so federated requests always go through the query plan
+    if (reportPrefs.enabled === true && !federation.orgIds.length) {
+      try {
+        const match = matchReport(user_question, await listReports(sf, { orgId: org_id }), { threshold: reportPrefs.matchThreshold });
+        if (match) {
+          const describe = await sf.analytics.describeReport(match.report.Id);
+          // Reports answer under the same object and sensitive-field policy as generated queries
+          let policy = await checkReportPolicy(describe.reportMetadata, orgProfile);
+          const plan = policy.allowed
+            ? await planReportFilters({ question: user_question, report: match.report, reportMetadata: describe.reportMetadata })
+            : { useReport: false, reasoning: 'blocked by org policy' };
+          if (plan.useReport && plan.filters.length) {
+            policy = await checkReportPolicy(applyFilterOverrides(describe.reportMetadata, plan), orgProfile);
+          }
+          logger.info({ reportId: match.report.Id, score: match.score, useReport: plan.useReport, reasoning: plan.reasoning, blockedReasons: policy.blockedReasons }, 'Report match considered');
+          if (plan.useReport && policy.allowed) {
+            reportProgress(req, 'querying', { queryType: 'REPORT' });
+            const table = await runReportTable(sf, match.report.Id, { filters: plan.filters, dateFilter: plan.dateFilter, describe });
+            const { rows, rowLimit } = capRows(table.rows, await rowCapFor(orgProfile));
+            const payload = {
+              type: 'table',
+              content: { columns: table.columns, rows: orgProfile?.guardrails?.piiRedaction ? redactRows(rows) : rows },
+              metadata: {
+                source: 'report',
+                report: { id: match.report.Id, name: match.report.Name, score: Number(match.score.toFixed(2)) },
+                filters: table.reportMetadata?.reportFilters,
+                filterOverrides: plan.filters,
+                allData: table.allData,
+                rowLimit,
+                total: rows.length,
+                confidence: match.score,
+                apiVersion: sf.apiVersion
+              }
+            };
+            if (validate(buildTableSchema(table.columns), payload).ok) return res.json(payload);
+          }
+        }
+      } catch (e) {
+        logger.warn({ error: e.message }, 'Report lookup failed; proceeding to query generation');
+      }
+    }
+
     // STEP 2: Let LLM determine if this needs cross-object search (SOSL)
     const soslDecision = await shouldUseSOSLWithLLM({ 
       question: user_question, 
@@ -434,7 +567,8 @@ router.post('/', async (req, res) => {
             source: fieldsSource === objectData?.fields ? 'enhancedDescribeIndex' : 'liveDescribe',
             total: rows.length,
             confidence: queryPlan.confidence,
-            businessContext: queryPlan.businessContext
+            businessContext: queryPlan.businessContext,
+            apiVersion: sf.apiVersion
           }
         };
 
@@ -450,14 +584,119 @@ router.post('/', async (req, res) => {
       }
     }
 
+    // STEP 3.4: An aggregation rule for the planned object compiles into GROUP BY SOQL, so
+    // totals come from Salesforce instead of the LLM adding up a sample of rows. Rules SOQL
+    // cannot group (formula keys, keys across a subquery, extra measures) fetch every
+    // matching record instead and are aggregated in-process before the LLM sees them.
+    const aggregationRule = queryPlan.aggregationContext?.rules;
+    if (queryPlan.queryType === 'SOQL' && aggregationRule?.targetObject && aggregationRule.targetObject.toLowerCase() === String(queryPlan.targetObject).toLowerCase()) {
+      const spec = aggregationSpec(aggregationRule);
+      const pushDown = spec.measures.every(m => m.op === 'sum' || m.op === 'count');
+      const aggregatePlan = pushDown ? compileAggregateQuery(aggregationRule, queryPlan.soql) : undefined;
+      const aggregateCheck = pushDown ? await validateSoql(sf, aggregatePlan.soql, { describeIndex: enhancedDescribeIndex, orgId: org_id, repair: false }) : undefined;
+      if (aggregateCheck?.valid) {
+        logger.info({ soql: aggregatePlan.soql, generated: queryPlan.soql }, 'Aggregation rule compiled to GROUP BY SOQL');
+        queryPlan.aggregatePlan = aggregatePlan;
+        queryPlan.soql = aggregatePlan.soql;
+      } else {
+        try {
+          if (federation.orgIds.length) throw new Error('In-process aggregation runs against a single org');
+          const children = await childRelationshipsOf(sf, enhancedDescribeIndex, aggregationRule.targetObject);
+          const recordQuery = compileRecordQuery(aggregationRule, queryPlan.soql, fieldPaths(spec), children);
+          const recordCheck = await validateSoql(sf, recordQuery.soql, { describeIndex: enhancedDescribeIndex, orgId: org_id, repair: false });
+          if (!recordCheck.valid) {
+            throw Object.assign(new Error('Aggregation rule references fields this org does not have'), { errors: recordCheck.errors });
+          }
+          logger.info({ soql: recordQuery.soql, groupByErrors: aggregateCheck?.errors }, 'Aggregation rule will be computed in-process');
+          queryPlan.inProcessAggregation = { ...spec, unwind: recordQuery.unwind };
+          queryPlan.soql = recordQuery.soql;
+        } catch (e) {
+          logger.warn({ error: e.message, errors: e.errors || aggregateCheck?.errors }, 'Aggregation rule does not fit this org; using the generated query');
+        }
+      }
+    }
+
+    // STEP 3.5: Parse the SOQL and check every reference against the describe index before
+    // spending an API call on it; close misses are repaired unless guardrails.repairSoql is false
+    if (queryPlan.queryType === 'SOQL') {
+      const soqlCheck = await validateSoql(sf, queryPlan.soql, {
+        describeIndex: enhancedDescribeIndex,
+        orgId: org_id,
+        repair: orgProfile?.guardrails?.repairSoql !== false
+      });
+      if (!soqlCheck.parsed) {
+        // Policy, FLS and the row cap all need the parsed query, so an unreadable one never runs
+        logger.warn({ soql: queryPlan.soql, error: soqlCheck.error }, 'SOQL parser could not read the generated query');
+        return res.status(400).json({
+          error: 'invalid_soql',
+          message: `Generated SOQL could not be parsed: ${soqlCheck.error}`,
+          originalQuery: queryPlan.soql,
+          llmReasoning: queryPlan.reasoning,
+          suggestions: [
+            'Try rephrasing the question more simply',
+            ...queryPlan.alternatives || []
+          ]
+        });
+      } else if (!soqlCheck.valid) {
+        logger.warn({ soql: queryPlan.soql, errors: soqlCheck.errors }, 'Generated SOQL references unknown objects or fields');
+        return res.status(400).json({
+          error: 'invalid_soql',
+          message: soqlCheck.errors.map(e => e.message).join('; '),
+          originalQuery: queryPlan.soql,
+          errors: soqlCheck.errors,
+          repairs: soqlCheck.repairs,
+          llmReasoning: queryPlan.reasoning,
+          suggestions: [
+            'Try naming the object or field as it appears in Salesforce',
+            ...queryPlan.alternatives || []
+          ]
+        });
+      } else {
+        if (soqlCheck.repairs.length) {
+          logger.info({ repairs: soqlCheck.repairs, soql: soqlCheck.soql }, 'Generated SOQL repaired');
+          queryPlan.soqlRepairs = soqlCheck.repairs;
+        }
+        queryPlan.soql = soqlCheck.soql;
+        queryPlan.targetObject = soqlCheck.object;
+        // Security and FLS use the query's own fields, not the plan's self-reported list
+        queryPlan.fields = soqlCheck.wildcard ? [...new Set([...soqlCheck.columns, ...queryPlan.fields])] : soqlCheck.columns;
+        if (!soqlCheck.wildcard) queryPlan.referencedFields = soqlCheck.fields;
+        // Org policy covers every object the query reads, not just the FROM object
+        queryPlan.policyObjects = soqlCheck.objects;
+      }
+    } else if (queryPlan.queryType === 'SOSL') {
+      const soslCheck = await validateSosl(sf, queryPlan.sosl, { describeIndex: enhancedDescribeIndex, orgId: org_id });
+      if (!soslCheck.parsed) {
+        // Without the RETURNING objects org policy cannot be checked, so the search does not run
+        logger.warn({ sosl: queryPlan.sosl, error: soslCheck.error }, 'SOSL RETURNING clause could not be read');
+        return res.status(400).json({
+          error: 'invalid_sosl',
+          message: `Generated SOSL could not be parsed: ${soslCheck.error}`,
+          originalQuery: queryPlan.sosl,
+          llmReasoning: queryPlan.reasoning,
+          suggestions: [
+            'Try rephrasing the question more simply',
+            ...queryPlan.alternatives || []
+          ]
+        });
+      }
+      queryPlan.policyObjects = soslCheck.objects;
+    }
+
     // Pairing intent detection: favor LLM classification, use config triggers as backup
     let needsWineExpertise = await detectWinePairingIntentLLM(user_question, chatComplete).catch(() => false);
     if (!needsWineExpertise) {
       needsWineExpertise = detectWinePairingExpertise(user_question, businessContext);
     }
 
+    // Federated request: security, execution and FLS run per org; rows merge with an _orgId column
+    if (federation.orgIds.length) {
+      reportProgress(req, 'querying', { queryType: queryPlan.queryType, orgs: federation.orgIds.length });
+      return await respondFederated({ res, sessionId, orgIds: federation.orgIds, queryPlan, needsWineExpertise, businessContext, persona, defaults });
+    }
+
     // STEP 4: Validate security and permissions
-    const securityCheck = await validateQuerySecurity(sf, queryPlan.targetObject, queryPlan.fields, orgProfile);
+    let securityCheck = await validateQuerySecurity(sf, queryPlan.targetObject, queryPlan.referencedFields || queryPlan.fields, orgProfile, { objects: queryPlan.policyObjects });
     if (!securityCheck.allowed) {
       logger.warn('Query blocked by security policy', { 
         sessionId, 
@@ -479,41 +718,41 @@ router.post('/', async (req, res) => {
     }
 
     // STEP 5: Execute the query
+    reportProgress(req, 'querying', { queryType: queryPlan.queryType });
     let data;
     let querySuccess = true;
+    // Server-side row cap (guardrails.maxRows / queryPreferences.maxLimit), reported in metadata.rowLimit
+    const rowCap = await rowCapFor(orgProfile);
+    if (queryPlan.queryType === 'SOSL') {
+      ({ query: queryPlan.sosl, rowLimit: queryPlan.rowLimit } = applyRowLimit(queryPlan.sosl, 'SOSL', rowCap));
+    } else {
+      if (needsWineExpertise && !queryPlan.aggregatePlan && !queryPlan.inProcessAggregation) {
+        const limit = businessContext?.wineExpertiseDetection?.queryLimit || 200;
+        const statusFilter = businessContext?.wineExpertiseDetection?.statusFilter || "owsc__Item_Status__c = 'Active'";
+        queryPlan.soql = enforceWineSoqlConstraints(queryPlan.soql, statusFilter, limit);
+        logger.info({ soql: queryPlan.soql }, 'Wine expertise constraints applied to SOQL');
+      }
+      // In-process aggregation returns no records, so the row cap does not apply there. The
+      // displayed SOQL is the executed one; SOQL the cap cannot parse throws invalid_soql (400).
+      if (!queryPlan.inProcessAggregation) {
+        ({ query: queryPlan.soql, rowLimit: queryPlan.rowLimit } = applyRowLimit(queryPlan.soql, 'SOQL', rowCap));
+      }
+    }
     const queryToExecute = queryPlan.queryType === 'SOQL' ? queryPlan.soql : queryPlan.sosl;
     
     try {
       if (queryPlan.queryType === 'SOSL') {
-        data = await sf.search(queryPlan.sosl);
-        // Flatten SOSL results
-        const allRecords = [];
-        const searchRecords = data.searchRecords || [];
-        
-        if (Array.isArray(searchRecords)) {
-          for (const record of searchRecords) {
-            allRecords.push({
-              ...record,
-              _objectType: record.attributes?.type || 'Unknown',
-              _searchScore: 1.0
-            });
-          }
-        }
-        
-        data = { records: allRecords, totalSize: allRecords.length };
+        data = flattenSearchRecords(await sf.search(queryPlan.sosl));
       } else {
         // DEBUG: Log before SOQL execution
         logger.info({ soql: queryPlan.soql }, 'About to execute SOQL query');
-        let soqlToRun = queryPlan.soql;
-        if (needsWineExpertise) {
-          const limit = businessContext?.wineExpertiseDetection?.queryLimit || 200;
-          const statusFilter = businessContext?.wineExpertiseDetection?.statusFilter || "owsc__Item_Status__c = 'Active'";
-          soqlToRun = enforceWineSoqlConstraints(soqlToRun, statusFilter, limit);
-          logger.info({ soql: soqlToRun }, 'Wine expertise constraints applied to SOQL');
+        if (queryPlan.inProcessAggregation) {
+          const records = await sf.queryAll(queryPlan.soql, { maxRows: AGGREGATION_MAX_ROWS });
+          queryPlan.inProcessAggregation.truncated = records.length >= AGGREGATION_MAX_ROWS;
+          data = { records, totalSize: records.length };
+        } else {
+          data = await sf.query(queryPlan.soql);
         }
-        // Update displayed SOQL so UI reflects the executed query (limit/status)
-        queryPlan.soql = soqlToRun;
-        data = await sf.query(soqlToRun);
         // DEBUG: Log after SOQL execution
         logger.info({ 
           recordCount: data?.records?.length || 0,
@@ -540,9 +779,14 @@ router.post('/', async (req, res) => {
       logger.warn({ error: e.message, query: queryToExecute, attempt: 1 }, 'Initial query failed, attempting intelligent retry');
       
       try {
-        const retryResult = await attemptIntelligentRetry(sf, queryPlan, user_question, businessContext, logger);
+        const retryResult = await attemptIntelligentRetry(sf, queryPlan, user_question, businessContext, logger, { describeIndex: enhancedDescribeIndex, orgId: org_id, orgProfile, rowCap });
         data = retryResult.data;
         querySuccess = true;
+        // Retries run plain record queries, not the compiled aggregate; FLS and metadata follow the retry's query
+        queryPlan.aggregatePlan = undefined;
+        queryPlan.inProcessAggregation = undefined;
+        Object.assign(queryPlan, { queryType: 'SOQL', soql: retryResult.finalQuery, targetObject: retryResult.targetObject, fields: retryResult.fields, rowLimit: retryResult.rowLimit });
+        securityCheck = retryResult.securityCheck;
         logger.info({ 
           retryAttempt: retryResult.successfulAttempt, 
           finalQuery: retryResult.finalQuery 
@@ -566,7 +810,7 @@ router.post('/', async (req, res) => {
     }
 
     // STEP 6: Apply field-level security
-    const fieldPermissions = securityCheck.fieldPermissions;
+    let fieldPermissions = securityCheck.fieldPermissions;
     
     // DEBUG: Log the fields being passed to enforceFls
     logger.info({ 
@@ -578,6 +822,97 @@ router.post('/', async (req, res) => {
     const flsResult = enforceFls(queryPlan.targetObject, data.records || [], queryPlan.fields, fieldPermissions);
     let { rows: safeRows, droppedFields, securityReasons, flsRestricted } = flsResult;
 
+    // Aggregate plans answer with the computed numbers as a table; the LLM does no arithmetic
+    if (queryPlan.aggregatePlan) {
+      const { columns, rows } = aggregateTable(safeRows, queryPlan.aggregatePlan);
+      const { groupBy, measures, rollup } = queryPlan.aggregatePlan;
+      const payload = {
+        type: 'table',
+        content: { columns, rows },
+        metadata: {
+          objects: [queryPlan.targetObject],
+          llmGenerated: true,
+          soql: queryPlan.soql,
+          soqlRepairs: queryPlan.soqlRepairs,
+          aggregation: { source: 'soql', groupBy, measures, rollup },
+          prompt_version: defaults.prompt_version,
+          persona: persona.name,
+          total: rows.length,
+          confidence: queryPlan.confidence,
+          businessContext: queryPlan.businessContext,
+          apiVersion: sf.apiVersion,
+          security: {
+            flsRestricted,
+            droppedFields,
+            securityReasons,
+            objectPermissions: securityCheck.objectPermissions,
+            fieldPermissions,
+            warnings: securityCheck.warnings || []
+          }
+        }
+      };
+      const { ok } = validate(buildTableSchema(columns), payload);
+      if (!ok) {
+        return res.json({ type: 'text', content: 'Unable to produce a valid table. Here is a summary:\n' + redactPII(JSON.stringify(rows.slice(0, 5))), metadata: payload.metadata });
+      }
+      return res.json(payload);
+    }
+
+    // In-process aggregates: the server computes every number and the LLM only narrates them
+    if (queryPlan.inProcessAggregation) {
+      const { unwind, truncated, ...spec } = queryPlan.inProcessAggregation;
+      const { columns, rows, totals, recordCount } = aggregateRecords(safeRows, { ...spec, unwind });
+      const aggregation = { source: 'in-process', groupBy: spec.groupBy, measures: spec.measures, unwind, recordCount, truncated, totals };
+      const metadata = {
+        objects: [queryPlan.targetObject],
+        llmGenerated: true,
+        soql: queryPlan.soql,
+        soqlRepairs: queryPlan.soqlRepairs,
+        aggregation,
+        prompt_version: defaults.prompt_version,
+        persona: persona.name,
+        total: rows.length,
+        rawDataRows: recordCount,
+        confidence: queryPlan.confidence,
+        businessContext: queryPlan.businessContext,
+        apiVersion: sf.apiVersion,
+        security: {
+          flsRestricted,
+          droppedFields,
+          securityReasons,
+          objectPermissions: securityCheck.objectPermissions,
+          fieldPermissions,
+          warnings: securityCheck.warnings || []
+        }
+      };
+
+      if (/\b(table|csv|grid)\b/i.test(user_question || '')) {
+        const payload = { type: 'table', content: { columns, rows }, metadata };
+        const { ok } = validate(buildTableSchema(columns), payload);
+        if (ok) return res.json(payload);
+      }
+
+      reportProgress(req, 'formatting', { rows: rows.length });
+      const shown = rows.slice(0, 200);
+      const system = `You are Kaomi, a Salesforce data assistant. The server aggregated ${recordCount} ${queryPlan.targetObject} records${truncated ? ` (stopped at the ${AGGREGATION_MAX_ROWS}-record limit, so totals are partial)` : ''} into ${rows.length} groups.
+
+The numbers below are final. Describe them in answer to the user's question: quote values exactly as given, do not add, average, round or otherwise recompute anything, and do not invent groups that are not listed.${aggregationRule?.instructions ? `\nBUSINESS RULE: ${aggregationRule.instructions}` : ''}
+
+COLUMNS: ${JSON.stringify(columns)}
+GROUPS${shown.length < rows.length ? ` (first ${shown.length} of ${rows.length})` : ''}: ${JSON.stringify(shown)}
+TOTALS (all records): ${JSON.stringify(totals)}`;
+      const llmResponse = await withRetry(() => chatComplete({ messages: [{ role: 'system', content: system }, { role: 'user', content: user_question }], stream: false }), {
+        retries: 2,
+        delayMs: 600,
+        shouldRetry: shouldRetryLLM
+      });
+      return res.json({
+        type: 'text',
+        content: llmResponse?.choices?.[0]?.message?.content || 'Unable to generate response',
+        metadata: { ...metadata, aggregation: { ...aggregation, table: { columns, rows } } }
+      });
+    }
+
     // STEP 6.5: Check for 0 results and attempt wildcard retry strategies
     let totalRecords = safeRows?.length || 0;
     if (totalRecords === 0 && querySuccess) {
@@ -587,7 +922,7 @@ router.post('/', async (req, res) => {
       }, 'Query succeeded but returned 0 results, attempting wildcard retry strategies');
       
       try {
-        const retryResult = await attemptIntelligentRetry(sf, queryPlan, user_question, businessContext, logger, data);
+        const retryResult = await attemptIntelligentRetry(sf, queryPlan, user_question, businessContext, logger, { originalData: data, describeIndex: enhancedDescribeIndex, orgId: org_id, orgProfile, rowCap });
         if (retryResult && retryResult.data?.records?.length > 0) {
           logger.info({ 
             strategy: retryResult.strategy,
@@ -597,8 +932,11 @@ router.post('/', async (req, res) => {
           
           // Update data with retry results
           data = retryResult.data;
-          const retryFlsResult = enforceFls(queryPlan.targetObject, data.records || [], queryPlan.fields, fieldPermissions);
-          safeRows = retryFlsResult.rows;
+          // FLS for the object the retry read, with that object's field permissions
+          securityCheck = retryResult.securityCheck;
+          fieldPermissions = securityCheck.fieldPermissions;
+          const retryFlsResult = enforceFls(retryResult.targetObject, data.records || [], retryResult.fields, fieldPermissions);
+          ({ rows: safeRows, droppedFields, securityReasons, flsRestricted } = retryFlsResult);
           totalRecords = safeRows?.length || 0;
           
           // Update metadata to reflect the successful retry
@@ -610,8 +948,8 @@ router.post('/', async (req, res) => {
             searchTerm: retryResult.searchTerm || 'N/A'
           };
           
-          // Update the displayed SOQL to show the successful query
-          queryPlan.soql = retryResult.finalQuery;
+          // Update the displayed SOQL, object, columns and row limit to the successful query
+          Object.assign(queryPlan, { soql: retryResult.finalQuery, targetObject: retryResult.targetObject, fields: retryResult.fields, rowLimit: retryResult.rowLimit });
         }
       } catch (retryError) {
         logger.warn({ 
@@ -622,6 +960,7 @@ router.post('/', async (req, res) => {
     }
 
     // STEP 7: Use LLM for intelligent response generation
+    reportProgress(req, 'formatting', { rows: totalRecords });
     const dataPreview = (safeRows || []).slice(0, 10);
 
     // Check if aggregation is needed based on query plan
@@ -709,6 +1048,8 @@ Use this retrieved data to provide specific, data-driven answers. Focus on insig
       queryPlan: queryPlan,
       soql: queryPlan.queryType === 'SOQL' ? queryPlan.soql : undefined,
       sosl: queryPlan.queryType === 'SOSL' ? queryPlan.sosl : undefined,
+      soqlRepairs: queryPlan.soqlRepairs,
+      rowLimit: queryPlan.rowLimit,
       prompt_version: defaults.prompt_version, 
       persona: persona.name, 
       total: totalRecords,
@@ -716,6 +1057,7 @@ Use this retrieved data to provide specific, data-driven answers. Focus on insig
       businessContext: queryPlan.businessContext,
       aggregationApplied: needsAggregation,
       rawDataRows: totalRecords,
+      apiVersion: sf.apiVersion,
       security: { 
         flsRestricted,
         droppedFields,
@@ -776,49 +1118,7 @@ Use this retrieved data to provide specific, data-driven answers. Focus on insig
     }
 
     // Otherwise, return table data (for queries like "what are items in this org?")
-    // For aggregate queries (COUNT, SUM, etc.), use the actual column names from the data
-    let columns;
-    if (safeRows.length > 0 && Object.keys(safeRows[0]).some(key => /^expr\d+$/.test(key))) {
-      // This is an aggregate query - use actual column names from the data
-      columns = Object.keys(safeRows[0]).filter(key => key !== 'attributes');
-    } else {
-      // Regular query - use mapped field names
-      columns = queryPlan.fields.map(f => (f.endsWith('.Name') ? f.split('.').slice(-1)[0] : f));
-    }
-    const rows = (safeRows || []).map(r => {
-      const row = [];
-      
-      // For aggregate queries, use the actual column names from the data
-      if (columns.some(col => /^expr\d+$/.test(col))) {
-        for (const col of columns) {
-          row.push(r[col] !== undefined ? r[col] : null);
-        }
-      } else {
-        // Regular query - use field mapping logic
-        for (const f of queryPlan.fields) {
-          // Handle subquery relationship fields (e.g., owsc__Action_Items__r)
-          if (f.endsWith('__r')) {
-            const relVal = r[f];
-            let cell = null;
-            if (Array.isArray(relVal)) {
-              cell = relVal.length;
-            } else if (relVal && typeof relVal === 'object' && Array.isArray(relVal.records)) {
-              cell = relVal.records.length;
-            }
-            row.push(cell);
-            continue;
-          }
-
-          if (f.includes('.')) {
-            const [rel, leaf] = f.split('.');
-            row.push(r[rel]?.[leaf]);
-          } else {
-            row.push(r[f]);
-          }
-        }
-      }
-      return row;
-    });
+    const { columns, rows } = buildTableRows(queryPlan, safeRows);
 
     // DEBUG: verify subquery rendering
     try {
@@ -860,6 +1160,12 @@ Use this retrieved data to provide specific, data-driven answers. Focus on insig
     
   } catch (err) {
     logger.error({ err, sessionId: req.body?.sessionId, orgId: req.body?.org_id }, 'LLM-driven query generation failed');
+    if (err?.code === 'api_budget_exhausted') {
+      return res.status(429).json({ error: err.code, message: err.message, budget: err.budget });
+    }
+    if (err?.code === 'invalid_soql') {
+      return res.status(400).json({ error: err.code, message: err.message });
+    }
     return res.status(500).json({ 
       error: 'internal_error', 
       message: err?.message,
@@ -869,9 +1175,12 @@ Use this retrieved data to provide specific, data-driven answers. Focus on insig
 });
 
 /**
- * Attempts intelligent retry strategies when a query fails
+ * Attempts intelligent retry strategies when a query fails.
+ * Each retry query is validated, checked against the org policy for the objects it reads and
+ * given the org row cap before it runs; attempts that fail those checks are skipped. The result
+ * carries the retry's own object, columns, row limit and security check for FLS.
  */
-async function attemptIntelligentRetry(sf, originalPlan, userQuestion, businessContext, logger, originalData = null) {
+async function attemptIntelligentRetry(sf, originalPlan, userQuestion, businessContext, logger, { originalData = null, describeIndex, orgId, orgProfile, rowCap } = {}) {
   const attempts = [];
   
   // SPECIAL CASE: If original query succeeded but returned 0 results, try wildcard strategies first
@@ -941,10 +1250,21 @@ async function attemptIntelligentRetry(sf, originalPlan, userQuestion, businessC
     }, 'Attempting retry strategy');
     
     try {
-      const data = await sf.query(attempt.soql);
+      const check = await validateSoql(sf, attempt.soql, { describeIndex, orgId, repair: false });
+      if (!check.valid) {
+        logger.warn({ strategy: attempt.strategy, soql: attempt.soql, errors: check.errors, error: check.error }, 'Retry query failed validation, skipping');
+        continue;
+      }
+      const securityCheck = await validateQuerySecurity(sf, check.object, check.fields, orgProfile, { objects: check.objects });
+      if (!securityCheck.allowed) {
+        logger.warn({ strategy: attempt.strategy, targetObject: check.object, reasons: securityCheck.blockedReasons }, 'Retry query blocked by security policy, skipping');
+        continue;
+      }
+      const { query, rowLimit } = applyRowLimit(attempt.soql, 'SOQL', rowCap);
+      const data = await sf.query(query);
       logger.info({ 
         strategy: attempt.strategy, 
-        targetObject: attempt.targetObject,
+        targetObject: check.object,
         keyword: attempt.keyword,
         recordCount: data.records?.length 
       }, 'Retry strategy succeeded');
@@ -953,7 +1273,12 @@ async function attemptIntelligentRetry(sf, originalPlan, userQuestion, businessC
         data,
         successfulAttempt: i + 2,
         strategy: attempt.strategy,
-        finalQuery: attempt.soql
+        searchTerm: attempt.searchTerm,
+        finalQuery: query,
+        targetObject: check.object,
+        fields: check.columns,
+        rowLimit,
+        securityCheck
       };
     } catch (retryError) {
       logger.warn({ 
@@ -1247,6 +1572,170 @@ Respond naturally as ${kaomiPersonality.name} with personality!`;
   }
 }
 
+/**
+ * Run a query plan against several orgs and respond with one table. Orgs that fail
+ * (not connected, blocked by policy, query error) are reported in metadata.orgs.
+ * A compiled aggregate plan runs as-is and each org's groups are rendered with aggregateTable.
+ */
+async function respondFederated({ res, sessionId, orgIds, queryPlan, needsWineExpertise, businessContext, persona, defaults }) {
+  const { aggregatePlan } = queryPlan;
+  let soql = queryPlan.soql;
+  if (queryPlan.queryType === 'SOQL' && needsWineExpertise && !aggregatePlan) {
+    const limit = businessContext?.wineExpertiseDetection?.queryLimit || 200;
+    const statusFilter = businessContext?.wineExpertiseDetection?.statusFilter || "owsc__Item_Status__c = 'Active'";
+    soql = enforceWineSoqlConstraints(soql, statusFilter, limit);
+  }
+
+  const results = await runAcrossOrgs(sessionId, orgIds, async (orgSf, orgId) => {
+    const orgProfile = await loadOrgProfile(orgId);
+    // The plan was checked against the first org's schema; each org must have every reference too
+    if (queryPlan.queryType === 'SOQL') {
+      const check = await validateSoql(orgSf, soql, { orgId, repair: false });
+      if (!check.valid) {
+        throw Object.assign(new Error(check.error || check.errors.map(e => e.message).join('; ')), { code: 'invalid_soql', errors: check.errors });
+      }
+    }
+    const securityCheck = await validateQuerySecurity(orgSf, queryPlan.targetObject, queryPlan.referencedFields || queryPlan.fields, orgProfile, { objects: queryPlan.policyObjects });
+    if (!securityCheck.allowed) {
+      throw Object.assign(new Error('Query not allowed by security policy'), { code: 'access_denied', reasons: securityCheck.blockedReasons });
+    }
+    // Each org's own row cap applies
+    const { query, rowLimit } = applyRowLimit(queryPlan.queryType === 'SOSL' ? queryPlan.sosl : soql, queryPlan.queryType, await rowCapFor(orgProfile));
+    const data = queryPlan.queryType === 'SOSL'
+      ? flattenSearchRecords(await orgSf.search(query))
+      : await orgSf.query(query);
+    const fls = enforceFls(queryPlan.targetObject, data.records || [], queryPlan.fields, securityCheck.fieldPermissions);
+    return { ...fls, warnings: securityCheck.warnings || [], rowLimit };
+  });
+
+  const { columns, rows, rowCounts } = mergeOrgTables(results, (value) => aggregatePlan
+    ? aggregateTable(value.rows || [], aggregatePlan)
+    : buildTableRows(queryPlan, value.rows || []));
+  const orgs = {};
+  for (const r of results) {
+    if (!r.ok) {
+      orgs[r.orgId] = { status: 'failed', error: r.error, code: r.code, reasons: r.reasons, errors: r.errors };
+      continue;
+    }
+    orgs[r.orgId] = {
+      status: 'ok',
+      rows: rowCounts[r.orgId],
+      apiVersion: r.apiVersion,
+      durationMs: r.durationMs,
+      rowLimit: r.value.rowLimit,
+      security: {
+        flsRestricted: r.value.flsRestricted,
+        droppedFields: r.value.droppedFields,
+        securityReasons: r.value.securityReasons,
+        warnings: r.value.warnings
+      }
+    };
+  }
+
+  const failedOrgs = results.filter(r => !r.ok).map(r => r.orgId);
+  const metadata = {
+    objects: [queryPlan.targetObject],
+    llmGenerated: true,
+    federated: true,
+    orgIds,
+    failedOrgs,
+    orgs,
+    soql: queryPlan.queryType === 'SOQL' ? soql : undefined,
+    sosl: queryPlan.queryType === 'SOSL' ? queryPlan.sosl : undefined,
+    soqlRepairs: queryPlan.soqlRepairs,
+    aggregation: aggregatePlan ? { source: 'soql', groupBy: aggregatePlan.groupBy, measures: aggregatePlan.measures, rollup: aggregatePlan.rollup } : undefined,
+    prompt_version: defaults.prompt_version,
+    persona: persona.name,
+    total: rows.length,
+    confidence: queryPlan.confidence,
+    businessContext: queryPlan.businessContext
+  };
+  if (failedOrgs.length === orgIds.length) {
+    return res.status(502).json({ error: 'federated_query_failed', message: 'The query failed in every org', metadata });
+  }
+
+  const payload = { type: 'table', content: { columns, rows }, metadata };
+  const { ok } = validate(buildTableSchema(payload.content.columns), payload);
+  if (!ok) {
+    return res.json({ type: 'text', content: 'Unable to produce a valid table. Here is a summary:\n' + redactPII(JSON.stringify(rows.slice(0, 5))), metadata });
+  }
+  logger.info({ orgIds, failedOrgs, total: rows.length }, 'Federated query completed');
+  return res.json(payload);
+}
+
+// Flatten SOSL searchRecords into { records, totalSize }
+function flattenSearchRecords(data) {
+  const allRecords = [];
+  const searchRecords = data?.searchRecords || [];
+  if (Array.isArray(searchRecords)) {
+    for (const record of searchRecords) {
+      allRecords.push({
+        ...record,
+        _objectType: record.attributes?.type || 'Unknown',
+        _searchScore: 1.0
+      });
+    }
+  }
+  return { records: allRecords, totalSize: allRecords.length };
+}
+
+// Child relationship names of an object, from the describe index or a describe call
+async function childRelationshipsOf(sf, enhancedDescribeIndex, objectName) {
+  const list = Array.isArray(enhancedDescribeIndex?.objects)
+    ? enhancedDescribeIndex.objects
+    : Object.values(enhancedDescribeIndex?.objects || {});
+  const indexed = list.find(o => String(o.apiName).toLowerCase() === objectName.toLowerCase());
+  const relationships = indexed?.childRelationships || (await sf.describeSObject(objectName)).childRelationships || [];
+  return relationships.map(c => c.relationshipName).filter(Boolean);
+}
+
+// Table columns and rows for query results; aggregate queries use the exprN columns Salesforce returns
+function buildTableRows(queryPlan, safeRows = []) {
+  let columns;
+  if (safeRows.length > 0 && Object.keys(safeRows[0]).some(key => /^expr\d+$/.test(key))) {
+    // This is an aggregate query - use actual column names from the data
+    columns = Object.keys(safeRows[0]).filter(key => key !== 'attributes');
+  } else {
+    // Regular query - use mapped field names
+    columns = queryPlan.fields.map(f => (f.endsWith('.Name') ? f.split('.').slice(-1)[0] : f));
+  }
+  const rows = (safeRows || []).map(r => {
+    const row = [];
+    
+    // For aggregate queries, use the actual column names from the data
+    if (columns.some(col => /^expr\d+$/.test(col))) {
+      for (const col of columns) {
+        row.push(r[col] !== undefined ? r[col] : null);
+      }
+    } else {
+      // Regular query - use field mapping logic
+      for (const f of queryPlan.fields) {
+        // Handle subquery relationship fields (e.g., owsc__Action_Items__r)
+        if (f.endsWith('__r')) {
+          const relVal = r[f];
+          let cell = null;
+          if (Array.isArray(relVal)) {
+            cell = relVal.length;
+          } else if (relVal && typeof relVal === 'object' && Array.isArray(relVal.records)) {
+            cell = relVal.records.length;
+          }
+          row.push(cell);
+          continue;
+        }
+
+        if (f.includes('.')) {
+          const [rel, leaf] = f.split('.');
+          row.push(r[rel]?.[leaf]);
+        } else {
+          row.push(r[f]);
+        }
+      }
+    }
+    return row;
+  });
+  return { columns, rows };
+}
+
 /**
  * Detects if query results contain subquery/hierarchical data
  */
@@ -8,7 +8,9 @@ import { sfClient } from '../services/salesforce.js';
 import { buildDescribeIndex, expandDescribeIndex, filterAllowedFields, chooseOrderBy, buildObjectCatalog, pickGroupByLookup } from '../services/schemaIndex.js';
 import { resolveDateRange, normalizeDateMacro } from '../utils/dateUtils.js';
 import { resolveObjectsIntelligently, isProblematicSystemObject } from '../services/intelligentResolver.js';
-import { validateQuerySecurity } from '../utils/security.js';
+import { validateQuerySecurity, checkQueryPolicy } from '../utils/security.js';
+import { validateSosl } from '../services/soqlValidator.js';
+import { rowCapFor, applyRowLimit } from '../services/rowLimit.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
@@ -20,8 +22,9 @@ async function handleGenerateStream(req, res, isGet = false) {
     try { res.write(`data: ${JSON.stringify({ type: 'ready' })}\n\n`); } catch {}
     const source = isGet ? (req.query || {}) : (req.body || {});
     const user_question = String(source.user_question || source.q || '');
-    const org_id = String(source.org_id || source.orgId || '');
     const sessionId = String(source.sessionId || 'dev');
+    // Without org_id, use the session's default connection (see /v1/orgs)
+    const org_id = String(source.org_id || source.orgId || TokenStore.defaultOrgId(sessionId) || '');
     if (!user_question || !org_id) {
       res.write(`data: ${JSON.stringify({ type: 'error', error: 'user_question and org_id required' })}\n\n`);
       return res.end();
@@ -33,6 +36,7 @@ async function handleGenerateStream(req, res, isGet = false) {
     }
 
     const sf = sfClient({ ...tokenCtx, sessionId, orgId: org_id });
+    res.write(`data: ${JSON.stringify({ type: 'status', phase: 'planning' })}\n\n`);
     const orgProfile = await loadOrgProfile(org_id);
     const userPreferences = SessionStore.getObjectPreferences(sessionId);
     
@@ -147,18 +151,24 @@ async function handleGenerateStream(req, res, isGet = false) {
       }
       plan = buildSoqlPlan({ intent, entities: [targetObject], orgProfile, describeIndex, session: {}, countOnly: false, dateRange, question: user_question, capabilities });
     }
-    // Security validation for streaming (skip for SOSL as it has built-in security)
-    if (!useSOSL) {
-      const securityCheck = await validateQuerySecurity(sf, targetObject, plan.fields || [], orgProfile);
-      if (!securityCheck.allowed) {
-        res.write(`data: ${JSON.stringify({ 
-          type: 'error', 
-          error: 'access_denied',
-          message: 'Query not allowed by security policy',
-          reasons: securityCheck.blockedReasons 
-        })}\n\n`);
-        return res.end();
-      }
+    // Security validation for streaming; SOSL relies on Salesforce sharing plus org policy
+    // over its RETURNING objects, so a search whose RETURNING clause cannot be read does not run
+    const soslCheck = useSOSL ? await validateSosl(sf, plan.query, { orgId: org_id }) : undefined;
+    if (soslCheck && !soslCheck.parsed) {
+      res.write(`data: ${JSON.stringify({ type: 'error', error: 'invalid_sosl', message: `SOSL could not be parsed: ${soslCheck.error}` })}\n\n`);
+      return res.end();
+    }
+    const securityCheck = useSOSL
+      ? await checkQueryPolicy(soslCheck.objects, orgProfile)
+      : await validateQuerySecurity(sf, targetObject, plan.fields || [], orgProfile);
+    if (!securityCheck.allowed) {
+      res.write(`data: ${JSON.stringify({ 
+        type: 'error', 
+        error: 'access_denied',
+        message: 'Query not allowed by security policy',
+        reasons: securityCheck.blockedReasons 
+      })}\n\n`);
+      return res.end();
     }
     
     // Apply field filtering and query refinement only for SOQL queries
@@ -185,7 +195,12 @@ async function handleGenerateStream(req, res, isGet = false) {
         } catch {}
       }
     }
+    // Server-side row cap (guardrails.maxRows / queryPreferences.maxLimit); the plan event carries plan.rowLimit
+    const rowCap = await rowCapFor(orgProfile);
+    if (useSOSL) ({ query: plan.query, rowLimit: plan.rowLimit } = applyRowLimit(plan.query, 'SOSL', rowCap));
+    else ({ query: plan.soql, rowLimit: plan.rowLimit } = applyRowLimit(plan.soql, 'SOQL', rowCap));
     res.write(`data: ${JSON.stringify({ type: 'plan', plan })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: 'status', phase: 'querying' })}\n\n`);
 
     let data;
     try {
@@ -210,11 +225,11 @@ async function handleGenerateStream(req, res, isGet = false) {
         }
         
         data = { records: allRecords, totalSize: allRecords.length };
-        res.write(`data: ${JSON.stringify({ type: 'data', rows: data.records?.length || 0, searchType: 'SOSL' })}\n\n`);
+        res.write(`data: ${JSON.stringify({ type: 'data', rows: data.records?.length || 0, searchType: 'SOSL', apiVersion: sf.apiVersion, rowLimit: plan.rowLimit })}\n\n`);
       } else {
         // Execute SOQL query
         data = await sf.query(plan.soql);
-        res.write(`data: ${JSON.stringify({ type: 'data', rows: data.records?.length || 0, searchType: 'SOQL' })}\n\n`);
+        res.write(`data: ${JSON.stringify({ type: 'data', rows: data.records?.length || 0, searchType: 'SOQL', apiVersion: sf.apiVersion, rowLimit: plan.rowLimit })}\n\n`);
       }
       // Track successful object usage for preference learning
       const trackingObject = useSOSL ? 'SOSL_SEARCH' : targetObject;
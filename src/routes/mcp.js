@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../mcp/server.js';
+import { SessionStore } from '../config/sessionStore.js';
+import { TokenStore } from '../config/tokenStore.js';
+import { logger } from '../utils/logger.js';
+
+// MCP Streamable HTTP transport mounted alongside the REST API.
+// The Mcp-Session-Id doubles as the SessionStore/TokenStore sessionId, so tokens
+// obtained via /auth/login?sessionId=<Mcp-Session-Id> are used by tool calls.
+const router = Router();
+
+const transports = new Map(); // Mcp-Session-Id -> StreamableHTTPServerTransport
+
+function jsonRpcError(res, status, message) {
+  return res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+// Clients may resume an existing REST session (e.g. one that already completed OAuth)
+function requestedSessionId(req) {
+  const sid = String(req.get('x-orion-session-id') || req.query.sessionId || '');
+  if (!sid || transports.has(sid)) return undefined;
+  return TokenStore.getAny(sid) ? sid : undefined;
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const sessionId = req.get('mcp-session-id');
+    let transport = sessionId ? transports.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId) return jsonRpcError(res, 404, 'Unknown MCP session');
+      if (!isInitializeRequest(req.body)) return jsonRpcError(res, 400, 'Missing Mcp-Session-Id header');
+
+      const resumeId = requestedSessionId(req);
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => resumeId || crypto.randomUUID(),
+        onsessioninitialized: (sid) => {
+          transports.set(sid, transport);
+          SessionStore.merge(sid, { mcp: { connectedAt: Date.now() } });
+          logger.info({ sessionId: sid, resumed: Boolean(resumeId) }, 'MCP HTTP session initialized');
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) transports.delete(transport.sessionId);
+      };
+      await createMcpServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  } catch (err) {
+    logger.error({ error: err?.message }, 'MCP HTTP request failed');
+    if (!res.headersSent) jsonRpcError(res, 500, err?.message || 'Internal error');
+  }
+});
+
+// GET opens the standalone SSE stream; DELETE terminates the session
+async function handleSessionRequest(req, res) {
+  const sessionId = req.get('mcp-session-id');
+  const transport = sessionId ? transports.get(sessionId) : undefined;
+  if (!transport) return jsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Unknown MCP session' : 'Missing Mcp-Session-Id header');
+  try {
+    await transport.handleRequest(req, res);
+    if (req.method === 'DELETE') {
+      transports.delete(sessionId);
+      SessionStore.remove(sessionId);
+    }
+  } catch (err) {
+    logger.error({ error: err?.message, sessionId }, 'MCP HTTP session request failed');
+    if (!res.headersSent) jsonRpcError(res, 500, err?.message || 'Internal error');
+  }
+}
+
+router.get('/', handleSessionRequest);
+router.delete('/', handleSessionRequest);
+
+export default router;
@@ -1,5 +1,8 @@
 import { Router } from 'express';
 import { SessionStore } from '../config/sessionStore.js';
+import { ExportQueue } from '../services/exportQueue.js';
+import { ExportRetention } from '../services/exportRetention.js';
+import { ApiLimits } from '../services/apiLimits.js';
 
 const router = Router();
 
@@ -145,7 +148,13 @@ router.get('/', async (req, res) => {
       },
       sessions: {
         active: activeSessions
-      }
+      },
+      exports: {
+        queue: ExportQueue.stats(),
+        retention: ExportRetention.stats()
+      },
+      // Daily API request budget per org (see services/apiLimits.js)
+      apiLimits: ApiLimits.stats()
     };
     
     res.json(response);
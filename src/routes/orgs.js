@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { TokenStore } from '../config/tokenStore.js';
+import { resolveLoginUrl } from '../services/salesforceOAuth.js';
+import { beginAuthorization, describeConnection, disconnect, listConnections, saveConnection } from '../services/orgConnections.js';
+import { logger } from '../utils/logger.js';
+
+// Org connections per session: list, connect, rename, set default, disconnect
+const router = Router();
+
+// org ids double as org profile names (data/configs/<orgId>.json)
+const ORG_ID_PATTERN = /^[\w.-]{1,80}$/;
+
+const sessionOf = (req) => String(req.body?.sessionId || req.query?.sessionId || 'dev');
+
+/**
+ * GET /orgs?sessionId= - Connected orgs of a session and its default
+ */
+router.get('/', (req, res) => {
+  const sessionId = sessionOf(req);
+  res.json({ sessionId, defaultOrgId: TokenStore.defaultOrgId(sessionId), orgs: listConnections(sessionId) });
+});
+
+/**
+ * POST /orgs/connect - Connect an org to a session
+ * Body: { sessionId, orgId, label, environment: 'production' | 'sandbox', loginUrl, makeDefault }
+ * Returns { authUrl } to open in a browser (OAuth code + PKCE, completed by /auth/callback),
+ * or stores { accessToken, instanceUrl, refreshToken } directly when they are supplied.
+ */
+router.post('/connect', (req, res) => {
+  const sessionId = sessionOf(req);
+  const { orgId, label, environment, loginUrl, accessToken, instanceUrl, refreshToken, makeDefault } = req.body || {};
+  if (!orgId || !ORG_ID_PATTERN.test(orgId)) return res.status(400).json({ error: 'invalid_org_id', message: 'orgId must be letters, digits, ".", "_" or "-"' });
+
+  if (accessToken || instanceUrl) {
+    if (!accessToken || !instanceUrl) return res.status(400).json({ error: 'accessToken and instanceUrl required together' });
+    const target = resolveLoginUrl({ environment, loginUrl });
+    if (target.error) return res.status(400).json({ error: target.error });
+    saveConnection(sessionId, orgId, { accessToken, instanceUrl, refreshToken, issuedAt: Date.now() }, { label, ...target });
+    if (makeDefault) TokenStore.setDefault(sessionId, orgId);
+    logger.info({ sessionId, orgId, environment: target.environment }, 'Org connected with supplied token');
+    return res.status(201).json(describeConnection(orgId, TokenStore.get(sessionId, orgId), TokenStore.defaultOrgId(sessionId)));
+  }
+
+  const started = beginAuthorization({ sessionId, orgId, label, environment, loginUrl });
+  if (started.error) return res.status(started.error === 'oauth_not_configured' ? 500 : 400).json({ error: started.error });
+  res.json({ sessionId, orgId, ...started });
+});
+
+/**
+ * PATCH /orgs/:orgId - Rename a connection: { sessionId, label }
+ */
+router.patch('/:orgId', (req, res) => {
+  const sessionId = sessionOf(req);
+  const label = String(req.body?.label || '').trim();
+  if (!label) return res.status(400).json({ error: 'label required' });
+  const token = TokenStore.update(sessionId, req.params.orgId, { label });
+  if (!token) return res.status(404).json({ error: 'not_found' });
+  res.json(describeConnection(req.params.orgId, token, TokenStore.defaultOrgId(sessionId)));
+});
+
+/**
+ * POST /orgs/:orgId/default - Use this org when a request names none
+ */
+router.post('/:orgId/default', (req, res) => {
+  const sessionId = sessionOf(req);
+  if (!TokenStore.setDefault(sessionId, req.params.orgId)) return res.status(404).json({ error: 'not_found' });
+  res.json({ sessionId, defaultOrgId: req.params.orgId, orgs: listConnections(sessionId) });
+});
+
+/**
+ * DELETE /orgs/:orgId?sessionId=&revoke=false - Disconnect (revokes the token unless revoke=false)
+ */
+router.delete('/:orgId', async (req, res) => {
+  const sessionId = sessionOf(req);
+  const revoke = String(req.query.revoke ?? req.body?.revoke ?? 'true') !== 'false';
+  const removed = await disconnect(sessionId, req.params.orgId, { revoke });
+  if (!removed) return res.status(404).json({ error: 'not_found' });
+  res.json({ sessionId, orgId: req.params.orgId, disconnected: true, defaultOrgId: TokenStore.defaultOrgId(sessionId) });
+});
+
+export default router;
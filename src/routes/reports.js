@@ -0,0 +1,119 @@
+import { Router } from 'express';
+import { TokenStore } from '../config/tokenStore.js';
+import { sfClient } from '../services/salesforce.js';
+import { loadOrgProfile } from '../config/configLoader.js';
+import { listReports, runReportTable, applyFilterOverrides, checkReportPolicy } from '../services/reports.js';
+import { rowCapFor, capRows } from '../services/rowLimit.js';
+import { redactRows } from '../utils/redact.js';
+import { buildTableSchema, validate } from '../utils/jsonSchema.js';
+import { logger } from '../utils/logger.js';
+
+// Salesforce reports and dashboards through the Analytics REST API
+const router = Router();
+
+// Requested org, else the session's default connection, else the "default" profile
+const orgIdFor = ({ org_id, sessionId = 'dev' } = {}) => org_id || TokenStore.defaultOrgId(sessionId) || 'default';
+
+function clientFor(params = {}) {
+  const { sessionId = 'dev' } = params;
+  const org_id = orgIdFor(params);
+  const tokenCtx = TokenStore.get(sessionId, org_id) || { instanceUrl: process.env.SF_INSTANCE_URL, accessToken: process.env.SF_ACCESS_TOKEN };
+  if (!tokenCtx?.instanceUrl || !tokenCtx?.accessToken) return undefined;
+  return sfClient({ ...tokenCtx, sessionId, orgId: org_id });
+}
+
+/**
+ * GET /reports?org_id=&sessionId=&search=&refresh=true - Reports visible to the user
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sf = clientFor(req.query);
+    if (!sf) return res.status(401).json({ error: 'missing_salesforce_token' });
+    const reports = await listReports(sf, { orgId: orgIdFor(req.query), search: req.query.search, refresh: req.query.refresh === 'true' });
+    res.json({ reports, apiVersion: sf.apiVersion });
+  } catch (err) {
+    res.status(500).json({ error: 'reports_failed', message: err?.message });
+  }
+});
+
+router.get('/dashboards', async (req, res) => {
+  try {
+    const sf = clientFor(req.query);
+    if (!sf) return res.status(401).json({ error: 'missing_salesforce_token' });
+    const dashboards = await sf.analytics.listDashboards();
+    res.json({ dashboards, apiVersion: sf.apiVersion });
+  } catch (err) {
+    res.status(500).json({ error: 'dashboards_failed', message: err?.message });
+  }
+});
+
+/**
+ * GET /reports/dashboards/:id - Dashboard components with their latest results
+ */
+router.get('/dashboards/:id', async (req, res) => {
+  try {
+    const sf = clientFor(req.query);
+    if (!sf) return res.status(401).json({ error: 'missing_salesforce_token' });
+    res.json({ ...(await sf.analytics.getDashboard(req.params.id)), apiVersion: sf.apiVersion });
+  } catch (err) {
+    res.status(err?.response?.status === 404 ? 404 : 500).json({ error: 'dashboard_failed', message: err?.message });
+  }
+});
+
+/**
+ * GET /reports/:id/describe - Report metadata, including the filters a run can override
+ */
+router.get('/:id/describe', async (req, res) => {
+  try {
+    const sf = clientFor(req.query);
+    if (!sf) return res.status(401).json({ error: 'missing_salesforce_token' });
+    const { reportMetadata, reportExtendedMetadata } = await sf.analytics.describeReport(req.params.id);
+    res.json({ reportMetadata, reportExtendedMetadata, apiVersion: sf.apiVersion });
+  } catch (err) {
+    res.status(err?.response?.status === 404 ? 404 : 500).json({ error: 'report_describe_failed', message: err?.message });
+  }
+});
+
+/**
+ * POST /reports/:id/run - Run a report and return it as a table payload
+ * Body: { org_id, sessionId, filters: [{ column, operator, value }], dateFilter: { durationValue } }
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const { filters = [], dateFilter } = req.body || {};
+    if (!Array.isArray(filters) || filters.some(f => !f?.column || !f?.operator)) {
+      return res.status(400).json({ error: 'invalid_filters', example: { filters: [{ column: 'ACCOUNT.NAME', operator: 'equals', value: 'Acme' }] } });
+    }
+    const sf = clientFor(req.body);
+    if (!sf) return res.status(401).json({ error: 'missing_salesforce_token' });
+    const orgProfile = await loadOrgProfile(orgIdFor(req.body));
+    // Same object and sensitive-field policy as generated queries, over the columns and filters of this run
+    const describe = await sf.analytics.describeReport(req.params.id);
+    const policy = await checkReportPolicy(applyFilterOverrides(describe.reportMetadata, { filters, dateFilter }), orgProfile);
+    if (!policy.allowed) {
+      return res.status(403).json({ success: false, error: 'access_denied', message: 'Report not allowed by security policy', reasons: policy.blockedReasons });
+    }
+    const table = await runReportTable(sf, req.params.id, { filters, dateFilter, describe });
+    const { rows, rowLimit } = capRows(table.rows, await rowCapFor(orgProfile));
+    const payload = {
+      type: 'table',
+      content: { columns: table.columns, rows: orgProfile?.guardrails?.piiRedaction ? redactRows(rows) : rows },
+      metadata: {
+        report: { id: req.params.id, name: table.reportMetadata?.name, format: table.reportMetadata?.reportFormat },
+        filters: table.reportMetadata?.reportFilters,
+        allData: table.allData,
+        rowLimit,
+        total: rows.length,
+        apiVersion: sf.apiVersion
+      }
+    };
+    const { ok, errors } = validate(buildTableSchema(table.columns), payload);
+    if (!ok) logger.warn({ reportId: req.params.id, errors }, 'Report table failed schema validation');
+    res.json(payload);
+  } catch (err) {
+    const status = err?.response?.status;
+    res.status(status === 404 ? 404 : status === 400 ? 400 : 500).json({ error: 'report_run_failed', message: err?.message, details: err?.response?.data });
+  }
+});
+
+export default router;
@@ -7,16 +7,83 @@ import { SessionStore } from '../config/sessionStore.js';
 import { buildDescribeIndex } from '../services/schemaIndex.js';
 import { resolveObjectsIntelligently } from '../services/intelligentResolver.js';
 import { logger } from '../utils/logger.js';
+import { reportProgress } from '../utils/progress.js';
+import { parseOrgIds, runAcrossOrgs } from '../services/federatedQuery.js';
+import { validateSosl } from '../services/soqlValidator.js';
+import { checkQueryPolicy, validateQuerySecurity, enforceFls } from '../utils/security.js';
+import { rowCapFor, applyRowLimit } from '../services/rowLimit.js';
 
 const router = Router();
 
+// Group SOSL searchRecords by object type
+function groupSearchResults(data) {
+  const results = {};
+  let totalRecords = 0;
+  const searchRecords = data?.searchRecords || [];
+  const grouped = Array.isArray(searchRecords)
+    ? searchRecords.reduce((acc, record) => {
+      const type = record.attributes?.type || 'Unknown';
+      (acc[type] ||= []).push(record);
+      return acc;
+    }, {})
+    : searchRecords;
+  for (const [objectType, records] of Object.entries(grouped)) {
+    results[objectType] = (records || []).map(record => ({
+      ...record,
+      _searchScore: record.score || 1.0
+    }));
+    totalRecords += results[objectType].length;
+  }
+  return { results, totalRecords };
+}
+
+/**
+ * Run a federated search in one org under that org's profile: blocked objects and
+ * sensitive fields, its row cap, and CRUD / field-level security per RETURNING object.
+ * Throws (code access_denied, reasons) when the org's policy does not allow the search,
+ * or invalid_sosl when the RETURNING clause cannot be read.
+ */
+async function searchOrg(orgSf, orgId, sosl) {
+  const orgProfile = await loadOrgProfile(orgId);
+  const { parsed, error, objects, columns } = await validateSosl(orgSf, sosl, { orgId });
+  if (!parsed) throw Object.assign(new Error(`SOSL could not be parsed: ${error}`), { code: 'invalid_sosl' });
+  const policy = await checkQueryPolicy(objects, orgProfile);
+  if (!policy.allowed) {
+    throw Object.assign(new Error('Search not allowed by security policy'), { code: 'access_denied', reasons: policy.blockedReasons });
+  }
+  const { query, rowLimit } = applyRowLimit(sosl, 'SOSL', await rowCapFor(orgProfile));
+  const grouped = groupSearchResults(await orgSf.search(query)).results;
+
+  const results = {};
+  const security = {};
+  let totalRecords = 0;
+  for (const [objectType, records] of Object.entries(grouped)) {
+    const entry = Object.keys(columns).find(o => o.toLowerCase() === objectType.toLowerCase());
+    const fields = entry ? columns[entry] : [];
+    const check = await validateQuerySecurity(orgSf, objectType, fields, orgProfile, { objects: { [objectType]: objects[objectType] || fields } });
+    if (!check.allowed) {
+      throw Object.assign(new Error('Search not allowed by security policy'), { code: 'access_denied', reasons: check.blockedReasons });
+    }
+    const fls = enforceFls(objectType, records, [...fields, 'attributes', '_searchScore'], check.fieldPermissions);
+    results[objectType] = fls.rows;
+    totalRecords += fls.rows.length;
+    security[objectType] = { flsRestricted: fls.flsRestricted, droppedFields: fls.droppedFields, securityReasons: fls.securityReasons, warnings: check.warnings || [] };
+  }
+  return { results, totalRecords, rowLimit, security };
+}
+
 /**
  * POST /search/cross-object
  * Perform cross-object search using SOSL
  */
 router.post('/cross-object', async (req, res) => {
   try {
-    const { search_term, org_id, sessionId = 'dev', objects, limit = 200 } = req.body || {};
+    const { search_term, org_id: requestedOrgId, org_ids, sessionId = 'dev', objects, limit = 200 } = req.body || {};
+    // org_ids: run the search in each of these connected orgs and merge the results
+    const federation = parseOrgIds(org_ids);
+    if (!federation.ok) return res.status(400).json({ error: 'invalid_org_ids', message: federation.error });
+    // Without org_id, plan against the first of org_ids, else the session's default connection (see /v1/orgs)
+    const org_id = requestedOrgId || federation.orgIds[0] || TokenStore.defaultOrgId(sessionId);
     
     if (!search_term || !org_id) {
       return res.status(400).json({ 
@@ -37,11 +104,13 @@ router.post('/cross-object', async (req, res) => {
       return res.status(401).json({ error: 'missing_salesforce_token' });
     }
     const sf = sfClient({ ...tokenCtx, sessionId, orgId: org_id });
+    reportProgress(req, 'ready');
 
     // Load org configuration
     const orgProfile = await loadOrgProfile(org_id);
 
     // Build describe index for specified objects or intelligent resolution
+    reportProgress(req, 'planning');
     let targetObjects = objects;
     if (!targetObjects || targetObjects.length === 0) {
       // Use intelligent resolver to find relevant objects
@@ -74,22 +143,63 @@ router.post('/cross-object', async (req, res) => {
       sosl: plan.query 
     });
 
-    // Execute SOSL search
-    const startTime = Date.now();
-    const data = await sf.search(plan.query);
-    const executionTime = Date.now() - startTime;
+    // Org policy (blocked objects, sensitive fields) over every RETURNING object; federated
+    // searches check each org's own policy in searchOrg instead
+    if (!federation.orgIds.length) {
+      const soslCheck = await validateSosl(sf, plan.query, { orgId: org_id });
+      if (!soslCheck.parsed) {
+        return res.status(400).json({ success: false, error: 'invalid_sosl', message: `SOSL could not be parsed: ${soslCheck.error}` });
+      }
+      const policy = await checkQueryPolicy(soslCheck.objects, orgProfile);
+      if (!policy.allowed) {
+        logger.warn('Search blocked by security policy', { sessionId, orgId: org_id, reasons: policy.blockedReasons });
+        return res.status(403).json({
+          success: false,
+          error: 'access_denied',
+          message: 'Search not allowed by security policy',
+          reasons: policy.blockedReasons
+        });
+      }
+    }
 
-    // Process SOSL results
-    const results = {};
-    let totalRecords = 0;
+    // Federated orgs apply their own cap to the uncapped plan
+    const searchQuery = plan.query;
 
-    for (const [objectType, records] of Object.entries(data.searchRecords || {})) {
-      results[objectType] = (records || []).map(record => ({
-        ...record,
-        _searchScore: record.score || 1.0
-      }));
-      totalRecords += results[objectType].length;
+    // Server-side row cap (guardrails.maxRows / queryPreferences.maxLimit) over the requested limit
+    let rowLimit;
+    ({ query: plan.query, rowLimit } = applyRowLimit(plan.query, 'SOSL', await rowCapFor(orgProfile)));
+
+    // Execute SOSL search
+    reportProgress(req, 'querying', { queryType: 'SOSL', orgs: federation.orgIds.length || undefined });
+    const startTime = Date.now();
+    let results;
+    let totalRecords;
+    let orgs;
+    if (federation.orgIds.length) {
+      // Same SOSL in every org under that org's own profile: policy, row cap and FLS per org.
+      // Records carry _orgId and failures (including policy denials) are reported per org
+      const perOrg = await runAcrossOrgs(sessionId, federation.orgIds, (orgSf, orgId) => searchOrg(orgSf, orgId, searchQuery));
+      results = {};
+      totalRecords = 0;
+      orgs = {};
+      for (const r of perOrg) {
+        if (!r.ok) {
+          orgs[r.orgId] = { status: 'failed', error: r.error, code: r.code, reasons: r.reasons };
+          continue;
+        }
+        for (const [objectType, records] of Object.entries(r.value.results)) {
+          results[objectType] = [...(results[objectType] || []), ...records.map(record => ({ ...record, _orgId: r.orgId }))];
+        }
+        totalRecords += r.value.totalRecords;
+        orgs[r.orgId] = { status: 'ok', totalRecords: r.value.totalRecords, apiVersion: r.apiVersion, durationMs: r.durationMs, rowLimit: r.value.rowLimit, security: r.value.security };
+      }
+      if (perOrg.every(r => !r.ok)) {
+        return res.status(502).json({ success: false, error: 'federated_search_failed', sosl: plan.query, metadata: { orgIds: federation.orgIds, orgs } });
+      }
+    } else {
+      ({ results, totalRecords } = groupSearchResults(await sf.search(plan.query)));
     }
+    const executionTime = Date.now() - startTime;
 
     // Track usage
     SessionStore.trackObjectUsage(sessionId, search_term, targetObjects[0], true);
@@ -104,7 +214,10 @@ router.post('/cross-object', async (req, res) => {
         objectsSearched: Object.keys(results),
         executionTimeMs: executionTime,
         targetObjects: plan.targetObjects,
-        searchTerms: plan.searchTerms
+        searchTerms: plan.searchTerms,
+        apiVersion: sf.apiVersion,
+        rowLimit,
+        ...(orgs ? { federated: true, orgIds: federation.orgIds, failedOrgs: Object.keys(orgs).filter(id => orgs[id].status === 'failed'), orgs } : {})
       }
     });
 
@@ -132,7 +245,8 @@ router.post('/cross-object', async (req, res) => {
  */
 router.get('/capabilities', async (req, res) => {
   try {
-    const { org_id, sessionId = 'dev' } = req.query;
+    const { sessionId = 'dev' } = req.query;
+    const org_id = req.query.org_id || TokenStore.defaultOrgId(sessionId);
     
     if (!org_id) {
       return res.status(400).json({ error: 'org_id required' });
@@ -167,7 +281,7 @@ router.get('/capabilities', async (req, res) => {
         soslSupported: true,
         crossObjectSearch: true,
         maxObjects: 10,
-        maxLimit: 2000,
+        maxLimit: (await rowCapFor(orgProfile)) ?? 2000,
         defaultLimit: 200
       },
       searchableObjects,
@@ -0,0 +1,162 @@
+// Aggregate queries compiled from business-context aggregationRules. Instead of fetching
+// raw rows and asking the LLM to add them up, the rule's aggregateBy fields become
+// GROUP BY keys and its sumFields become SUM() measures, so Salesforce does the math:
+//
+//   SELECT owsc__Inventory_Location__r.Name Inventory_Location_Name, SUM(owsc__Cases_On_Hand__c) sum_Cases_On_Hand,
+//          COUNT(Id) recordCount, GROUPING(owsc__Inventory_Location__r.Name) grp_Inventory_Location_Name
+//   FROM owsc__Item_Lot__c WHERE ... GROUP BY ROLLUP(owsc__Inventory_Location__r.Name)
+//
+// ROLLUP (up to three keys, unless the rule sets "rollup": false) adds subtotal rows and a
+// grand total; GROUPING() tells them apart from groups whose key is null.
+//
+// Rules SOQL cannot group (formula keys, keys across a child subquery) use
+// compileRecordQuery instead: it fetches the raw fields for aggregationEngine.js.
+
+import { parseSoql, printSoql, printCondition } from '../utils/soqlParser.js';
+
+const MAX_ROLLUP_KEYS = 3;
+
+// owsc__Inventory_Location__r.Name -> Inventory_Location_Name (aliases allow no double underscores)
+export const aliasOf = (path) => path
+  .split('.')
+  .map(segment => segment.replace(/^[A-Za-z0-9]+__(?=\w+__[cr]$)/, '').replace(/__[cr]$/, ''))
+  .join('_')
+  .replace(/_+/g, '_')
+  .replace(/^_|_$/g, '');
+
+export function uniqueAliases(names) {
+  const seen = new Map();
+  return names.map(name => {
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    return count ? `${name}${count + 1}` : name;
+  });
+}
+
+// The generated query when it targets the rule's object (its WHERE clause is kept), else a bare one
+function baseQuery(rules, baseSoql) {
+  let ast;
+  try {
+    ast = parseSoql(baseSoql);
+  } catch {
+    ast = undefined;
+  }
+  if (!ast || ast.object.toLowerCase() !== String(rules.targetObject).toLowerCase()) {
+    ast = parseSoql(`SELECT Id FROM ${rules.targetObject}`);
+  }
+  return ast;
+}
+
+// AND in the required filters the WHERE clause does not already contain
+function addRequiredFilters(ast, requiredFilters = []) {
+  const existing = ast.where ? printCondition(ast.where).toLowerCase().replace(/\s+/g, ' ') : '';
+  const required = requiredFilters
+    .filter(f => !existing.includes(String(f).toLowerCase().replace(/\s+/g, ' ')))
+    .map(f => parseSoql(`SELECT Id FROM X WHERE ${f}`).where);
+  const conditions = [...(ast.where?.type === 'and' ? ast.where.conditions : ast.where ? [ast.where] : []), ...required];
+  ast.where = conditions.length > 1 ? { type: 'and', conditions } : conditions[0];
+}
+
+/**
+ * Compile an aggregation rule (aggregationContext.rules from detectAggregationNeeds) into
+ * GROUP BY SOQL. The WHERE clause of `baseSoql` (the generated query for the same object)
+ * is kept so question-specific filters still apply; the rule's requiredFilters are added
+ * when missing. Returns { soql, object, groupBy: [{ path, alias }], measures: [{ fn, field, alias }], rollup }.
+ */
+export function compileAggregateQuery(rules, baseSoql) {
+  const ast = baseQuery(rules, baseSoql);
+
+  const keyPaths = [...new Set(rules.aggregateBy || [])];
+  const sumFields = [...new Set(rules.sumFields || [])];
+  const rollup = rules.rollup !== false && keyPaths.length > 0 && keyPaths.length <= MAX_ROLLUP_KEYS;
+
+  const aliases = uniqueAliases([
+    ...keyPaths.map(aliasOf),
+    ...sumFields.map(f => `sum_${aliasOf(f)}`),
+    'recordCount'
+  ]);
+  const groupBy = keyPaths.map((path, i) => ({ path, alias: aliases[i] }));
+  const measures = [
+    ...sumFields.map((field, i) => ({ fn: 'SUM', field, alias: aliases[keyPaths.length + i] })),
+    { fn: 'COUNT', field: 'Id', alias: aliases[aliases.length - 1] }
+  ];
+
+  ast.select = [
+    ...groupBy.map(g => ({ type: 'field', path: g.path, alias: g.alias })),
+    ...measures.map(m => ({ type: 'function', name: m.fn, args: [{ type: 'field', path: m.field }], alias: m.alias })),
+    ...(rollup ? groupBy.map(g => ({ type: 'function', name: 'GROUPING', args: [{ type: 'field', path: g.path }], alias: `grp_${g.alias}` })) : [])
+  ];
+
+  addRequiredFilters(ast, rules.requiredFilters);
+
+  ast.groupBy = keyPaths.length ? { kind: rollup ? 'rollup' : 'plain', items: groupBy.map(g => ({ type: 'field', path: g.path })) } : undefined;
+  // Salesforce returns ROLLUP subtotals after their groups; plain groups sort by key
+  ast.orderBy = !rollup && keyPaths.length ? groupBy.map(g => ({ expr: { type: 'field', path: g.path } })) : undefined;
+  ast.limit = undefined;
+  ast.offset = undefined;
+
+  return { soql: printSoql(ast), object: ast.object, groupBy, measures, rollup };
+}
+
+/**
+ * Compile the record query for in-process aggregation: Id plus every path in `paths`, with
+ * paths whose first segment is one of `childRelationships` read through a subquery. WHERE
+ * and requiredFilters are handled as in compileAggregateQuery; there is no LIMIT. Returns
+ * { soql, object, unwind } where unwind is the child relationship a group key crosses.
+ * Keys across two different child relationships cannot be joined and throw.
+ */
+export function compileRecordQuery(rules, baseSoql, paths, childRelationships = []) {
+  const ast = baseQuery(rules, baseSoql);
+  const children = new Map(childRelationships.map(name => [name.toLowerCase(), name]));
+  const parentFields = new Set(['Id']);
+  const childFields = new Map();
+  for (const path of paths) {
+    const [first, ...rest] = path.split('.');
+    const relationship = rest.length ? children.get(first.toLowerCase()) : undefined;
+    if (!relationship) {
+      parentFields.add(path);
+      continue;
+    }
+    if (!childFields.has(relationship)) childFields.set(relationship, new Set(['Id']));
+    childFields.get(relationship).add(rest.join('.'));
+  }
+
+  const crossed = [...new Set((rules.aggregateBy || [])
+    .map(path => path.split('.'))
+    .filter(segments => segments.length > 1 && children.has(segments[0].toLowerCase()))
+    .map(segments => children.get(segments[0].toLowerCase())))];
+  if (crossed.length > 1) {
+    throw Object.assign(new Error(`Cannot group across more than one child relationship (${crossed.join(', ')})`), { code: 'unsupported_aggregation' });
+  }
+
+  ast.select = [
+    ...[...parentFields].map(path => ({ type: 'field', path })),
+    ...[...childFields].map(([relationship, fields]) => ({ type: 'subquery', query: parseSoql(`SELECT ${[...fields].join(', ')} FROM ${relationship}`) }))
+  ];
+  addRequiredFilters(ast, rules.requiredFilters);
+  ast.groupBy = undefined;
+  ast.having = undefined;
+  ast.orderBy = undefined;
+  ast.limit = undefined;
+  ast.offset = undefined;
+
+  return { soql: printSoql(ast), object: ast.object, unwind: crossed[0] };
+}
+
+/**
+ * Turn aggregate result records into a table: one column per key and measure, plus a
+ * rowType column (group | subtotal | total) for ROLLUP queries
+ */
+export function aggregateTable(records, plan) {
+  const columns = [...plan.groupBy.map(g => g.alias), ...plan.measures.map(m => m.alias)];
+  if (plan.rollup) columns.push('rowType');
+  const rows = (records || []).map(r => {
+    const row = columns.filter(c => c !== 'rowType').map(c => r[c] ?? null);
+    if (plan.rollup) {
+      const rolledUp = plan.groupBy.filter(g => r[`grp_${g.alias}`] === 1).length;
+      row.push(rolledUp === 0 ? 'group' : rolledUp === plan.groupBy.length ? 'total' : 'subtotal');
+    }
+    return row;
+  });
+  return { columns, rows };
+}
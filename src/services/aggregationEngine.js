@@ -0,0 +1,170 @@
+// In-process aggregation for questions SOQL cannot total itself: GROUP BY keys that are
+// formulas or other non-groupable fields, or keys that cross a child subquery. The route
+// fetches every matching record with queryAll and this module groups them, so the LLM is
+// only asked to describe numbers computed here.
+//
+// A spec is { groupBy: [{ path, alias }], measures: [{ op, field, p, alias }], unwind }.
+// op is sum | avg | min | max | count | distinct | percentile. Paths are dotted like SOQL
+// (owsc__Item__r.Name); a path through a subquery (owsc__Lots__r.owsc__Cases__c) reads
+// every child value. `unwind` names the child relationship a group key crosses: each
+// record then counts once per child row, like a SQL join.
+
+import { aliasOf, uniqueAliases } from './aggregateQuery.js';
+
+// Most records fetched for one in-process aggregation; larger results are flagged truncated
+export const AGGREGATION_MAX_ROWS = Number(process.env.AGGREGATION_MAX_ROWS || 50000);
+
+const lower = (s) => String(s || '').toLowerCase();
+
+// Rule keys that name measure fields, and the operation each one applies
+const MEASURE_KEYS = [
+  ['sumFields', 'sum'],
+  ['avgFields', 'avg'],
+  ['minFields', 'min'],
+  ['maxFields', 'max'],
+  ['distinctFields', 'distinct']
+];
+
+/**
+ * Build a spec from aggregationContext.rules (detectAggregationNeeds): aggregateBy keys,
+ * sumFields / avgFields / minFields / maxFields / distinctFields, percentiles
+ * ([{ field, p }] with p from 0 to 100) and a record count
+ */
+export function aggregationSpec(rules = {}) {
+  const keyPaths = [...new Set(rules.aggregateBy || [])];
+  const measures = [];
+  for (const [key, op] of MEASURE_KEYS) {
+    for (const field of new Set(rules[key] || [])) measures.push({ op, field, name: `${op}_${aliasOf(field)}` });
+  }
+  for (const { field, p } of rules.percentiles || []) {
+    const rank = Number(p);
+    if (field && rank >= 0 && rank <= 100) measures.push({ op: 'percentile', field, p: rank, name: `p${String(rank).replace('.', '_')}_${aliasOf(field)}` });
+  }
+  measures.push({ op: 'count', name: 'recordCount' });
+
+  const aliases = uniqueAliases([...keyPaths.map(aliasOf), ...measures.map(m => m.name)]);
+  return {
+    groupBy: keyPaths.map((path, i) => ({ path, alias: aliases[i] })),
+    measures: measures.map(({ name, ...m }, i) => ({ ...m, alias: aliases[keyPaths.length + i] }))
+  };
+}
+
+/**
+ * Field paths a spec reads (group keys first), for building the record query
+ */
+export function fieldPaths(spec) {
+  return [...new Set([...spec.groupBy.map(g => g.path), ...spec.measures.filter(m => m.field).map(m => m.field)])];
+}
+
+// Value of a key, matching Salesforce's casing loosely
+function getKey(obj, key) {
+  if (key in obj) return obj[key];
+  const match = Object.keys(obj).find(k => lower(k) === lower(key));
+  return match === undefined ? undefined : obj[match];
+}
+
+// All values at a dotted path; subquery results ({ records }) and arrays are flattened
+function valuesAt(value, segments) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value.flatMap(v => valuesAt(v, segments));
+  if (typeof value === 'object' && Array.isArray(value.records)) return value.records.flatMap(v => valuesAt(v, segments));
+  if (!segments.length) return [value];
+  if (typeof value !== 'object') return [];
+  return valuesAt(getKey(value, segments[0]), segments.slice(1));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return undefined;
+}
+
+// Drop binary floating point noise (0.1 + 0.2) so totals print as entered
+const clean = (n) => Number(n.toPrecision(12));
+
+// Numbers compare numerically and sort first; anything else (dates, text) by its string form
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== undefined || nb !== undefined) {
+    if (na === undefined) return 1;
+    if (nb === undefined) return -1;
+    return na - nb;
+  }
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+// Linear interpolation between closest ranks
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return clean(sorted[low] + (sorted[high] - sorted[low]) * (rank - low));
+}
+
+function measure(m, rows) {
+  if (m.op === 'count') {
+    return m.field ? rows.reduce((n, row) => n + valuesAt(row, m.field.split('.')).length, 0) : rows.length;
+  }
+  const values = rows.flatMap(row => valuesAt(row, m.field.split('.')));
+  if (m.op === 'distinct') return new Set(values.map(v => (typeof v === 'object' ? JSON.stringify(v) : v))).size;
+  if (m.op === 'min' || m.op === 'max') {
+    if (!values.length) return null;
+    const sorted = [...values].sort(compareValues);
+    return m.op === 'min' ? sorted[0] : sorted[sorted.length - 1];
+  }
+  const numbers = values.map(toNumber).filter(n => n !== undefined);
+  if (!numbers.length) return null;
+  if (m.op === 'sum') return clean(numbers.reduce((a, b) => a + b, 0));
+  if (m.op === 'avg') return clean(numbers.reduce((a, b) => a + b, 0) / numbers.length);
+  if (m.op === 'percentile') return percentile(numbers.sort((a, b) => a - b), m.p);
+  throw Object.assign(new Error(`Unsupported aggregation: ${m.op}`), { code: 'unsupported_aggregation' });
+}
+
+// One row per record, or per (record, child) pair when unwinding a child relationship
+function unwindRecords(records, relationship) {
+  if (!relationship) return records;
+  return records.flatMap(record => {
+    const key = Object.keys(record).find(k => lower(k) === lower(relationship));
+    const value = key === undefined ? undefined : record[key];
+    const children = Array.isArray(value) ? value : value?.records || [];
+    return children.length ? children.map(child => ({ ...record, [key]: child })) : [{ ...record, [key ?? relationship]: null }];
+  });
+}
+
+/**
+ * Group records by the spec's keys and compute its measures. Returns { columns, rows,
+ * totals, recordCount }: rows are sorted by key (nulls last), totals holds every measure
+ * over all rows (not a sum of group values, so averages and percentiles stay exact)
+ */
+export function aggregateRecords(records, spec) {
+  const rows = unwindRecords(records || [], spec.unwind);
+  const groups = new Map();
+  for (const row of rows) {
+    const keys = spec.groupBy.map(g => valuesAt(row, g.path.split('.'))[0] ?? null);
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) groups.set(id, { keys, rows: [] });
+    groups.get(id).rows.push(row);
+  }
+
+  const sorted = [...groups.values()].sort((a, b) => {
+    for (let i = 0; i < a.keys.length; i++) {
+      const order = compareValues(a.keys[i], b.keys[i]);
+      if (order) return order;
+    }
+    return 0;
+  });
+
+  return {
+    columns: [...spec.groupBy.map(g => g.alias), ...spec.measures.map(m => m.alias)],
+    rows: sorted.map(group => [...group.keys, ...spec.measures.map(m => measure(m, group.rows))]),
+    totals: Object.fromEntries(spec.measures.map(m => [m.alias, measure(m, rows)])),
+    recordCount: (records || []).length
+  };
+}
@@ -0,0 +1,140 @@
+import { loadOrgProfile } from '../config/configLoader.js';
+import { logger } from '../utils/logger.js';
+
+// Daily API request budget per org. Every Salesforce response carries
+// `Sforce-Limit-Info: api-usage=<used>/<max>` (recorded by sfClient); GET /limits
+// (DailyApiRequests) is sampled when the last reading is older than LIMITS_SAMPLE_MS.
+// Levels use the org profile's apiLimits thresholds (share of the daily limit used):
+// - ok
+// - warning   (>= warningThreshold): expensive work is throttled
+// - critical  (>= emergencyThreshold): expensive work is refused
+// - unknown   no reading yet; treated as ok
+// apiLimits.dailyApiLimit, when lower than the org's own limit, caps the budget this
+// server plans against.
+
+const SAMPLE_MS = Number(process.env.LIMITS_SAMPLE_MS || 5 * 60 * 1000);
+const DEFAULT_THRESHOLDS = { warningThreshold: 0.8, emergencyThreshold: 0.95, dailyApiLimit: undefined };
+
+const orgs = new Map(); // orgId -> { used, max, source, at, sampledAt, thresholds, inflight }
+
+const keyOf = (orgId) => orgId || 'default';
+
+function entryFor(orgId) {
+  const key = keyOf(orgId);
+  if (!orgs.has(key)) orgs.set(key, { thresholds: DEFAULT_THRESHOLDS });
+  return orgs.get(key);
+}
+
+// Effective daily limit: the org's, capped by the profile's dailyApiLimit
+const maxOf = (entry) => (entry?.max ? Math.min(entry.max, entry.thresholds.dailyApiLimit || Infinity) : undefined);
+
+function levelOf(entry) {
+  const max = maxOf(entry);
+  if (!max) return 'unknown';
+  const ratio = entry.used / max;
+  if (ratio >= entry.thresholds.emergencyThreshold) return 'critical';
+  if (ratio >= entry.thresholds.warningThreshold) return 'warning';
+  return 'ok';
+}
+
+function view(orgId, entry) {
+  const max = maxOf(entry);
+  return {
+    orgId: keyOf(orgId),
+    level: levelOf(entry),
+    used: entry?.used,
+    max,
+    remaining: max ? Math.max(0, max - entry.used) : undefined,
+    usedRatio: max ? Math.round((entry.used / max) * 10000) / 10000 : undefined,
+    source: entry?.source,
+    updatedAt: entry?.at
+  };
+}
+
+async function thresholdsFor(orgId) {
+  const profile = orgId ? await loadOrgProfile(orgId).catch(() => undefined) : undefined;
+  const limits = profile?.apiLimits || {};
+  return {
+    warningThreshold: Number(limits.warningThreshold) || DEFAULT_THRESHOLDS.warningThreshold,
+    emergencyThreshold: Number(limits.emergencyThreshold) || DEFAULT_THRESHOLDS.emergencyThreshold,
+    dailyApiLimit: Number(limits.dailyApiLimit) || undefined
+  };
+}
+
+export const ApiLimits = {
+  /**
+   * Record a `Sforce-Limit-Info` header value ("api-usage=25/15000")
+   */
+  recordHeader(orgId, header) {
+    const m = String(header || '').match(/api-usage=(\d+)\/(\d+)/);
+    if (!m) return;
+    Object.assign(entryFor(orgId), { used: Number(m[1]), max: Number(m[2]), source: 'header', at: Date.now() });
+  },
+
+  /**
+   * Read DailyApiRequests from GET /limits; concurrent callers share one request.
+   * Resolves to the budget view; a failed sample keeps the previous reading.
+   */
+  sample(sf, orgId) {
+    const entry = entryFor(orgId);
+    entry.inflight ||= (async () => {
+      try {
+        const limits = await sf.orgLimits();
+        const daily = limits?.DailyApiRequests;
+        if (daily?.Max) {
+          Object.assign(entry, { used: daily.Max - daily.Remaining, max: daily.Max, source: 'limits', at: Date.now() });
+        }
+      } catch (e) {
+        logger.warn({ orgId: keyOf(orgId), error: e?.message }, 'API limits sample failed');
+      } finally {
+        entry.sampledAt = Date.now();
+        entry.inflight = undefined;
+      }
+      return view(orgId, entry);
+    })();
+    return entry.inflight;
+  },
+
+  /**
+   * Current budget for an org with its profile thresholds, sampling /limits when the
+   * last reading is stale
+   */
+  async check(sf, orgId) {
+    const entry = entryFor(orgId);
+    entry.thresholds = await thresholdsFor(orgId);
+    const stale = !entry.at || Date.now() - Math.max(entry.at, entry.sampledAt || 0) > SAMPLE_MS;
+    if (stale && sf) await this.sample(sf, orgId);
+    const budget = view(orgId, entry);
+    if (budget.level === 'warning' || budget.level === 'critical') {
+      logger.warn({ ...budget }, 'Salesforce API budget low');
+    }
+    return budget;
+  },
+
+  // Last known budget level without sampling ('unknown' before the first reading)
+  level(orgId) {
+    return levelOf(orgs.get(keyOf(orgId)));
+  },
+
+  get(orgId) {
+    return view(orgId, orgs.get(keyOf(orgId)));
+  },
+
+  stats() {
+    return Object.fromEntries([...orgs.entries()].map(([orgId, entry]) => {
+      const { orgId: _, ...budget } = view(orgId, entry);
+      return [orgId, { ...budget, thresholds: entry.thresholds }];
+    }));
+  }
+};
+
+/**
+ * Error for work refused because the org's API budget is critical (HTTP 429)
+ */
+export function apiBudgetError(budget, operation) {
+  return Object.assign(new Error(`Salesforce API budget is nearly exhausted (${budget.remaining} of ${budget.max} daily requests left); ${operation} is paused`), {
+    code: 'api_budget_exhausted',
+    status: 429,
+    budget
+  });
+}
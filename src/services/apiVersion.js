@@ -0,0 +1,63 @@
+import axios from 'axios';
+import { loadOrgProfile } from '../config/configLoader.js';
+import { logger } from '../utils/logger.js';
+
+// Salesforce REST API version negotiation. Precedence:
+// 1. an explicit version passed to sfClient
+// 2. `apiVersion` in the org profile (data/configs/<orgId>.json)
+// 3. SF_API_VERSION
+// 4. the highest version the instance lists at GET /services/data (when any of the above is 'auto' or unset)
+// 5. DEFAULT_API_VERSION if detection fails
+
+export const DEFAULT_API_VERSION = '61.0';
+const DETECT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const detected = new Map(); // instanceUrl -> { promise, at }
+
+/**
+ * '61', 'v61.0' and '61.0' all normalize to '61.0'; anything else (including 'auto') to undefined
+ */
+export function normalizeApiVersion(value) {
+  const m = String(value ?? '').trim().match(/^v?(\d+)(?:\.(\d+))?$/i);
+  return m ? `${m[1]}.${m[2] || '0'}` : undefined;
+}
+
+/**
+ * Highest API version the instance supports, cached per instance. Undefined if the lookup fails.
+ */
+export async function detectApiVersion(instanceUrl) {
+  const hit = detected.get(instanceUrl);
+  if (hit && Date.now() - hit.at < DETECT_TTL_MS) return hit.promise;
+  const promise = axios.get(`${instanceUrl}/services/data`, { timeout: 10000 })
+    .then(r => {
+      const versions = (Array.isArray(r.data) ? r.data : []).map(v => normalizeApiVersion(v.version)).filter(Boolean);
+      versions.sort((a, b) => Number(a) - Number(b));
+      return versions.at(-1);
+    })
+    .catch(e => {
+      logger.warn({ instanceUrl, error: e?.message }, 'API version detection failed');
+      detected.delete(instanceUrl); // retry on the next client
+      return undefined;
+    });
+  detected.set(instanceUrl, { promise, at: Date.now() });
+  return promise;
+}
+
+/**
+ * Pick the API version for a client. Returns { version, source }.
+ */
+export async function resolveApiVersion({ instanceUrl, orgId, apiVersion } = {}) {
+  const explicit = normalizeApiVersion(apiVersion);
+  if (explicit) return { version: explicit, source: 'client' };
+
+  const profile = orgId ? await loadOrgProfile(orgId).catch(() => undefined) : undefined;
+  const fromProfile = normalizeApiVersion(profile?.apiVersion);
+  if (fromProfile) return { version: fromProfile, source: 'profile' };
+
+  const fromEnv = normalizeApiVersion(process.env.SF_API_VERSION);
+  if (fromEnv) return { version: fromEnv, source: 'env' };
+
+  const version = instanceUrl ? await detectApiVersion(instanceUrl) : undefined;
+  if (version) return { version, source: 'detected' };
+  return { version: DEFAULT_API_VERSION, source: 'default' };
+}
@@ -0,0 +1,126 @@
+import { logger } from '../utils/logger.js';
+
+// Bulk API 2.0 query path for large exports: create a query job, poll it,
+// then stream each page of result CSV straight into the export file.
+
+export const BULK_THRESHOLD = Number(process.env.EXPORT_BULK_THRESHOLD || 10000);
+const POLL_INTERVAL_MS = Number(process.env.EXPORT_BULK_POLL_MS || 2000);
+const POLL_MAX_INTERVAL_MS = 15000;
+const TIMEOUT_MS = Number(process.env.EXPORT_BULK_TIMEOUT_MS || 30 * 60 * 1000);
+const PAGE_SIZE = 50000;
+
+// Bulk API 2.0 query jobs reject child subqueries, aggregates, OFFSET and TYPEOF
+const UNSUPPORTED = [/\(\s*SELECT\b/i, /\bGROUP\s+BY\b/i, /\b(COUNT|SUM|AVG|MIN|MAX|COUNT_DISTINCT)\s*\(/i, /\bOFFSET\b/i, /\bTYPEOF\b/i];
+
+export function isBulkCompatible(soql) {
+  return typeof soql === 'string' && !UNSUPPORTED.some(re => re.test(soql));
+}
+
+// SELECT COUNT() variant of a query, plus its LIMIT (if any) so callers can cap the count
+export function toCountSoql(soql) {
+  const limitMatch = soql.match(/\bLIMIT\s+(\d+)\s*$/i);
+  const countSoql = soql
+    .replace(/\bLIMIT\s+\d+\s*$/i, '')
+    .replace(/\bORDER\s+BY\s+[\s\S]*$/i, '')
+    .replace(/^\s*SELECT\s+[\s\S]+?\s+FROM\s+/i, 'SELECT COUNT() FROM ')
+    .trim();
+  return { countSoql, limit: limitMatch ? Number(limitMatch[1]) : undefined };
+}
+
+/**
+ * Decide whether an export should use Bulk API 2.0.
+ * Returns { useBulk, estimatedRows, reason }.
+ */
+export async function chooseExportMode(sf, soql, { maxRows, threshold = BULK_THRESHOLD, mode = 'auto' } = {}) {
+  if (mode === 'rest') return { useBulk: false, reason: 'requested' };
+  if (!isBulkCompatible(soql)) return { useBulk: false, reason: 'bulk_unsupported_query' };
+  if (mode === 'bulk') return { useBulk: true, reason: 'requested' };
+
+  try {
+    const { countSoql, limit } = toCountSoql(soql);
+    const { totalSize = 0 } = await sf.query(countSoql);
+    const estimatedRows = Math.min(totalSize, limit ?? Infinity, maxRows ?? Infinity);
+    return { useBulk: estimatedRows >= threshold, estimatedRows, reason: 'row_count' };
+  } catch (e) {
+    // A count we cannot run is not a reason to fail the export; REST paging still works
+    logger.warn({ error: e?.message }, 'Export row count failed, using REST query');
+    return { useBulk: false, reason: 'count_failed' };
+  }
+}
+
+// Resolves early (without throwing) when the signal aborts; callers check signal.aborted
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+async function waitForJob(sf, jobId, { timeoutMs, onPoll, signal }) {
+  const deadline = Date.now() + timeoutMs;
+  let interval = POLL_INTERVAL_MS;
+  while (true) {
+    if (signal?.aborted) {
+      await sf.bulk.abortQueryJob(jobId).catch(() => {});
+      throw Object.assign(new Error(`Bulk query job ${jobId} cancelled`), { code: 'export_cancelled' });
+    }
+    const job = await sf.bulk.getQueryJob(jobId);
+    if (onPoll) await onPoll(job);
+    if (job.state === 'JobComplete') return job;
+    if (job.state === 'Failed' || job.state === 'Aborted') {
+      throw new Error(`Bulk query job ${jobId} ${job.state.toLowerCase()}: ${job.errorMessage || 'no details'}`);
+    }
+    if (Date.now() > deadline) {
+      await sf.bulk.abortQueryJob(jobId).catch(() => {});
+      throw new Error(`Bulk query job ${jobId} timed out after ${timeoutMs}ms`);
+    }
+    await sleep(interval, signal);
+    interval = Math.min(interval * 1.5, POLL_MAX_INTERVAL_MS);
+  }
+}
+
+/**
+ * Run soql as a Bulk API 2.0 query job and stream the result CSV into an export writer
+ * (see exportWriter.js). Every result page repeats the header line; only the first one is kept.
+ * Pass `jobId` to pick up an existing job instead of creating one; aborting `signal`
+ * aborts the Salesforce job while it is still running.
+ * Returns { jobId, rows }.
+ */
+export async function bulkQueryToWriter(sf, soql, writer, { maxRows = Infinity, timeoutMs = TIMEOUT_MS, onPoll, onPage, signal, jobId } = {}) {
+  const job = jobId ? { id: jobId } : await sf.bulk.createQueryJob(soql);
+  logger.info({ jobId: job.id, resumed: Boolean(jobId) }, jobId ? 'Bulk query job resumed' : 'Bulk query job created');
+  await waitForJob(sf, job.id, { timeoutMs, onPoll, signal });
+
+  let rows = 0;
+  let locator;
+  let firstPage = true;
+  do {
+    if (signal?.aborted) throw Object.assign(new Error(`Bulk query job ${job.id} cancelled`), { code: 'export_cancelled' });
+    const remaining = maxRows - rows;
+    const page = await sf.bulk.queryResults(job.id, { locator, maxRecords: Math.min(PAGE_SIZE, remaining) });
+    let skippingHeader = !firstPage;
+    for await (const chunk of page.stream) {
+      let buf = chunk;
+      if (skippingHeader) {
+        const nl = buf.indexOf(0x0a);
+        if (nl === -1) continue;
+        buf = buf.subarray(nl + 1);
+        skippingHeader = false;
+      }
+      if (buf.length) await writer.writeRaw(buf);
+    }
+    firstPage = false;
+    rows += page.numberOfRecords;
+    writer.countRows(page.numberOfRecords);
+    locator = page.locator;
+    if (onPage) await onPage({ rows });
+  } while (locator && rows < maxRows);
+
+  logger.info({ jobId: job.id, rows }, 'Bulk query results written');
+  return { jobId: job.id, rows };
+}
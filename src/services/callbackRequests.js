@@ -0,0 +1,67 @@
+import { v4 as uuidv4 } from 'uuid';
+import { writeJson } from '../utils/fileStore.js';
+import { invokeRoute } from '../mcp/routeInvoker.js';
+import { ExportQueue } from './exportQueue.js';
+import { jobDataFile } from './exportJob.js';
+import { validateCallbackUrl } from './webhooks.js';
+import { logger } from '../utils/logger.js';
+
+// Generate requests that carry a `callbackUrl` are answered with 202 right away and run
+// in the background. The response body is stored like an export payload, so the usual
+// /export/:id/status and signed download endpoints serve it, and the webhook fires on
+// completion (see export.js).
+
+const RESULT_TTL_MS = Number(process.env.EXPORT_TTL_MS || 15 * 60 * 1000);
+
+/**
+ * Express handler for `router.post(path, withCallback(router), handler)`. Passes
+ * through unless the body has a callbackUrl; otherwise re-dispatches the request
+ * (without callbackUrl) to the same router in-process.
+ */
+export function withCallback(router, { kind = 'generate' } = {}) {
+  return async (req, res, next) => {
+    const { callbackUrl, ...body } = req.body || {};
+    if (!callbackUrl) return next();
+    const check = await validateCallbackUrl(callbackUrl);
+    if (!check.ok) return res.status(400).json({ error: check.error });
+
+    const requestId = uuidv4();
+    const endpoint = req.originalUrl.split('?')[0];
+    try {
+      await ExportQueue.track(requestId, {
+        kind,
+        endpoint,
+        org_id: body.org_id,
+        sessionId: body.sessionId || 'dev',
+        callbackUrl: check.url,
+        baseUrl: req.protocol && req.get('host') ? `${req.protocol}://${req.get('host')}` : undefined
+      });
+    } catch (err) {
+      return res.status(500).json({ error: 'callback_request_failed', message: err?.message });
+    }
+    res.status(202).json({ requestId, status: 'running', statusUrl: `/export/${requestId}/status` });
+
+    (async () => {
+      try {
+        const { status, body: result } = await invokeRoute(router, { method: req.method, path: req.path, body, query: req.query, headers: req.headers });
+        const target = jobDataFile(requestId, 'response.json');
+        await writeJson(target, result ?? null);
+        const size = Buffer.byteLength(JSON.stringify(result ?? null, null, 2));
+        await ExportQueue.finish(requestId, {
+          status: status < 400 ? 'complete' : 'failed',
+          httpStatus: status,
+          error: status < 400 ? undefined : result?.error || result?.message || `HTTP ${status}`,
+          rowsWritten: result?.content?.rows?.length,
+          size,
+          format: 'json',
+          filename: `${kind}-${requestId}.json`,
+          path: target,
+          expiresAt: Date.now() + RESULT_TTL_MS
+        });
+      } catch (err) {
+        logger.error({ requestId, endpoint, error: err?.message }, 'Callback request failed');
+        await ExportQueue.finish(requestId, { status: 'failed', error: err?.message }).catch(() => {});
+      }
+    })();
+  };
+}
@@ -2,6 +2,7 @@
 
 const orgToObjectDescribe = new Map(); // orgId -> Map(object -> { value, expiresAt })
 const DEFAULT_TTL_MS = Number(process.env.DESCRIBE_TTL_MS || 10 * 60 * 1000);
+const listeners = new Set(); // (orgId, objectApiName, { isNew }) => void
 
 export const DescribeCache = {
   get(orgId, objectApiName) {
@@ -17,9 +18,27 @@ export const DescribeCache = {
   set(orgId, objectApiName, describe, ttlMs = DEFAULT_TTL_MS) {
     let m = orgToObjectDescribe.get(orgId);
     if (!m) { m = new Map(); orgToObjectDescribe.set(orgId, m); }
+    const isNew = !m.has(objectApiName);
     m.set(objectApiName, { value: describe, expiresAt: Date.now() + ttlMs });
+    for (const listener of listeners) {
+      try { listener(orgId, objectApiName, { isNew }); } catch {}
+    }
+  },
+  // Unexpired { orgId, objectApiName } pairs, optionally for one org
+  entries(orgId) {
+    const out = [];
+    const now = Date.now();
+    for (const [org, m] of orgToObjectDescribe.entries()) {
+      if (orgId && org !== orgId) continue;
+      for (const [objectApiName, entry] of m.entries()) {
+        if (now <= entry.expiresAt) out.push({ orgId: org, objectApiName });
+      }
+    }
+    return out;
+  },
+  // Notified on every set(); returns an unsubscribe function
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
   }
 };
-
-
-
@@ -1,6 +1,13 @@
 import { logger } from '../utils/logger.js';
 import { withRetry } from '../utils/withRetry.js';
 import { shouldRetrySalesforce } from '../utils/retryPolicies.js';
+import { DescribeCache } from './describeCache.js';
+import { ApiLimits, apiBudgetError } from './apiLimits.js';
+
+// While an org's API budget is low, the last index is reused instead of rebuilt:
+// warning → rebuilt at most every DESCRIBE_THROTTLED_REBUILD_MS, critical → never
+const THROTTLED_REBUILD_MS = Number(process.env.DESCRIBE_THROTTLED_REBUILD_MS || 30 * 60 * 1000);
+const lastIndexes = new Map(); // orgId -> { index, at }
 
 /**
  * Enhanced Describe Service for LLM-Driven Query Generation
@@ -13,6 +20,16 @@ import { shouldRetrySalesforce } from '../utils/retryPolicies.js';
  * Collect comprehensive metadata from Salesforce for LLM consumption
  */
 export async function buildEnhancedDescribeIndex(sf, orgId, options = {}) {
+  const budget = await ApiLimits.check(sf, orgId);
+  if (budget.level === 'warning' || budget.level === 'critical') {
+    const previous = lastIndexes.get(orgId || 'default');
+    if (previous && (budget.level === 'critical' || Date.now() - previous.at < THROTTLED_REBUILD_MS)) {
+      logger.warn({ orgId, level: budget.level, remaining: budget.remaining, builtAt: previous.at }, 'API budget low; reusing enhanced describe index');
+      return previous.index;
+    }
+    if (budget.level === 'critical') throw apiBudgetError(budget, 'rebuilding the describe index');
+  }
+
   try {
     logger.info({ orgId }, 'Building enhanced describe index for LLM');
     
@@ -35,22 +52,20 @@ export async function buildEnhancedDescribeIndex(sf, orgId, options = {}) {
       filtered: relevantObjects.length 
     }, 'Filtered objects for LLM analysis');
 
-    // Step 3: Describe relevant objects in batches
-    const describePromises = relevantObjects.map(obj => 
-      withRetry(() => sf.describeSObject(obj.name), {
-        retries: 3,
-        delayMs: 800,
-        shouldRetry: shouldRetrySalesforce
-      }).catch(error => {
-        logger.warn({ object: obj.name, error: error.message }, 'Failed to describe object');
-        return null; // Continue with other objects
-      })
-    );
-
-    const describeResults = await Promise.all(describePromises);
+    // Step 3: Describe relevant objects in Composite batches (25 describes per API call)
+    const { describes, errors } = await sf.describeMany(relevantObjects.map(obj => obj.name));
+    for (const [name, error] of Object.entries(errors)) {
+      logger.warn({ object: name, error }, 'Failed to describe object');
+    }
+    const describeResults = relevantObjects.map(obj => {
+      const describe = describes[obj.name];
+      // Keep the shared cache fresh so MCP resource subscribers see the refresh
+      if (orgId && describe) DescribeCache.set(orgId, obj.name, describe);
+      return describe;
+    });
     
     // Step 4: Build comprehensive index
-    const enhancedIndex = buildComprehensiveIndex(relevantObjects, describeResults.filter(Boolean));
+    const enhancedIndex = buildComprehensiveIndex(relevantObjects, describeResults);
     
     const duration = Date.now() - startTime;
     logger.info({ 
@@ -59,6 +74,7 @@ export async function buildEnhancedDescribeIndex(sf, orgId, options = {}) {
       duration 
     }, 'Enhanced describe index built successfully');
 
+    lastIndexes.set(orgId || 'default', { index: enhancedIndex, at: Date.now() });
     return enhancedIndex;
 
   } catch (error) {
@@ -246,6 +262,7 @@ function processFieldsForLLM(fields) {
     filterable: field.filterable,
     sortable: field.sortable,
     groupable: field.groupable,
+    aggregatable: field.aggregatable,
     
     // Data properties
     length: field.length,
@@ -0,0 +1,112 @@
+import path from 'path';
+import { sfClient } from './salesforce.js';
+import { TokenStore } from '../config/tokenStore.js';
+import { chooseExportMode, bulkQueryToWriter } from './bulkQuery.js';
+import { openExportWriter, gzipFile, parquetTypeFor } from './exportWriter.js';
+import { resolveFieldPaths } from './schemaIndex.js';
+import { createRecordFlattener, fromObject } from '../utils/flattenRecords.js';
+import { ApiLimits, apiBudgetError } from './apiLimits.js';
+
+export const EXPORT_DIR = path.resolve(process.cwd(), 'data', 'exports');
+export const jobMetaFile = (id) => path.join(EXPORT_DIR, `${id}.json`);
+export const jobDataFile = (id, format) => path.join(EXPORT_DIR, `${id}.${format}`); // format doubles as the extension
+
+// How long a finished export stays downloadable before the retention sweeper removes it
+const DOWNLOAD_TTL_MS = Number(process.env.EXPORT_TTL_MS || 15 * 60 * 1000);
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw Object.assign(new Error('Export cancelled'), { code: 'export_cancelled' });
+}
+
+/**
+ * Run one export job to completion. `job` is the persisted job metadata;
+ * `update(patch)` persists progress. Tokens are looked up at run time so a job
+ * resumed after a restart picks up whatever the session has stored.
+ * Returns the patch that completes the job; throws on failure or cancellation.
+ */
+export async function runExportJob(id, job, { signal, update }) {
+  const { soql, org_id, sessionId, format, children, maxRows, requestedMode } = job;
+  const tokenCtx = TokenStore.get(sessionId, org_id) || { instanceUrl: process.env.SF_INSTANCE_URL, accessToken: process.env.SF_ACCESS_TOKEN };
+  if (!tokenCtx?.instanceUrl || !tokenCtx?.accessToken) throw new Error('missing_salesforce_token');
+  const sf = sfClient({ ...tokenCtx, sessionId, orgId: org_id });
+  // Queued and scheduled jobs re-check the budget when they start
+  const budget = await ApiLimits.check(sf, org_id);
+  if (budget.level === 'critical') throw apiBudgetError(budget, 'exporting');
+
+  const target = jobDataFile(id, format);
+  let writer;
+  try {
+    const running = {};
+    // Persist progress so /status shows rows written so far
+    const progress = async (patch = {}) => {
+      Object.assign(running, patch);
+      await update({ ...running, rowsWritten: writer.rowsWritten, updatedAt: Date.now() });
+    };
+
+    const flattener = createRecordFlattener(soql, { children });
+    writer = await openExportWriter(target, format, {
+      // Parquet columns are typed from describe metadata of the queried object
+      resolveTypes: async (columns, firstPage) => {
+        const object = fromObject(soql);
+        const fields = object ? await resolveFieldPaths(sf, object, columns, { orgId: org_id }).catch(() => ({})) : {};
+        return Object.fromEntries(columns.map(c => {
+          if (flattener.childColumns.has(c)) return [c, children === 'json' ? 'JSON' : 'INT32'];
+          return [c, parquetTypeFor(fields[c], firstPage.map(r => r[c]))];
+        }));
+      }
+    });
+
+    // A resumed bulk job re-reads the results of the Salesforce job it already started
+    const resumeBulk = job.mode === 'bulk' && job.bulkJobId;
+    // Large CSV exports go through Bulk API 2.0 instead of REST paging
+    const plan = resumeBulk
+      ? { useBulk: true, estimatedRows: job.estimatedRows }
+      : ['csv', 'csv.gz'].includes(format) ? await chooseExportMode(sf, soql, { maxRows, mode: requestedMode }) : { useBulk: false };
+    throwIfCancelled(signal);
+    if (plan.useBulk) {
+      await progress({ mode: 'bulk', estimatedRows: plan.estimatedRows });
+      await bulkQueryToWriter(sf, soql, writer, {
+        maxRows,
+        signal,
+        jobId: resumeBulk ? job.bulkJobId : undefined,
+        onPoll: (bulkJob) => progress({ bulkJobId: bulkJob.id, bulkState: bulkJob.state }),
+        onPage: () => progress()
+      });
+    } else {
+      await progress({ mode: 'rest', estimatedRows: plan.estimatedRows });
+      // Bulk CSV is already flat; REST records carry attributes and nested relationship objects
+      for await (const page of sf.queryPages(soql, { maxRows })) {
+        throwIfCancelled(signal);
+        await writer.writeRecords(flattener.flatten(page));
+        await progress();
+      }
+    }
+    throwIfCancelled(signal);
+
+    let { bytes } = await writer.close();
+    let file = { path: target, format };
+    // Plain CSV over 5MB is compressed after the fact, as before
+    if (format === 'csv' && bytes > 5 * 1024 * 1024) {
+      const gz = await gzipFile(target);
+      bytes = gz.bytes;
+      file = { path: gz.path, format: 'csv.gz' };
+    }
+    return {
+      status: 'complete',
+      size: bytes,
+      rowsWritten: writer.rowsWritten,
+      format: file.format,
+      mode: running.mode,
+      bulkJobId: running.bulkJobId,
+      bulkState: running.bulkState,
+      apiVersion: sf.apiVersion,
+      filename: `export-${id}.${file.format}`,
+      path: file.path,
+      expiresAt: Date.now() + DOWNLOAD_TTL_MS
+    };
+  } catch (e) {
+    if (writer) await writer.abort().catch(() => {});
+    e.rowsWritten = writer?.rowsWritten || 0;
+    throw e;
+  }
+}
@@ -0,0 +1,209 @@
+// Persisted export job queue.
+// - Each job is its metadata file under data/exports/<id>.json (the same file /status reads)
+// - Status: queued → running → complete | failed | cancelled
+// - At most EXPORT_CONCURRENCY jobs run at once; the rest wait in FIFO order
+// - While an org's API budget is low (apiLimits.js warning level), its jobs run one at a time
+// - On boot, queued jobs are re-queued and interrupted running jobs resume
+//   (up to EXPORT_MAX_ATTEMPTS runs) or are marked failed
+// - Other tracked jobs (kind: 'generate', see callbackRequests.js) share the same
+//   metadata files and endpoints but are not run by the queue
+
+import { promises as fs } from 'fs';
+import { validate as isUuid } from 'uuid';
+import { readJson, writeJson } from '../utils/fileStore.js';
+import { runExportJob, EXPORT_DIR, jobMetaFile } from './exportJob.js';
+import { ApiLimits } from './apiLimits.js';
+import { logger } from '../utils/logger.js';
+
+const CONCURRENCY = Math.max(1, Number(process.env.EXPORT_CONCURRENCY || 2));
+const MAX_ATTEMPTS = Number(process.env.EXPORT_MAX_ATTEMPTS || 2);
+const RESUME_INTERRUPTED = process.env.EXPORT_RESUME_INTERRUPTED !== 'false';
+
+export const TERMINAL_STATUSES = ['complete', 'failed', 'cancelled'];
+
+const jobs = new Map(); // id -> metadata (write-through cache of the meta file)
+const pending = []; // queued ids, oldest first
+const active = new Map(); // id -> { controller, done }
+const listeners = new Set(); // (id, meta) when a job reaches a terminal status
+
+// Job ids come from uuidv4; anything else (e.g. ../configs/default) never names a job file
+const isJobId = (id) => typeof id === 'string' && isUuid(id);
+
+function notifyFinished(id, meta) {
+  for (const listener of listeners) {
+    try { listener(id, meta); } catch (e) { logger.warn({ exportId: id, error: e?.message }, 'Export listener failed'); }
+  }
+}
+
+async function save(id, meta) {
+  jobs.set(id, meta);
+  await writeJson(jobMetaFile(id), meta);
+  return meta;
+}
+
+async function update(id, patch) {
+  const current = jobs.get(id) || (await readJson(jobMetaFile(id))) || {};
+  return save(id, { ...current, ...patch });
+}
+
+async function run(id) {
+  const controller = new AbortController();
+  let settle;
+  active.set(id, { controller, done: new Promise(r => { settle = r; }) });
+  try {
+    const job = await update(id, { status: 'running', startedAt: Date.now(), attempts: (jobs.get(id)?.attempts || 0) + 1, error: undefined });
+    const result = await runExportJob(id, job, {
+      signal: controller.signal,
+      // Late progress writes must not overwrite a cancellation
+      update: (patch) => (controller.signal.aborted ? undefined : update(id, patch))
+    });
+    notifyFinished(id, await update(id, { ...result, finishedAt: Date.now() }));
+    logger.info({ exportId: id, rows: result.rowsWritten, size: result.size }, 'Export complete');
+  } catch (e) {
+    if (controller.signal.aborted) {
+      notifyFinished(id, await update(id, { status: 'cancelled', rowsWritten: e?.rowsWritten || 0, finishedAt: Date.now() }));
+      logger.info({ exportId: id }, 'Export cancelled');
+    } else {
+      logger.error({ exportId: id, error: e?.message }, 'Export failed');
+      notifyFinished(id, await update(id, { status: 'failed', error: e?.message, rowsWritten: e?.rowsWritten || 0, finishedAt: Date.now() }));
+    }
+  } finally {
+    active.delete(id);
+    settle();
+    pump();
+  }
+}
+
+const budgetLow = (orgId) => ['warning', 'critical'].includes(ApiLimits.level(orgId));
+
+function pump() {
+  const busyOrgs = new Set([...active.keys()].map(id => jobs.get(id)?.org_id));
+  let i = 0;
+  while (active.size < CONCURRENCY && i < pending.length) {
+    const orgId = jobs.get(pending[i])?.org_id;
+    if (busyOrgs.has(orgId) && budgetLow(orgId)) {
+      i += 1; // throttled; later jobs of other orgs may still start
+      continue;
+    }
+    const [id] = pending.splice(i, 1);
+    busyOrgs.add(orgId);
+    run(id).catch(e => logger.error({ exportId: id, error: e?.message }, 'Export worker error'));
+  }
+}
+
+export const ExportQueue = {
+  /**
+   * Recover jobs left behind by a previous process. Assumes this process is
+   * the only one working through data/exports.
+   */
+  async init() {
+    let files = [];
+    try {
+      files = (await fs.readdir(EXPORT_DIR)).filter(f => f.endsWith('.json'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return { requeued: 0, failed: 0 };
+      throw e;
+    }
+    const recovered = [];
+    let failed = 0;
+    for (const file of files) {
+      const id = file.slice(0, -'.json'.length);
+      if (!isJobId(id)) continue;
+      const meta = await readJson(jobMetaFile(id)).catch(() => undefined);
+      if (!meta || TERMINAL_STATUSES.includes(meta.status) || active.has(id) || pending.includes(id)) continue;
+      const resumable = !meta.kind && (meta.status === 'queued' || (RESUME_INTERRUPTED && (meta.attempts || 0) < MAX_ATTEMPTS));
+      if (resumable) {
+        await save(id, { ...meta, status: 'queued', resumedAt: meta.status === 'running' ? Date.now() : undefined });
+        recovered.push({ id, queuedAt: meta.queuedAt || 0 });
+      } else {
+        notifyFinished(id, await save(id, { ...meta, status: 'failed', error: 'interrupted by server restart', finishedAt: Date.now() }));
+        failed += 1;
+      }
+    }
+    recovered.sort((a, b) => a.queuedAt - b.queuedAt);
+    pending.push(...recovered.map(r => r.id));
+    if (recovered.length || failed) logger.info({ requeued: recovered.length, failed }, 'Recovered export jobs');
+    pump();
+    return { requeued: recovered.length, failed };
+  },
+
+  /**
+   * Persist a new job and schedule it. `job` carries soql, org_id, sessionId,
+   * format, children, maxRows and requestedMode.
+   */
+  async enqueue(id, job) {
+    const meta = await save(id, { ...job, status: 'queued', size: 0, rowsWritten: 0, attempts: 0, queuedAt: Date.now() });
+    pending.push(id);
+    pump();
+    return meta;
+  },
+
+  async get(id) {
+    if (!isJobId(id)) return undefined;
+    const meta = jobs.get(id) || (await readJson(jobMetaFile(id)));
+    if (meta && meta.status === 'queued') return { ...meta, position: pending.indexOf(id) + 1 || undefined };
+    return meta;
+  },
+
+  /**
+   * Cancel a queued or running job. Waits for a running job to stop and
+   * remove its partial file. Returns the final metadata, or undefined if unknown
+   * (including ids that are not job uuids).
+   */
+  async cancel(id) {
+    if (!isJobId(id)) return undefined;
+    const meta = await ExportQueue.get(id);
+    if (!meta || TERMINAL_STATUSES.includes(meta.status)) return meta;
+    const running = active.get(id);
+    if (running) {
+      running.controller.abort();
+      await running.done;
+      return jobs.get(id);
+    }
+    if (meta.kind) return meta; // tracked jobs run outside the queue and cannot be cancelled
+    const index = pending.indexOf(id);
+    if (index !== -1) pending.splice(index, 1);
+    const cancelled = await update(id, { status: 'cancelled', finishedAt: Date.now() });
+    notifyFinished(id, cancelled);
+    return cancelled;
+  },
+
+  /**
+   * Record a job that runs outside the queue (e.g. a generate request with a callbackUrl)
+   * so /export/:id/status, downloads and retention cover it. Call finish() when it ends.
+   */
+  async track(id, meta) {
+    return save(id, { ...meta, status: 'running', startedAt: Date.now() });
+  },
+
+  async finish(id, patch) {
+    const meta = await update(id, { ...patch, finishedAt: Date.now() });
+    notifyFinished(id, meta);
+    return meta;
+  },
+
+  // Merge fields into a job's metadata (e.g. webhook delivery results); no-op once it is deleted
+  async annotate(id, patch) {
+    if (!isJobId(id)) return undefined;
+    const current = jobs.get(id) || (await readJson(jobMetaFile(id)));
+    if (!current) return undefined;
+    return save(id, { ...current, ...patch });
+  },
+
+  /**
+   * Listen for jobs reaching complete, failed or cancelled. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Drop a deleted job from the cache (see exportRetention.js)
+  forget(id) {
+    if (!active.has(id)) jobs.delete(id);
+  },
+
+  stats() {
+    return { running: active.size, queued: pending.length, concurrency: CONCURRENCY };
+  }
+};
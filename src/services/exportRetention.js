@@ -0,0 +1,177 @@
+// Retention sweeper for data/exports.
+// - Completed exports are deleted (payload + metadata) once `expiresAt` passes
+// - Failed/cancelled job metadata is kept for EXPORT_FAILED_RETENTION_MS
+// - Payload files with no job metadata are removed after an hour
+// - Each org's completed exports are kept under EXPORT_ORG_QUOTA_BYTES, oldest deleted first
+// Files are grouped by export id (`<id>.json`, `<id>.csv`, `<id>.csv.gz`, ...), so payloads
+// are found even when the recorded path came from another machine.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { EXPORT_DIR } from './exportJob.js';
+import { ExportQueue, TERMINAL_STATUSES } from './exportQueue.js';
+import { logger } from '../utils/logger.js';
+
+const SWEEP_INTERVAL_MS = Number(process.env.EXPORT_SWEEP_INTERVAL_MS || 5 * 60 * 1000);
+const ORG_QUOTA_BYTES = Number(process.env.EXPORT_ORG_QUOTA_BYTES || 1024 * 1024 * 1024); // 0 disables
+const FAILED_RETENTION_MS = Number(process.env.EXPORT_FAILED_RETENTION_MS || 24 * 60 * 60 * 1000);
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const stats = {
+  sweeps: 0,
+  lastSweepAt: undefined,
+  lastSweepMs: undefined,
+  lastError: undefined,
+  deletedExports: 0,
+  reclaimedBytes: 0,
+  byReason: {
+    expired: { exports: 0, bytes: 0 },
+    quota: { exports: 0, bytes: 0 },
+    orphan: { exports: 0, bytes: 0 }
+  },
+  usageByOrg: {}
+};
+
+let timer;
+let sweeping;
+
+// id -> { files: [{ name, size, mtimeMs }], bytes, meta, mtimeMs }
+async function scanExports() {
+  let names = [];
+  try {
+    names = await fs.readdir(EXPORT_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return new Map();
+    throw e;
+  }
+  const byId = new Map();
+  for (const name of names) {
+    if (name.endsWith('.tmp')) continue; // in-flight atomic writes
+    const st = await fs.stat(path.join(EXPORT_DIR, name)).catch(() => undefined);
+    if (!st?.isFile()) continue;
+    const id = name.split('.')[0];
+    const entry = byId.get(id) || { files: [], bytes: 0, mtimeMs: 0 };
+    entry.files.push({ name, size: st.size, mtimeMs: st.mtimeMs });
+    entry.bytes += st.size;
+    entry.mtimeMs = Math.max(entry.mtimeMs, st.mtimeMs);
+    byId.set(id, entry);
+  }
+  for (const [id, entry] of byId) {
+    if (entry.files.some(f => f.name === `${id}.json`)) {
+      // The queue's copy is newer than disk for jobs it is running
+      entry.meta = await ExportQueue.get(id).catch(() => undefined);
+    }
+  }
+  return byId;
+}
+
+// When an export's files may be deleted; Infinity while it is queued or running
+function expiryOf(entry) {
+  const { meta } = entry;
+  if (!meta) return entry.mtimeMs + ORPHAN_GRACE_MS;
+  if (!TERMINAL_STATUSES.includes(meta.status)) return Infinity;
+  if (meta.status === 'complete') return meta.expiresAt ?? entry.mtimeMs;
+  return (meta.finishedAt || entry.mtimeMs) + FAILED_RETENTION_MS;
+}
+
+async function removeExport(id, entry, reason) {
+  let bytes = 0;
+  for (const file of entry.files) {
+    try {
+      await fs.rm(path.join(EXPORT_DIR, file.name), { force: true });
+      bytes += file.size;
+    } catch (e) {
+      logger.warn({ exportId: id, file: file.name, error: e?.message }, 'Failed to delete export file');
+    }
+  }
+  ExportQueue.forget(id);
+  stats.deletedExports += 1;
+  stats.reclaimedBytes += bytes;
+  stats.byReason[reason].exports += 1;
+  stats.byReason[reason].bytes += bytes;
+  return bytes;
+}
+
+async function runSweep() {
+  const started = Date.now();
+  const byId = await scanExports();
+  const summary = { expired: 0, quota: 0, orphan: 0, reclaimedBytes: 0 };
+
+  for (const [id, entry] of [...byId]) {
+    if (expiryOf(entry) > started) continue;
+    const reason = entry.meta ? 'expired' : 'orphan';
+    summary.reclaimedBytes += await removeExport(id, entry, reason);
+    summary[reason] += 1;
+    byId.delete(id);
+  }
+
+  // Per-org quota over what is left; only completed exports can be evicted
+  const usageByOrg = {};
+  const evictable = {};
+  for (const [id, entry] of byId) {
+    const org = entry.meta?.org_id;
+    if (!org) continue;
+    usageByOrg[org] = (usageByOrg[org] || 0) + entry.bytes;
+    if (entry.meta.status === 'complete') (evictable[org] ||= []).push({ id, entry, at: entry.meta.finishedAt || entry.mtimeMs });
+  }
+  if (ORG_QUOTA_BYTES > 0) {
+    for (const org of Object.keys(usageByOrg)) {
+      const candidates = (evictable[org] || []).sort((a, b) => a.at - b.at);
+      while (usageByOrg[org] > ORG_QUOTA_BYTES && candidates.length) {
+        const { id, entry } = candidates.shift();
+        const bytes = await removeExport(id, entry, 'quota');
+        usageByOrg[org] -= entry.bytes;
+        summary.reclaimedBytes += bytes;
+        summary.quota += 1;
+      }
+      if (usageByOrg[org] > ORG_QUOTA_BYTES) logger.warn({ org, bytes: usageByOrg[org], quota: ORG_QUOTA_BYTES }, 'Org export usage over quota with no completed exports left to evict');
+    }
+  }
+
+  stats.sweeps += 1;
+  stats.lastSweepAt = started;
+  stats.lastSweepMs = Date.now() - started;
+  stats.lastError = undefined;
+  stats.usageByOrg = usageByOrg;
+  if (summary.expired || summary.quota || summary.orphan) logger.info(summary, 'Export retention sweep');
+  return summary;
+}
+
+export const ExportRetention = {
+  /**
+   * Run one sweep now. Concurrent callers share the sweep already in progress.
+   */
+  async sweep() {
+    if (!sweeping) {
+      sweeping = runSweep()
+        .catch(e => {
+          stats.lastError = e?.message;
+          logger.error({ error: e?.message }, 'Export retention sweep failed');
+          throw e;
+        })
+        .finally(() => { sweeping = undefined; });
+    }
+    return sweeping;
+  },
+
+  start() {
+    if (timer) return;
+    ExportRetention.sweep().catch(() => {});
+    timer = setInterval(() => ExportRetention.sweep().catch(() => {}), SWEEP_INTERVAL_MS);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = undefined;
+  },
+
+  stats() {
+    return {
+      ...stats,
+      byReason: structuredClone(stats.byReason),
+      quotaBytes: ORG_QUOTA_BYTES || undefined,
+      intervalMs: SWEEP_INTERVAL_MS
+    };
+  }
+};
@@ -0,0 +1,195 @@
+// Recurring exports: saved export definitions with a cron schedule.
+// - Definitions (and their recent run history) live in data/schedules/<id>.json
+// - A tick every EXPORT_SCHEDULER_TICK_MS enqueues due schedules on the export queue,
+//   so scheduled runs go through the same pipeline, retention and /export/:id endpoints
+// - A run missed while the server was down fires once on the next tick
+// - A run is skipped while the previous run of the same schedule is still queued or running
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { CronExpressionParser } from 'cron-parser';
+import { readJson, writeJson } from '../utils/fileStore.js';
+import { validate } from '../utils/jsonSchema.js';
+import { ExportQueue, TERMINAL_STATUSES } from './exportQueue.js';
+import { EXPORT_FORMATS } from './exportWriter.js';
+import { CHILD_MODES } from '../utils/flattenRecords.js';
+import { logger } from '../utils/logger.js';
+
+const baseDir = path.resolve(process.cwd(), 'data', 'schedules');
+const scheduleFile = (id) => path.join(baseDir, `${id}.json`);
+
+const TICK_MS = Number(process.env.EXPORT_SCHEDULER_TICK_MS || 30 * 1000);
+const HISTORY_LIMIT = Number(process.env.EXPORT_SCHEDULE_HISTORY || 50);
+
+export const scheduleSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    cron: { type: 'string', minLength: 1 },
+    timezone: { type: 'string' },
+    org_id: { type: 'string', minLength: 1 },
+    sessionId: { type: 'string', minLength: 1 },
+    soql: { type: 'string', minLength: 1 },
+    format: { enum: EXPORT_FORMATS },
+    children: { enum: CHILD_MODES },
+    mode: { enum: ['auto', 'bulk', 'rest'] },
+    maxRows: { type: 'integer', minimum: 1 },
+    enabled: { type: 'boolean' }
+  },
+  required: ['name', 'cron', 'org_id', 'soql'],
+  additionalProperties: false
+};
+
+const DEFAULTS = { timezone: 'UTC', sessionId: 'dev', format: 'csv', children: 'count', mode: 'auto', maxRows: 50000, enabled: true };
+const EDITABLE = Object.keys(scheduleSchema.properties);
+
+const schedules = new Map(); // id -> definition (write-through cache of data/schedules)
+let timer;
+let ticking = false;
+
+/**
+ * Next fire time (ms) for a cron expression after `from`; throws on an invalid expression or timezone
+ */
+export function nextRunAt(cron, timezone = 'UTC', from = Date.now()) {
+  return CronExpressionParser.parse(cron, { currentDate: new Date(from), tz: timezone }).next().toDate().getTime();
+}
+
+function checkDefinition(def) {
+  const { ok, errors } = validate(scheduleSchema, def);
+  if (!ok) return { ok: false, error: 'invalid_schedule', details: errors };
+  try {
+    nextRunAt(def.cron, def.timezone);
+  } catch (e) {
+    return { ok: false, error: 'invalid_cron', details: e.message };
+  }
+  return { ok: true };
+}
+
+async function save(schedule) {
+  schedules.set(schedule.id, schedule);
+  await writeJson(scheduleFile(schedule.id), schedule);
+  return schedule;
+}
+
+async function recordRun(schedule, run) {
+  const current = schedules.get(schedule.id);
+  if (!current) return undefined; // deleted while the run was starting
+  const runs = [run, ...(current.runs || [])].slice(0, HISTORY_LIMIT);
+  return save({ ...current, runs, lastRunAt: run.startedAt });
+}
+
+async function fire(schedule, trigger) {
+  const startedAt = Date.now();
+  const run = { runId: uuidv4(), trigger, scheduledFor: trigger === 'cron' ? schedule.nextRunAt : undefined, startedAt };
+  const previous = (schedules.get(schedule.id) || schedule).runs?.find(r => r.exportId);
+  const previousJob = previous ? await ExportQueue.get(previous.exportId) : undefined;
+  if (previousJob && !TERMINAL_STATUSES.includes(previousJob.status)) {
+    logger.warn({ scheduleId: schedule.id, exportId: previous.exportId }, 'Scheduled export skipped; previous run still active');
+    await recordRun(schedule, { ...run, status: 'skipped', error: 'previous_run_active' });
+    return { ...run, status: 'skipped', error: 'previous_run_active' };
+  }
+  const { soql, org_id, sessionId, format, children, maxRows, mode } = schedule;
+  const exportId = uuidv4();
+  await ExportQueue.enqueue(exportId, { soql, org_id, sessionId, format, children, maxRows, requestedMode: mode, scheduleId: schedule.id, runId: run.runId });
+  logger.info({ scheduleId: schedule.id, exportId, trigger }, 'Scheduled export enqueued');
+  await recordRun(schedule, { ...run, exportId });
+  return { ...run, exportId };
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    for (const schedule of schedules.values()) {
+      if (!schedule.enabled || !schedule.nextRunAt || schedule.nextRunAt > now) continue;
+      try {
+        await fire(schedule, 'cron');
+      } catch (e) {
+        logger.error({ scheduleId: schedule.id, error: e?.message }, 'Scheduled export failed to start');
+        await recordRun(schedule, { runId: uuidv4(), trigger: 'cron', scheduledFor: schedule.nextRunAt, startedAt: now, status: 'failed', error: e?.message });
+      }
+      if (!schedules.has(schedule.id)) continue;
+      // Next occurrence after now: a backlog of missed runs collapses into the one just fired
+      await save({ ...schedules.get(schedule.id), nextRunAt: nextRunAt(schedule.cron, schedule.timezone, now) });
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+export const ExportScheduler = {
+  /**
+   * Load saved schedules and start ticking
+   */
+  async start() {
+    let files = [];
+    try {
+      files = (await fs.readdir(baseDir)).filter(f => f.endsWith('.json'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    for (const file of files) {
+      const schedule = await readJson(path.join(baseDir, file)).catch(() => undefined);
+      if (schedule?.id) schedules.set(schedule.id, schedule);
+    }
+    if (schedules.size) logger.info({ schedules: schedules.size }, 'Loaded export schedules');
+    if (!timer) {
+      timer = setInterval(() => tick().catch(e => logger.error({ error: e?.message }, 'Export scheduler tick failed')), TICK_MS);
+      timer.unref();
+    }
+    await tick();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = undefined;
+  },
+
+  list() {
+    return [...schedules.values()].sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  get(id) {
+    return schedules.get(id);
+  },
+
+  async create(def = {}) {
+    const definition = { ...DEFAULTS, ...def };
+    const check = checkDefinition(definition);
+    if (!check.ok) return check;
+    const now = Date.now();
+    const schedule = { id: uuidv4(), ...definition, createdAt: now, updatedAt: now, nextRunAt: nextRunAt(definition.cron, definition.timezone, now), runs: [] };
+    await save(schedule);
+    return { ok: true, schedule };
+  },
+
+  async update(id, patch = {}) {
+    const current = schedules.get(id);
+    if (!current) return { ok: false, error: 'not_found' };
+    const definition = Object.fromEntries(EDITABLE.filter(k => current[k] !== undefined).map(k => [k, current[k]]));
+    Object.assign(definition, patch);
+    const check = checkDefinition(definition);
+    if (!check.ok) return check;
+    const now = Date.now();
+    const schedule = { ...current, ...definition, updatedAt: now, nextRunAt: nextRunAt(definition.cron, definition.timezone, now) };
+    await save(schedule);
+    return { ok: true, schedule };
+  },
+
+  async remove(id) {
+    if (!schedules.delete(id)) return false;
+    await fs.rm(scheduleFile(id), { force: true });
+    return true;
+  },
+
+  /**
+   * Run a schedule now, outside its cron cadence
+   */
+  async runNow(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) return undefined;
+    return fire(schedule, 'manual');
+  }
+};
@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { pipeline, finished } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import { ParquetWriter, fileWriter, schemaFromColumnData } from 'hyparquet-writer';
+
+// Streaming export writers: rows are written page by page as they arrive,
+// so memory stays flat regardless of export size.
+
+const MAX_ROWS_PER_SHEET = 100_000;
+const PARQUET_ROW_GROUP_SIZE = 50_000;
+
+export const EXPORT_FORMATS = ['csv', 'csv.gz', 'xlsx', 'parquet', 'jsonl'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv',
+  'csv.gz': 'application/gzip',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  parquet: 'application/vnd.apache.parquet',
+  jsonl: 'application/x-ndjson',
+  json: 'application/json' // stored generate responses (callbackRequests.js)
+};
+
+// Array/object cells (json child mode) are serialized for flat formats
+const cellValue = (v) => (v && typeof v === 'object' && !(v instanceof Date) ? JSON.stringify(v) : v);
+
+function escapeCsv(v) {
+  const s = v == null ? '' : String(cellValue(v));
+  if (/[",\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+function openCsvWriter(filePath, { gzip = false } = {}) {
+  const file = fs.createWriteStream(filePath);
+  const gz = gzip ? zlib.createGzip() : undefined;
+  const piped = gz ? pipeline(gz, file) : undefined;
+  piped?.catch(() => {}); // surfaced from close()
+  const out = gz || file;
+  let headers;
+
+  const writer = {
+    rowsWritten: 0,
+    // Columns come from the first record, matching the buffered writer this replaced
+    async writeRecords(records) {
+      if (!records.length) return;
+      let chunk = '';
+      if (!headers) {
+        headers = Object.keys(records[0] || {});
+        chunk += headers.join(',');
+      }
+      for (const r of records) {
+        chunk += (chunk || writer.rowsWritten ? '\n' : '') + headers.map(h => escapeCsv(r[h])).join(',');
+      }
+      await write(out, chunk);
+      writer.rowsWritten += records.length;
+    },
+    // Pre-formatted CSV (Bulk API results); the caller reports rows via countRows()
+    async writeRaw(buf) {
+      await write(out, buf);
+    },
+    countRows(n) {
+      writer.rowsWritten += n;
+    },
+    async close() {
+      out.end();
+      await (piped || finished(file));
+      return { bytes: (await fs.promises.stat(filePath)).size };
+    },
+    async abort() {
+      out.destroy();
+      file.destroy();
+      if (piped) await piped.catch(() => {});
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+  return writer;
+}
+
+function openXlsxWriter(filePath) {
+  const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: false, useSharedStrings: false });
+  let headers;
+  let sheetIndex = 0;
+  let ws;
+  let sheetRows = 0;
+
+  const nextSheet = () => {
+    if (ws) ws.commit();
+    sheetIndex += 1;
+    ws = wb.addWorksheet(`Export-${sheetIndex}`);
+    if (headers.length) ws.addRow(headers).commit();
+    sheetRows = 0;
+  };
+
+  const writer = {
+    rowsWritten: 0,
+    async writeRecords(records) {
+      if (!records.length) return;
+      if (!headers) {
+        headers = Object.keys(records[0] || {});
+        nextSheet();
+      }
+      for (const r of records) {
+        if (sheetRows >= MAX_ROWS_PER_SHEET) nextSheet();
+        ws.addRow(headers.map(h => cellValue(r[h]))).commit();
+        sheetRows += 1;
+      }
+      writer.rowsWritten += records.length;
+    },
+    async writeRaw() {
+      throw new Error('xlsx exports cannot take raw CSV');
+    },
+    countRows() {},
+    async close() {
+      if (!ws) ws = wb.addWorksheet('Export-1');
+      ws.commit();
+      await wb.commit();
+      return { bytes: (await fs.promises.stat(filePath)).size };
+    },
+    async abort() {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+  return writer;
+}
+
+function openJsonlWriter(filePath) {
+  const file = fs.createWriteStream(filePath);
+  const writer = {
+    rowsWritten: 0,
+    async writeRecords(records) {
+      if (!records.length) return;
+      await write(file, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+      writer.rowsWritten += records.length;
+    },
+    async writeRaw() {
+      throw new Error('jsonl exports cannot take raw CSV');
+    },
+    countRows() {},
+    async close() {
+      file.end();
+      await finished(file);
+      return { bytes: (await fs.promises.stat(filePath)).size };
+    },
+    async abort() {
+      file.destroy();
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+  return writer;
+}
+
+/**
+ * Parquet column type for a Salesforce describe field (see schemaIndex.resolveFieldPaths).
+ * Columns without describe metadata (aggregates, child counts) are typed from sample values.
+ */
+export function parquetTypeFor(field, samples = []) {
+  switch (field?.type) {
+    case 'currency':
+    case 'double':
+    case 'percent':
+    case 'long':
+      return 'DOUBLE';
+    case 'int':
+      return 'INT32';
+    case 'date':
+    case 'datetime':
+      return 'TIMESTAMP';
+    case 'boolean':
+      return 'BOOLEAN';
+    case 'address':
+    case 'location':
+      return 'JSON';
+    case undefined:
+      break;
+    default:
+      return 'STRING';
+  }
+  const present = samples.filter(v => v !== null && v !== undefined);
+  if (!present.length) return 'STRING';
+  if (present.every(v => typeof v === 'number')) return 'DOUBLE';
+  if (present.every(v => typeof v === 'boolean')) return 'BOOLEAN';
+  if (present.some(v => typeof v === 'object')) return 'JSON';
+  return 'STRING';
+}
+
+function toParquetValue(type, v) {
+  if (v === null || v === undefined || v === '') return null;
+  switch (type) {
+    case 'DOUBLE': {
+      const n = Number(v);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'INT32': {
+      const n = Number(v);
+      return Number.isFinite(n) ? Math.trunc(n) : null;
+    }
+    case 'TIMESTAMP': {
+      const d = v instanceof Date ? v : new Date(v);
+      return Number.isNaN(d.getTime()) ? null : d;
+    }
+    case 'BOOLEAN':
+      return v === true || v === 'true';
+    case 'JSON':
+      return v;
+    default:
+      return String(cellValue(v));
+  }
+}
+
+// Rows are buffered into row groups; column types are resolved once, from the first page
+function openParquetWriter(filePath, { resolveTypes }) {
+  let pw;
+  let columns;
+  let types;
+  let buffer = [];
+
+  const flush = () => {
+    if (!buffer.length) return;
+    const columnData = columns.map(c => ({ name: c, data: buffer.map(r => toParquetValue(types[c], r[c])), type: types[c] }));
+    pw.write({ columnData, rowGroupSize: buffer.length });
+    buffer = [];
+  };
+
+  const writer = {
+    rowsWritten: 0,
+    async writeRecords(records) {
+      if (!records.length) return;
+      if (!pw) {
+        columns = Object.keys(records[0] || {});
+        types = resolveTypes ? await resolveTypes(columns, records) : {};
+        for (const c of columns) types[c] = types[c] || parquetTypeFor(undefined, records.map(r => r[c]));
+        const schema = schemaFromColumnData({ columnData: columns.map(name => ({ name, data: [], type: types[name] })) });
+        pw = new ParquetWriter({ writer: fileWriter(filePath), schema });
+      }
+      buffer.push(...records);
+      writer.rowsWritten += records.length;
+      if (buffer.length >= PARQUET_ROW_GROUP_SIZE) flush();
+    },
+    async writeRaw() {
+      throw new Error('parquet exports cannot take raw CSV');
+    },
+    countRows() {},
+    async close() {
+      if (!pw) {
+        // No rows: still produce a readable (empty) file
+        pw = new ParquetWriter({ writer: fileWriter(filePath), schema: [{ name: 'root', num_children: 0 }] });
+      }
+      flush();
+      pw.finish();
+      return { bytes: (await fs.promises.stat(filePath)).size };
+    },
+    async abort() {
+      buffer = [];
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+  return writer;
+}
+
+/**
+ * Open a streaming writer for one of EXPORT_FORMATS.
+ * Writers expose writeRecords(records), writeRaw(buf), countRows(n), close() -> { bytes }, abort() and rowsWritten.
+ * Parquet takes `resolveTypes(columns, firstPage) -> { column: type }` to type its columns.
+ */
+export async function openExportWriter(filePath, format, { resolveTypes } = {}) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  if (format === 'xlsx') return openXlsxWriter(filePath);
+  if (format === 'parquet') return openParquetWriter(filePath, { resolveTypes });
+  if (format === 'jsonl') return openJsonlWriter(filePath);
+  return openCsvWriter(filePath, { gzip: format === 'csv.gz' });
+}
+
+/**
+ * Gzip a finished file alongside itself (file -> file.gz) and remove the original
+ */
+export async function gzipFile(filePath) {
+  const gzPath = `${filePath}.gz`;
+  await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(gzPath));
+  await fs.promises.rm(filePath, { force: true });
+  return { path: gzPath, bytes: (await fs.promises.stat(gzPath)).size };
+}
@@ -0,0 +1,73 @@
+// Federated execution: run the same plan against several connected orgs of a session in
+// parallel. Each org needs its own connection (see /v1/orgs); the env token fallback is
+// not used here because it belongs to a single org.
+
+import { TokenStore } from '../config/tokenStore.js';
+import { sfClient } from './salesforce.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_ORGS = Number(process.env.FEDERATION_MAX_ORGS || 10);
+
+/**
+ * Check an `org_ids` request option. Returns { ok, orgIds } or { ok: false, error }.
+ */
+export function parseOrgIds(value) {
+  if (value === undefined || value === null) return { ok: true, orgIds: [] };
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !id)) {
+    return { ok: false, error: 'org_ids must be an array of org ids' };
+  }
+  const orgIds = [...new Set(value)];
+  if (orgIds.length > MAX_ORGS) return { ok: false, error: `org_ids accepts at most ${MAX_ORGS} orgs` };
+  return { ok: true, orgIds };
+}
+
+/**
+ * Run `fn(sf, orgId)` for every org in parallel. Never throws; returns
+ * [{ orgId, ok: true, value, apiVersion, durationMs } | { orgId, ok: false, error, code, reasons, errors }]
+ * in `orgIds` order.
+ */
+export async function runAcrossOrgs(sessionId, orgIds, fn) {
+  return Promise.all(orgIds.map(async (orgId) => {
+    const started = Date.now();
+    const tokenCtx = TokenStore.get(sessionId, orgId);
+    if (!tokenCtx?.instanceUrl || !tokenCtx?.accessToken) {
+      return { orgId, ok: false, error: 'Org is not connected for this session', code: 'missing_salesforce_token' };
+    }
+    const sf = sfClient({ ...tokenCtx, sessionId, orgId });
+    try {
+      const value = await fn(sf, orgId);
+      return { orgId, ok: true, value, apiVersion: sf.apiVersion, durationMs: Date.now() - started };
+    } catch (err) {
+      logger.warn({ orgId, error: err?.message }, 'Federated query failed for org');
+      return {
+        orgId,
+        ok: false,
+        error: err?.response?.data?.[0]?.message || err?.message,
+        code: err?.code || err?.response?.data?.[0]?.errorCode || 'query_failed',
+        reasons: err?.reasons,
+        errors: err?.errors,
+        durationMs: Date.now() - started
+      };
+    }
+  }));
+}
+
+/**
+ * Merge the successful results of runAcrossOrgs into one table with a leading `_orgId`
+ * column. `render(value)` turns one org's value into { columns, rows }; the columns come
+ * from the first org that returned rows. Returns { columns, rows, rowCounts } with
+ * rowCounts keyed by org id.
+ */
+export function mergeOrgTables(results, render) {
+  let columns;
+  const rows = [];
+  const rowCounts = {};
+  for (const r of results) {
+    if (!r.ok) continue;
+    const table = render(r.value);
+    if (!columns || (!rows.length && table.rows.length)) columns = table.columns;
+    for (const row of table.rows) rows.push([r.orgId, ...row]);
+    rowCounts[r.orgId] = table.rows.length;
+  }
+  return { columns: ['_orgId', ...columns || []], rows, rowCounts };
+}
@@ -0,0 +1,113 @@
+// Headless OAuth for scheduled jobs and server-to-server agents. An org profile opts in with
+//   "auth": { "flow": "jwt" | "client_credentials", ... }
+// and gets a token in TokenStore (under auth.sessionId, default "dev") on boot, re-issued
+// every refreshIntervalMs and whenever Salesforce answers 401. Neither flow has a refresh
+// token, so "refresh" means running the grant again.
+//
+// jwt:                clientId, username, privateKeyFile | privateKeyEnv, loginUrl, audience
+// client_credentials: clientId, clientSecretEnv (default SF_CLIENT_SECRET), loginUrl (My Domain URL)
+// clientId falls back to clientIdEnv, then SF_CLIENT_ID.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { listOrgProfiles, loadOrgProfile } from '../config/configLoader.js';
+import { TokenStore } from '../config/tokenStore.js';
+import { jwtBearerToken, clientCredentialsToken } from './salesforceOAuth.js';
+import { logger } from '../utils/logger.js';
+
+export const HEADLESS_FLOWS = ['jwt', 'client_credentials'];
+const DEFAULT_REFRESH_MS = Number(process.env.SF_HEADLESS_REFRESH_MS || 45 * 60 * 1000);
+
+const orgs = new Map(); // orgId -> { auth, timer, inflight, issuedAt, lastError }
+
+async function requestToken(auth) {
+  const clientId = auth.clientId || process.env[auth.clientIdEnv || 'SF_CLIENT_ID'];
+  if (!clientId) throw new Error('auth.clientId is not configured');
+  if (auth.flow === 'jwt') {
+    if (!auth.username) throw new Error('auth.username is required for the jwt flow');
+    const privateKey = auth.privateKeyEnv
+      ? process.env[auth.privateKeyEnv]?.replace(/\\n/g, '\n')
+      : auth.privateKeyFile && await fs.readFile(path.resolve(process.cwd(), auth.privateKeyFile), 'utf8');
+    if (!privateKey) throw new Error('auth.privateKeyFile or auth.privateKeyEnv is required for the jwt flow');
+    return jwtBearerToken({ clientId, username: auth.username, privateKey, loginUrl: auth.loginUrl, audience: auth.audience });
+  }
+  const clientSecret = process.env[auth.clientSecretEnv || 'SF_CLIENT_SECRET'];
+  if (!clientSecret) throw new Error(`${auth.clientSecretEnv || 'SF_CLIENT_SECRET'} is not set`);
+  if (!auth.loginUrl) throw new Error('auth.loginUrl (the org My Domain URL) is required for the client_credentials flow');
+  return clientCredentialsToken({ clientId, clientSecret, loginUrl: auth.loginUrl });
+}
+
+async function authenticate(orgId) {
+  const entry = orgs.get(orgId);
+  const { auth } = entry;
+  try {
+    const token = await requestToken(auth);
+    const sessionId = auth.sessionId || 'dev';
+    // Keep connection metadata (label, default flag) across re-issues
+    const ctx = { ...TokenStore.get(sessionId, orgId), ...token, flow: auth.flow, loginUrl: auth.loginUrl };
+    TokenStore.put(sessionId, orgId, ctx);
+    Object.assign(entry, { issuedAt: token.issuedAt, lastError: undefined });
+    logger.info({ orgId, flow: auth.flow, instanceUrl: token.instanceUrl }, 'Headless OAuth token issued');
+    return ctx;
+  } catch (err) {
+    const message = err?.response?.data?.error_description || err?.message;
+    entry.lastError = message;
+    logger.error({ orgId, flow: auth.flow, error: message }, 'Headless OAuth failed');
+    throw new Error(`Headless OAuth failed for ${orgId}: ${message}`);
+  }
+}
+
+export const HeadlessAuth = {
+  /**
+   * Issue tokens for every org profile with a headless `auth.flow` and schedule refreshes.
+   * Failures are logged and retried on the next refresh; they do not stop the server.
+   */
+  async start() {
+    for (const orgId of await listOrgProfiles()) {
+      const profile = await loadOrgProfile(orgId).catch(() => undefined);
+      const auth = profile?.auth;
+      if (!auth?.flow) continue;
+      if (!HEADLESS_FLOWS.includes(auth.flow)) {
+        logger.warn({ orgId, flow: auth.flow }, 'Unknown auth.flow in org profile; skipping');
+        continue;
+      }
+      const previous = orgs.get(orgId);
+      clearInterval(previous?.timer);
+      const entry = { auth };
+      orgs.set(orgId, entry);
+      entry.timer = setInterval(() => this.refresh(orgId).catch(() => {}), Number(auth.refreshIntervalMs) || DEFAULT_REFRESH_MS);
+      entry.timer.unref();
+      await this.refresh(orgId).catch(() => {});
+    }
+    if (orgs.size) logger.info({ orgs: [...orgs.keys()] }, 'Headless OAuth started');
+  },
+
+  stop() {
+    for (const entry of orgs.values()) clearInterval(entry.timer);
+    orgs.clear();
+  },
+
+  manages(orgId) {
+    return orgs.has(orgId);
+  },
+
+  /**
+   * Run the org's grant again; concurrent callers share one request. Resolves to the new token context.
+   */
+  refresh(orgId) {
+    const entry = orgs.get(orgId);
+    if (!entry) return Promise.reject(new Error(`No headless auth configured for ${orgId}`));
+    entry.inflight ||= authenticate(orgId).finally(() => { entry.inflight = undefined; });
+    return entry.inflight;
+  },
+
+  status() {
+    return [...orgs.entries()].map(([orgId, { auth, issuedAt, lastError }]) => ({
+      orgId,
+      flow: auth.flow,
+      sessionId: auth.sessionId || 'dev',
+      issuedAt,
+      lastError
+    }));
+  }
+};
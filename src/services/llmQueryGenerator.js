@@ -253,8 +253,9 @@ Generate the optimal Salesforce query for the user's question. Follow these prin
    - Check aggregationRules in business context for objects that need special handling
    - For count/total/sum queries: DO NOT use LIMIT (need all records to count properly)
    - Apply required filters from aggregationRules (e.g., Status = 'Active', quantity != 0)
-   - When aggregation is needed, retrieve ALL raw data and explain grouping in your reasoning
-   - SOQL cannot GROUP BY, so get raw records and mentally aggregate in your response
+   - SOQL supports GROUP BY (and GROUP BY ROLLUP) with SUM(), COUNT(), AVG(), MIN() and MAX(); use them for totals instead of fetching raw records
+   - When an aggregationRule applies, target its object and put the question's filters in WHERE; the server compiles the rule's GROUP BY and SUM() fields itself
+   - Alias every aggregate and grouped field (SUM(owsc__Cases_On_Hand__c) totalCases) so results have readable column names
 12. **CRITICAL - SUBQUERY DETECTION (NEW)**: 
    - Check subqueryPatterns configuration for parent-child relationship queries
    - Look for trigger phrases like "and their", "with their", "action and items", "orders and their items"
@@ -351,11 +352,11 @@ Response:
 {
   "queryType": "SOQL",
   "targetObject": "owsc__Item_Lot__c",
-  "soql": "SELECT Id, Name, owsc__Cases_On_Hand__c, owsc__Available_Cases__c, owsc__On_Hand_Count__c, owsc__Item__c, owsc__Item__r.Name, owsc__Inventory_Location__c, owsc__Inventory_Location__r.Name FROM owsc__Item_Lot__c WHERE owsc__Status__c = 'Active' AND owsc__On_Hand_Count__c != 0 ORDER BY owsc__Inventory_Location__r.Name ASC, owsc__Item__r.Name ASC",
-  "fields": ["Id", "Name", "owsc__Cases_On_Hand__c", "owsc__Available_Cases__c", "owsc__On_Hand_Count__c", "owsc__Item__c", "owsc__Item__r.Name", "owsc__Inventory_Location__c", "owsc__Inventory_Location__r.Name"],
-  "reasoning": "User wants system inventory counts by location. Using owsc__Item_Lot__c for system-calculated inventory. CRITICAL: Including both ID fields (owsc__Item__c, owsc__Inventory_Location__c) AND relationship fields (owsc__Item__r.Name, owsc__Inventory_Location__r.Name) for complete data access. Applied aggregation rules: active status filter and non-zero count filter. No LIMIT for count queries.",
+  "soql": "SELECT owsc__Inventory_Location__r.Name locationName, SUM(owsc__Cases_On_Hand__c) casesOnHand, SUM(owsc__Available_Cases__c) availableCases, SUM(owsc__On_Hand_Count__c) onHandCount FROM owsc__Item_Lot__c WHERE owsc__Status__c = 'Active' AND owsc__On_Hand_Count__c != 0 GROUP BY owsc__Inventory_Location__r.Name ORDER BY owsc__Inventory_Location__r.Name ASC",
+  "fields": ["locationName", "casesOnHand", "availableCases", "onHandCount"],
+  "reasoning": "User wants system inventory counts by location. Using owsc__Item_Lot__c for system-calculated inventory and letting Salesforce total the quantities with SUM() grouped by location. Applied aggregation rules: active status filter and non-zero count filter. No LIMIT for aggregate queries.",
   "confidence": 0.95,
-  "alternatives": ["Could use owsc__Physical_Inventory__c for actual counts", "Could group by location in response analysis"],
+  "alternatives": ["Could use owsc__Physical_Inventory__c for actual counts", "Could also group by item with GROUP BY ROLLUP for per-location subtotals"],
   "businessContext": "system_inventory_queries - aggregation of system-calculated inventory by location"
 }
 \`\`\`
@@ -403,8 +404,14 @@ function detectAggregationNeeds(question, businessContext) {
         targetObject: objectName,
         aggregateBy: rules.aggregateBy || [],
         sumFields: rules.sumFields || [],
+        avgFields: rules.avgFields || [],
+        minFields: rules.minFields || [],
+        maxFields: rules.maxFields || [],
+        distinctFields: rules.distinctFields || [],
+        percentiles: rules.percentiles || [],
         requiredFilters: rules.requiredFilters || [],
         noLimit: rules.noLimitForCounts || isCountQuery,
+        rollup: rules.rollup,
         instructions: rules.instructions || "Aggregate data by specified fields",
         isCountQuery: isCountQuery
       };
@@ -425,7 +432,7 @@ function detectAggregationNeeds(question, businessContext) {
 /**
  * Extract JSON from LLM response, handling markdown formatting
  */
-function extractJSONFromMarkdown(content) {
+export function extractJSONFromMarkdown(content) {
   if (!content) {
     throw new Error('No content to extract JSON from');
   }
@@ -0,0 +1,84 @@
+// Org connections of a session: the TokenStore entries (sessionId -> orgId) plus their
+// connection metadata: label, environment (production | sandbox), loginUrl, isDefault.
+
+import crypto from 'crypto';
+import { TokenStore } from '../config/tokenStore.js';
+import { PkceStore } from '../config/pkceStore.js';
+import { oauthClient, resolveLoginUrl } from './salesforceOAuth.js';
+
+/**
+ * Public view of a connection; never includes tokens
+ */
+export function describeConnection(orgId, token, defaultOrgId) {
+  return {
+    orgId,
+    label: token.label || orgId,
+    environment: token.environment || 'production',
+    loginUrl: token.loginUrl,
+    instanceUrl: token.instanceUrl,
+    flow: token.flow || 'authorization_code',
+    isDefault: orgId === defaultOrgId,
+    hasRefresh: Boolean(token.refreshToken),
+    connectedAt: token.connectedAt,
+    issuedAt: token.issuedAt
+  };
+}
+
+export function listConnections(sessionId) {
+  const defaultOrgId = TokenStore.defaultOrgId(sessionId);
+  return TokenStore.list(sessionId).map(([orgId, token]) => describeConnection(orgId, token, defaultOrgId));
+}
+
+/**
+ * Start the authorization-code + PKCE flow against the connection's login URL.
+ * Returns { authUrl, state, loginUrl, environment } or { error }.
+ */
+export function beginAuthorization({ sessionId = 'dev', orgId = 'default', label, environment, loginUrl, state } = {}) {
+  const { SF_CLIENT_ID, SF_CLIENT_SECRET, SF_REDIRECT_URI } = process.env;
+  if (!SF_CLIENT_ID || !SF_CLIENT_SECRET || !SF_REDIRECT_URI) return { error: 'oauth_not_configured' };
+  const target = resolveLoginUrl({ environment, loginUrl });
+  if (target.error) return target;
+  const client = oauthClient({ clientId: SF_CLIENT_ID, clientSecret: SF_CLIENT_SECRET, redirectUri: SF_REDIRECT_URI, loginUrl: target.loginUrl });
+  const oauthState = String(state || crypto.randomUUID());
+  // PKCE verifier, kept by state alongside where the token should be stored
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  PkceStore.put(oauthState, { codeVerifier, sessionId, orgId, label, ...target });
+  const authUrl = client.authUrl({ state: oauthState, codeChallenge, scope: 'api refresh_token offline_access' });
+  return { authUrl, state: oauthState, ...target };
+}
+
+/**
+ * Store a token as a session connection. The first connection of a session becomes its default.
+ */
+export function saveConnection(sessionId, orgId, token, { label, environment, loginUrl } = {}) {
+  const existing = TokenStore.get(sessionId, orgId);
+  const isFirst = TokenStore.list(sessionId).length === 0;
+  const ctx = {
+    ...existing,
+    ...token,
+    label: label || existing?.label,
+    environment: environment || existing?.environment || 'production',
+    loginUrl: loginUrl || existing?.loginUrl,
+    connectedAt: existing?.connectedAt || Date.now(),
+    isDefault: existing?.isDefault || isFirst
+  };
+  TokenStore.put(sessionId, orgId, ctx);
+  return describeConnection(orgId, ctx, TokenStore.defaultOrgId(sessionId));
+}
+
+/**
+ * Remove a connection, revoking its token in Salesforce first (best effort). Returns false if unknown.
+ */
+export async function disconnect(sessionId, orgId, { revoke = true } = {}) {
+  const token = TokenStore.get(sessionId, orgId);
+  if (!token) return false;
+  if (revoke && token.accessToken) {
+    try {
+      const client = oauthClient({ loginUrl: token.loginUrl });
+      await client.revoke(token.refreshToken || token.accessToken);
+    } catch {}
+  }
+  TokenStore.remove(sessionId, orgId);
+  return true;
+}
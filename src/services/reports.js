@@ -0,0 +1,222 @@
+// Salesforce reports as an answer source: find a saved report whose name or description
+// matches a question, run it (optionally with filter overrides) through the Analytics
+// REST API and flatten the result into the { columns, rows } table shape.
+
+import { chatComplete } from './llm/openaiAdapter.js';
+import { extractJSONFromMarkdown } from './llmQueryGenerator.js';
+import { withRetry } from '../utils/withRetry.js';
+import { shouldRetryLLM } from '../utils/retryPolicies.js';
+import { checkQueryPolicy } from '../utils/security.js';
+import { logger } from '../utils/logger.js';
+
+const CATALOG_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MATCH_THRESHOLD = 0.6;
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'all', 'are', 'how', 'many', 'much', 'what', 'which', 'show', 'list', 'give', 'from', 'this', 'that', 'our', 'report', 'reports', 'by', 'of', 'in', 'on', 'me', 'my', 'is', 'a', 'an', 'to']);
+
+const catalogs = new Map(); // orgId -> { at, reports }
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(t => t.length > 1 && !STOPWORDS.has(t))
+  .map(t => t.replace(/s$/, ''));
+
+/**
+ * Reports visible to the running user (Id, Name, DeveloperName, Description, FolderName, Format),
+ * cached per org for 10 minutes
+ */
+export async function listReports(sf, { orgId, search, refresh = false } = {}) {
+  const hit = catalogs.get(orgId);
+  let reports = hit && !refresh && Date.now() - hit.at < CATALOG_TTL_MS ? hit.reports : undefined;
+  if (!reports) {
+    reports = await sf.queryAll('SELECT Id, Name, DeveloperName, Description, FolderName, Format, LastRunDate FROM Report ORDER BY Name', { maxRows: 2000 });
+    reports = reports.map(({ attributes, ...r }) => r);
+    if (orgId) catalogs.set(orgId, { at: Date.now(), reports });
+  }
+  if (!search) return reports;
+  const needle = String(search).toLowerCase();
+  return reports.filter(r => `${r.Name} ${r.DeveloperName} ${r.Description || ''}`.toLowerCase().includes(needle));
+}
+
+/**
+ * Best report for a question: the share of a report's name tokens found in the question,
+ * with description tokens as a weaker signal. Returns { report, score } or undefined.
+ */
+export function matchReport(question, reports, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+  const q = new Set(tokenize(question));
+  let best;
+  for (const report of reports) {
+    const nameTokens = [...new Set(tokenize(report.Name))];
+    if (!nameTokens.length) continue;
+    const nameScore = nameTokens.filter(t => q.has(t)).length / nameTokens.length;
+    const descTokens = [...new Set(tokenize(report.Description))];
+    const descScore = descTokens.length ? descTokens.filter(t => q.has(t)).length / descTokens.length : 0;
+    const score = Math.max(nameScore, 0.8 * nameScore + 0.2 * descScore);
+    if (score >= threshold && (!best || score > best.score)) best = { report, score };
+  }
+  return best;
+}
+
+const cellValue = (cell) => {
+  if (!cell) return null;
+  const { value, label } = cell;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (value && typeof value === 'object' && 'amount' in value) return value.amount;
+  return label ?? value ?? null;
+};
+
+// key -> [group labels] for every grouping in a groupingsDown tree ('0', '0_1', ...)
+function groupingPaths(groupings = [], parent = [], paths = new Map()) {
+  for (const g of groupings) {
+    const labels = [...parent, g.label];
+    paths.set(g.key, labels);
+    groupingPaths(g.groupings, labels, paths);
+  }
+  return paths;
+}
+
+/**
+ * Flatten an Analytics report result into { columns, rows }. Tabular and summary
+ * reports with details return one row per record (prefixed by the row groupings);
+ * otherwise one row per innermost grouping with the report's aggregates.
+ */
+export function reportToTable(result) {
+  const meta = result.reportMetadata || {};
+  const ext = result.reportExtendedMetadata || {};
+  const factMap = result.factMap || {};
+  const groupNames = (meta.groupingsDown || []).map(g => g.name);
+  const groupColumns = groupNames.map(n => ext.groupingColumnInfo?.[n]?.label || n);
+  const paths = groupingPaths(result.groupingsDown?.groupings);
+  const depth = groupNames.length;
+  const groupLabels = (key) => {
+    const labels = key === 'T' ? [] : paths.get(key) || [];
+    return Array.from({ length: depth }, (_, i) => labels[i] ?? null);
+  };
+
+  const detailKeys = Object.keys(factMap).filter(k => Array.isArray(factMap[k].rows) && factMap[k].rows.length);
+  if (detailKeys.length && (meta.detailColumns || []).length) {
+    const columns = [...groupColumns, ...meta.detailColumns.map(c => ext.detailColumnInfo?.[c]?.label || c)];
+    const rows = [];
+    for (const key of detailKeys) {
+      const groupKey = key.split('!')[0];
+      for (const row of factMap[key].rows) rows.push([...groupLabels(groupKey), ...row.dataCells.map(cellValue)]);
+    }
+    return { columns, rows };
+  }
+
+  const aggregates = meta.aggregates || [];
+  const columns = [...groupColumns, ...aggregates.map(a => ext.aggregateColumnInfo?.[a]?.label || a)];
+  // Innermost groupings only; a report with no groupings has just the grand total (T!T)
+  const leafKeys = depth ? [...paths.keys()].filter(k => paths.get(k).length === depth) : ['T'];
+  const rows = leafKeys
+    .filter(k => factMap[`${k}!T`])
+    .map(k => [...groupLabels(k), ...(factMap[`${k}!T`].aggregates || []).map(cellValue)]);
+  return { columns, rows };
+}
+
+/**
+ * Ask the LLM whether a report answers the question and which of its filters to override.
+ * Returns { useReport, filters: [{ column, operator, value }], dateFilter, reasoning }.
+ */
+export async function planReportFilters({ question, report, reportMetadata }) {
+  const filters = (reportMetadata.reportFilters || []).map(f => ({ column: f.column, operator: f.operator, value: f.value }));
+  const prompt = `A Salesforce report may answer the user's question.
+
+Question: ${question}
+Report: ${report.Name}${report.Description ? ` - ${report.Description}` : ''}
+Columns: ${(reportMetadata.detailColumns || []).join(', ')}
+Current filters: ${JSON.stringify(filters)}
+Date filter: ${JSON.stringify(reportMetadata.standardDateFilter || null)}
+
+Decide whether running this report (with adjusted filter values) answers the question.
+Only change filter values, or add filters on the listed columns, when the question asks for it.
+Respond with JSON: {"useReport": true|false, "filters": [{"column": "...", "operator": "equals|notEqual|lessThan|greaterThan|lessOrEqual|greaterOrEqual|contains|startsWith|includes", "value": "..."}], "dateFilter": {"durationValue": "THIS_MONTH|LAST_N_DAYS:30|..."} or null, "reasoning": "..."}`;
+
+  const response = await withRetry(() => chatComplete({
+    messages: [{ role: 'user', content: prompt }],
+    stream: false,
+    temperature: 0.0,
+    max_tokens: 400
+  }), {
+    retries: 1,
+    delayMs: 600,
+    shouldRetry: shouldRetryLLM
+  });
+  const decision = JSON.parse(extractJSONFromMarkdown(response.choices?.[0]?.message?.content));
+  return {
+    useReport: decision.useReport === true,
+    filters: Array.isArray(decision.filters) ? decision.filters.filter(f => f?.column && f?.operator) : [],
+    dateFilter: decision.dateFilter || null,
+    reasoning: decision.reasoning
+  };
+}
+
+/**
+ * reportMetadata for a run with `filters` (replacing filters on the same column, adding
+ * the rest) and an optional standard date filter override
+ */
+export function applyFilterOverrides(reportMetadata, { filters = [], dateFilter } = {}) {
+  const overridden = new Set(filters.map(f => f.column));
+  const reportFilters = [
+    ...(reportMetadata.reportFilters || []).filter(f => !overridden.has(f.column)),
+    ...filters.map(({ column, operator, value }) => ({ column, operator, value: value == null ? '' : String(value) }))
+  ];
+  const next = { ...reportMetadata, reportFilters };
+  // Custom filter logic refers to filters by position, which no longer line up
+  if (filters.length && reportMetadata.reportBooleanFilter) next.reportBooleanFilter = null;
+  if (dateFilter?.durationValue && reportMetadata.standardDateFilter) {
+    next.standardDateFilter = { ...reportMetadata.standardDateFilter, durationValue: dateFilter.durationValue, startDate: null, endDate: null };
+  }
+  return next;
+}
+
+// CustomEntity$owsc__Item_Lot__c -> owsc__Item_Lot__c
+const entityName = (name) => String(name).replace(/^CustomEntity\$/, '');
+
+/**
+ * Objects and fields a report reads, in checkQueryPolicy's shape: its detail, grouping,
+ * aggregate and filter columns (ACCOUNT.NAME, CustomEntity$owsc__Item_Lot__c.owsc__Cases_On_Hand__c).
+ * Columns without an object prefix count against the report type's object.
+ */
+export function reportPolicyObjects(reportMetadata = {}) {
+  const base = entityName(reportMetadata.reportType?.type || 'Report');
+  const columns = [
+    ...(reportMetadata.detailColumns || []),
+    ...[...(reportMetadata.groupingsDown || []), ...(reportMetadata.groupingsAcross || [])].map(g => g.name),
+    ...(reportMetadata.aggregates || []).map(a => a.replace(/^[a-z]+!/, '')).filter(a => a !== 'RowCount'),
+    ...(reportMetadata.reportFilters || []).map(f => f.column)
+  ];
+  const objects = { [base]: [] };
+  for (const column of columns.filter(Boolean)) {
+    const dot = column.indexOf('.');
+    const object = dot === -1 ? base : entityName(column.slice(0, dot));
+    if (!objects[object]) objects[object] = [];
+    objects[object].push(dot === -1 ? column : column.slice(dot + 1));
+  }
+  return objects;
+}
+
+/**
+ * Org policy (blocked / allowed objects, sensitive field patterns) for a report run with
+ * the given metadata. Returns { allowed, blockedReasons }.
+ */
+export function checkReportPolicy(reportMetadata, orgProfile) {
+  return checkQueryPolicy(reportPolicyObjects(reportMetadata), orgProfile);
+}
+
+/**
+ * Run a report with optional overrides and return { columns, rows, allData, reportMetadata }.
+ * Pass `describe` (a describeReport result) to skip describing the report again.
+ */
+export async function runReportTable(sf, reportId, { filters = [], dateFilter, describe } = {}) {
+  let reportMetadata;
+  if (filters.length || dateFilter) {
+    const described = describe || await sf.analytics.describeReport(reportId);
+    reportMetadata = applyFilterOverrides(described.reportMetadata, { filters, dateFilter });
+  }
+  const result = await sf.analytics.runReport(reportId, { reportMetadata });
+  const table = reportToTable(result);
+  logger.info({ reportId, rows: table.rows.length, overrides: filters.length }, 'Report run');
+  return { ...table, allData: result.allData !== false, reportMetadata: result.reportMetadata };
+}
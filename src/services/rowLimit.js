@@ -0,0 +1,116 @@
+// Server-side row cap for generated queries. The cap is the lower of the org profile's
+// guardrails.maxRows and query-guidelines.json's queryPreferences.maxLimit. A query without
+// a LIMIT gets one and a larger LIMIT is clamped. Aggregate SOQL (GROUP BY, COUNT(), SUM(),
+// ...) returns one row per group and is left alone.
+
+import { loadQueryGuidelines } from '../config/configLoader.js';
+import { parseSoql, printSoql, isAggregateFunction } from '../utils/soqlParser.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Row cap for an org: min(guardrails.maxRows, queryPreferences.maxLimit), or undefined
+ * when neither is set
+ */
+export async function rowCapFor(orgProfile = {}) {
+  const guidelines = await loadQueryGuidelines();
+  const caps = [orgProfile?.guardrails?.maxRows, guidelines?.queryPreferences?.maxLimit]
+    .map(Number)
+    .filter(n => Number.isInteger(n) && n > 0);
+  return caps.length ? Math.min(...caps) : undefined;
+}
+
+// Blank out the search term, field lists and strings of a SOSL search so clause keywords
+// can be found at the top level; positions are unchanged
+function maskSosl(sosl) {
+  let out = '';
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < sosl.length; i++) {
+    const ch = sosl[i];
+    if (quoted) {
+      if (ch === '\\') { out += '  '; i++; continue; }
+      if (ch === "'") quoted = false;
+      out += ' ';
+    } else if (ch === "'") {
+      quoted = true;
+      out += ' ';
+    } else if (ch === '{' || ch === '(') {
+      depth++;
+      out += ' ';
+    } else if (ch === '}' || ch === ')') {
+      depth--;
+      out += ' ';
+    } else {
+      out += depth > 0 ? ' ' : ch;
+    }
+  }
+  return out;
+}
+
+function limitSoql(soql, cap) {
+  let ast;
+  try {
+    ast = parseSoql(soql);
+  } catch (e) {
+    // A query the cap cannot be applied to does not run uncapped
+    logger.warn({ soql, error: e.message }, 'Row limit not applied: SOQL could not be parsed');
+    throw Object.assign(new Error(`SOQL could not be parsed to apply the row limit: ${e.message}`), { code: 'invalid_soql' });
+  }
+  if (ast.groupBy || ast.select.some(i => i.type === 'function' && isAggregateFunction(i.name))) {
+    return { query: soql, action: 'aggregate' };
+  }
+  const requested = ast.limit === undefined ? undefined : Number(ast.limit);
+  if (requested === undefined) {
+    ast.limit = String(cap);
+    return { query: printSoql(ast), action: 'injected' };
+  }
+  if (!(requested <= cap)) {
+    ast.limit = String(cap);
+    return { query: printSoql(ast), action: 'clamped', requested };
+  }
+  return { query: soql, action: 'kept', requested };
+}
+
+function limitSosl(sosl, cap) {
+  const masked = maskSosl(sosl);
+  const limit = /\bLIMIT\s+(\d+)/i.exec(masked);
+  if (limit) {
+    const requested = Number(limit[1]);
+    if (requested <= cap) return { query: sosl, action: 'kept', requested };
+    const query = sosl.slice(0, limit.index) + `LIMIT ${cap}` + sosl.slice(limit.index + limit[0].length);
+    return { query, action: 'clamped', requested };
+  }
+  // LIMIT comes before UPDATE TRACKING / UPDATE VIEWSTAT
+  const update = /\bUPDATE\s+(TRACKING|VIEWSTAT)\b/i.exec(masked);
+  const query = update
+    ? `${sosl.slice(0, update.index)}LIMIT ${cap} ${sosl.slice(update.index)}`
+    : `${sosl.trimEnd()} LIMIT ${cap}`;
+  return { query, action: 'injected' };
+}
+
+/**
+ * Inject or clamp the LIMIT of a SOQL or SOSL query. Returns { query, rowLimit } with
+ * rowLimit = { cap, limit, requested, action }; action is injected, clamped, kept,
+ * aggregate or none (no cap configured). `limit` is the LIMIT the query runs with.
+ * Throws (code invalid_soql) when a cap is set and the SOQL cannot be parsed.
+ */
+export function applyRowLimit(query, queryType, cap) {
+  if (!query || !cap) return { query, rowLimit: { cap, action: 'none' } };
+  const result = String(queryType).toUpperCase() === 'SOSL' ? limitSosl(query, cap) : limitSoql(query, cap);
+  const limit = result.action === 'injected' || result.action === 'clamped' ? cap : result.requested;
+  if (result.action === 'injected' || result.action === 'clamped') {
+    logger.info({ queryType, cap, requested: result.requested, action: result.action }, 'Row limit applied');
+  }
+  return { query: result.query, rowLimit: { cap, limit, requested: result.requested, action: result.action } };
+}
+
+/**
+ * Keep at most `cap` rows of a table that was fetched without a LIMIT (report runs).
+ * Returns { rows, rowLimit } like applyRowLimit; `requested` is the number of rows fetched.
+ */
+export function capRows(rows, cap) {
+  if (!cap) return { rows, rowLimit: { cap, action: 'none' } };
+  if (rows.length <= cap) return { rows, rowLimit: { cap, limit: cap, requested: rows.length, action: 'kept' } };
+  logger.info({ cap, requested: rows.length }, 'Row limit applied to report rows');
+  return { rows: rows.slice(0, cap), rowLimit: { cap, limit: cap, requested: rows.length, action: 'clamped' } };
+}
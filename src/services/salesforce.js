@@ -4,37 +4,74 @@ import { shouldRetrySalesforce } from '../utils/retryPolicies.js';
 import { logger } from '../utils/logger.js';
 import { oauthClient } from './salesforceOAuth.js';
 import { TokenStore } from '../config/tokenStore.js';
+import { HeadlessAuth } from './headlessAuth.js';
+import { resolveApiVersion } from './apiVersion.js';
+import { ApiLimits } from './apiLimits.js';
+
+// Composite API: at most 25 subrequests per call
+export const COMPOSITE_LIMIT = 25;
+const COMPOSITE_CONCURRENCY = 3;
+
+const chunk = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, orgId, apiVersion }) {
+  let currentInstanceUrl = instanceUrl;
+  let versionInfo; // { version, source } once negotiated (see apiVersion.js)
+  let negotiating;
+  const negotiate = () => {
+    if (versionInfo) return Promise.resolve(versionInfo);
+    negotiating ||= resolveApiVersion({ instanceUrl, orgId, apiVersion }).then(info => (versionInfo = info));
+    return negotiating;
+  };
 
-export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, orgId }) {
   const api = axios.create({
-    baseURL: `${instanceUrl}/services/data/v61.0/`,
     headers: { Authorization: `Bearer ${accessToken}` }
   });
 
+  // Relative URLs resolve against services/data/v<negotiated version>/
+  api.interceptors.request.use(async (cfg) => {
+    const { version } = await negotiate();
+    cfg.baseURL = `${currentInstanceUrl}/services/data/v${version}/`;
+    return cfg;
+  });
+
+  // Track the daily API budget from Sforce-Limit-Info (see apiLimits.js)
+  api.interceptors.response.use((r) => {
+    ApiLimits.recordHeader(orgId, r.headers?.['sforce-limit-info']);
+    return r;
+  });
+
   // Auto-refresh on 401 if we have refresh context
   api.interceptors.response.use(r => r, async (error) => {
     try {
       const status = error?.response?.status;
-      if (status !== 401 || !sessionId || !orgId) return Promise.reject(error);
+      if (status !== 401 || !sessionId || !orgId || error.config?._authRetried) return Promise.reject(error);
       const current = TokenStore.get(sessionId, orgId);
-      const rt = current?.refreshToken || refreshToken;
-      if (!rt) return Promise.reject(error);
-      const { SF_CLIENT_ID, SF_CLIENT_SECRET, SF_REDIRECT_URI } = process.env;
-      if (!SF_CLIENT_ID || !SF_CLIENT_SECRET) return Promise.reject(error);
-      const oc = oauthClient({ clientId: SF_CLIENT_ID, clientSecret: SF_CLIENT_SECRET, redirectUri: SF_REDIRECT_URI });
-      const refreshed = await oc.refreshToken(rt);
-      const newCtx = {
-        ...(current || {}),
-        accessToken: refreshed.accessToken,
-        instanceUrl: refreshed.instanceUrl || current?.instanceUrl || instanceUrl,
-        issuedAt: refreshed.issuedAt,
-        refreshToken: rt
-      };
-      TokenStore.put(sessionId, orgId, newCtx);
+      let newCtx;
+      if (current?.flow && HeadlessAuth.manages(orgId)) {
+        // JWT bearer / client credentials: no refresh token, run the grant again
+        newCtx = await HeadlessAuth.refresh(orgId);
+      } else {
+        const rt = current?.refreshToken || refreshToken;
+        if (!rt) return Promise.reject(error);
+        const { SF_CLIENT_ID, SF_CLIENT_SECRET, SF_REDIRECT_URI } = process.env;
+        if (!SF_CLIENT_ID || !SF_CLIENT_SECRET) return Promise.reject(error);
+        const oc = oauthClient({ clientId: SF_CLIENT_ID, clientSecret: SF_CLIENT_SECRET, redirectUri: SF_REDIRECT_URI, loginUrl: current?.loginUrl });
+        const refreshed = await oc.refreshToken(rt);
+        newCtx = {
+          ...(current || {}),
+          accessToken: refreshed.accessToken,
+          instanceUrl: refreshed.instanceUrl || current?.instanceUrl || instanceUrl,
+          issuedAt: refreshed.issuedAt,
+          refreshToken: rt
+        };
+        TokenStore.put(sessionId, orgId, newCtx);
+      }
       // Update axios defaults and retry the failed request once
-      api.defaults.baseURL = `${newCtx.instanceUrl}/services/data/v61.0/`;
+      currentInstanceUrl = newCtx.instanceUrl;
       api.defaults.headers.Authorization = `Bearer ${newCtx.accessToken}`;
       const cfg = error.config || {};
+      cfg._authRetried = true;
       cfg.headers = { ...(cfg.headers || {}), Authorization: `Bearer ${newCtx.accessToken}` };
       return api.request(cfg);
     } catch (e) {
@@ -43,6 +80,16 @@ export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, or
   });
 
   return {
+    // Negotiated API version ('61.0'); undefined until the first request resolves it
+    get apiVersion() {
+      return versionInfo?.version;
+    },
+
+    // { version, source } where source is client, profile, env, detected or default
+    async resolveApiVersion() {
+      return negotiate();
+    },
+
     async query(soql) {
       return withRetry(() => api.get('query', { params: { q: soql } }).then(r => r.data), {
         retries: 4,
@@ -54,6 +101,13 @@ export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, or
 
     async queryAll(soql, { maxRows = 50000 } = {}) {
       const rows = [];
+      for await (const page of this.queryPages(soql, { maxRows })) rows.push(...page);
+      return rows;
+    },
+
+    // Yields each page of records as it arrives (capped at maxRows in total)
+    async *queryPages(soql, { maxRows = 50000 } = {}) {
+      let fetched = 0;
       let url = 'query';
       let params = { q: soql };
       while (true) {
@@ -63,18 +117,18 @@ export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, or
           shouldRetry: shouldRetrySalesforce,
           onAttempt: info => logger.info({ svc: 'salesforce', soql: url === 'query' ? soql : undefined, ...info }, 'SOQL page')
         });
-        for (const rec of data.records || []) {
-          rows.push(rec);
-          if (rows.length >= maxRows) return rows;
-        }
+        const records = (data.records || []).slice(0, maxRows - fetched);
+        fetched += records.length;
+        if (records.length) yield records;
+        if (fetched >= maxRows) return;
         if (!data.done && data.nextRecordsUrl) {
-          url = data.nextRecordsUrl.replace(/^.*\/services\/data\/v\d+\.\d+\//, '');
+          // nextRecordsUrl is instance-relative and already carries the version
+          url = new URL(data.nextRecordsUrl, currentInstanceUrl).toString();
           params = undefined;
           continue;
         }
-        break;
+        return;
       }
-      return rows;
     },
 
     async describeSObject(objectApiName) {
@@ -86,6 +140,123 @@ export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, or
       });
     },
 
+    /**
+     * POST a Composite API request. Subrequest urls may be relative to the versioned
+     * base (`sobjects/Account/describe`). Returns the compositeResponse array.
+     */
+    async composite(subrequests, { allOrNone = false } = {}) {
+      if (subrequests.length > COMPOSITE_LIMIT) throw new Error(`Composite requests take at most ${COMPOSITE_LIMIT} subrequests`);
+      const base = `/services/data/v${(await negotiate()).version}/`;
+      const compositeRequest = subrequests.map((r, i) => ({
+        method: r.method || 'GET',
+        url: r.url.startsWith('/') ? r.url : base + r.url,
+        referenceId: r.referenceId || `ref${i}`,
+        ...(r.body !== undefined ? { body: r.body } : {})
+      }));
+      return withRetry(() => api.post('composite', { allOrNone, compositeRequest }).then(r => r.data.compositeResponse || []), {
+        retries: 3,
+        delayMs: 800,
+        shouldRetry: shouldRetrySalesforce,
+        onAttempt: info => logger.info({ svc: 'salesforce', subrequests: subrequests.length, ...info }, 'Composite attempt')
+      });
+    },
+
+    /**
+     * Describe many objects in Composite batches of 25. Returns { describes, errors },
+     * both keyed by object API name. A batch the Composite API rejects outright falls
+     * back to one describe call per object.
+     */
+    async describeMany(objectApiNames) {
+      const describes = {};
+      const errors = {};
+      const batches = chunk([...new Set(objectApiNames.filter(Boolean))], COMPOSITE_LIMIT);
+      const runBatch = async (names) => {
+        let responses;
+        try {
+          responses = await this.composite(names.map((name, i) => ({ url: `sobjects/${name}/describe`, referenceId: `d${i}` })));
+        } catch (e) {
+          logger.warn({ svc: 'salesforce', objects: names.length, error: e?.message }, 'Composite describe failed, describing individually');
+          await Promise.all(names.map(name => this.describeSObject(name)
+            .then(d => { describes[name] = d; })
+            .catch(err => { errors[name] = err?.message; })));
+          return;
+        }
+        for (const r of responses) {
+          const name = names[Number(String(r.referenceId).slice(1))];
+          if (!name) continue;
+          if (r.httpStatusCode >= 200 && r.httpStatusCode < 300) describes[name] = r.body;
+          else errors[name] = Array.isArray(r.body) ? r.body.map(b => b.message).join('; ') : `HTTP ${r.httpStatusCode}`;
+        }
+      };
+      for (const group of chunk(batches, COMPOSITE_CONCURRENCY)) await Promise.all(group.map(runBatch));
+      return { describes, errors };
+    },
+
+    // sObject Collections: fetch up to 2000 records of one object by Id
+    collections: {
+      async retrieve(objectApiName, ids, fields) {
+        return withRetry(() => api.post(`composite/sobjects/${objectApiName}`, { ids, fields }).then(r => r.data), {
+          retries: 3,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce,
+          onAttempt: info => logger.info({ svc: 'salesforce', objectApiName, ids: ids.length, ...info }, 'Collections retrieve attempt')
+        });
+      }
+    },
+
+    // Tooling API: read-only metadata (ValidationRule, ApexTrigger, CustomField, EntityDefinition, ...)
+    tooling: {
+      async query(soql) {
+        return withRetry(() => api.get('tooling/query', { params: { q: soql } }).then(r => r.data), {
+          retries: 3,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce,
+          onAttempt: info => logger.info({ svc: 'salesforce', tooling: true, soql, ...info }, 'Tooling query attempt')
+        });
+      }
+    },
+
+    // Reports and Dashboards (Analytics) REST API
+    analytics: {
+      async listReports() {
+        return api.get('analytics/reports').then(r => r.data);
+      },
+
+      async describeReport(reportId) {
+        return withRetry(() => api.get(`analytics/reports/${reportId}/describe`).then(r => r.data), {
+          retries: 3,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce,
+          onAttempt: info => logger.info({ svc: 'salesforce', reportId, ...info }, 'Report describe attempt')
+        });
+      },
+
+      /**
+       * Run a report synchronously. `reportMetadata` (from describeReport, with edited
+       * reportFilters / standardDateFilter) overrides the saved filters for this run only.
+       */
+      async runReport(reportId, { reportMetadata, includeDetails = true } = {}) {
+        const url = `analytics/reports/${reportId}`;
+        const params = { includeDetails };
+        return withRetry(() => (reportMetadata
+          ? api.post(url, { reportMetadata }, { params })
+          : api.get(url, { params })).then(r => r.data), {
+          retries: 2,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce,
+          onAttempt: info => logger.info({ svc: 'salesforce', reportId, ...info }, 'Report run attempt')
+        });
+      },
+
+      async listDashboards() {
+        return api.get('analytics/dashboards').then(r => r.data);
+      },
+
+      async getDashboard(dashboardId) {
+        return api.get(`analytics/dashboards/${dashboardId}`).then(r => r.data);
+      }
+    },
+
     async orgLimits() {
       return api.get('limits').then(r => r.data);
     },
@@ -95,6 +266,49 @@ export function sfClient({ instanceUrl, accessToken, refreshToken, sessionId, or
       return data?.sobjects || [];
     },
 
+    // Bulk API 2.0 query jobs (large exports)
+    bulk: {
+      async createQueryJob(soql) {
+        return withRetry(() => api.post('jobs/query', { operation: 'query', query: soql, contentType: 'CSV', lineEnding: 'LF' }).then(r => r.data), {
+          retries: 3,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce,
+          onAttempt: info => logger.info({ svc: 'salesforce', soql, ...info }, 'Bulk query job create attempt')
+        });
+      },
+
+      async getQueryJob(jobId) {
+        return withRetry(() => api.get(`jobs/query/${jobId}`).then(r => r.data), {
+          retries: 3,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce
+        });
+      },
+
+      async abortQueryJob(jobId) {
+        return api.patch(`jobs/query/${jobId}`, { state: 'Aborted' }).then(r => r.data);
+      },
+
+      // One page of result CSV as a stream; `locator` is undefined once the last page is read
+      async queryResults(jobId, { locator, maxRecords } = {}) {
+        const r = await withRetry(() => api.get(`jobs/query/${jobId}/results`, {
+          params: { locator, maxRecords },
+          headers: { Accept: 'text/csv' },
+          responseType: 'stream'
+        }), {
+          retries: 3,
+          delayMs: 800,
+          shouldRetry: shouldRetrySalesforce
+        });
+        const next = r.headers['sforce-locator'];
+        return {
+          stream: r.data,
+          locator: next && next !== 'null' ? next : undefined,
+          numberOfRecords: Number(r.headers['sforce-numberofrecords'] || 0)
+        };
+      }
+    },
+
     async search(sosl) {
       return withRetry(() => api.get('search', { params: { q: sosl } }).then(r => r.data), {
         retries: 4,
@@ -1,13 +1,87 @@
 import axios from 'axios';
+import crypto from 'crypto';
 
-function issuerFor() {
-  return process.env.SF_LOGIN_URL || 'https://login.salesforce.com';
+export const LOGIN_URLS = {
+  production: 'https://login.salesforce.com',
+  sandbox: 'https://test.salesforce.com'
+};
+
+// Per-connection login URL first, then SF_LOGIN_URL, then production
+function issuerFor(loginUrl) {
+  return (loginUrl || process.env.SF_LOGIN_URL || LOGIN_URLS.production).replace(/\/+$/, '');
+}
+
+/**
+ * Login URL for a connection: an explicit https `loginUrl` (e.g. a My Domain) wins over
+ * `environment` ('production' | 'sandbox'). Returns { loginUrl, environment } or { error }.
+ */
+export function resolveLoginUrl({ environment, loginUrl } = {}) {
+  if (loginUrl) {
+    let url;
+    try {
+      url = new URL(String(loginUrl));
+    } catch {
+      return { error: 'invalid_login_url' };
+    }
+    if (url.protocol !== 'https:' && url.hostname !== 'localhost') return { error: 'invalid_login_url' };
+    const origin = url.origin;
+    const env = environment || (/test\.salesforce\.com$|\.sandbox\.my\.salesforce\.com$/.test(url.hostname) ? 'sandbox' : 'production');
+    return { loginUrl: origin, environment: env };
+  }
+  if (environment && !LOGIN_URLS[environment]) return { error: 'invalid_environment' };
+  const env = environment || 'production';
+  return { loginUrl: environment ? LOGIN_URLS[env] : issuerFor(), environment: env };
+}
+
+const tokenContext = (data) => ({
+  accessToken: data.access_token,
+  instanceUrl: data.instance_url,
+  issuedAt: Number(data.issued_at) || Date.now()
+});
+
+/**
+ * OAuth 2.0 JWT bearer flow: a JWT signed (RS256) with the connected app's private key
+ * is exchanged for an access token. No refresh token is issued; request a new one instead.
+ */
+export async function jwtBearerToken({ clientId, username, privateKey, loginUrl, audience }) {
+  const base = issuerFor(loginUrl);
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const claims = {
+    iss: clientId,
+    sub: username,
+    // Salesforce expects the login host as audience; a My Domain login URL still uses login/test
+    aud: audience || (/\btest\.salesforce\.com|\.sandbox\.my\.salesforce\.com/.test(base) ? 'https://test.salesforce.com' : 'https://login.salesforce.com'),
+    exp: Math.floor(Date.now() / 1000) + 180
+  };
+  const unsigned = `${encode({ alg: 'RS256' })}.${encode(claims)}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey).toString('base64url');
+  const form = new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: `${unsigned}.${signature}`
+  });
+  const { data } = await axios.post(`${base}/services/oauth2/token`, form);
+  return tokenContext(data);
+}
+
+/**
+ * OAuth 2.0 client credentials flow (runs as the connected app's configured user).
+ * Salesforce only accepts it on the org's My Domain URL.
+ */
+export async function clientCredentialsToken({ clientId, clientSecret, loginUrl }) {
+  const base = issuerFor(loginUrl);
+  const form = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: clientId,
+    client_secret: clientSecret
+  });
+  const { data } = await axios.post(`${base}/services/oauth2/token`, form);
+  return tokenContext(data);
 }
 
-export function oauthClient({ clientId, clientSecret, redirectUri }) {
+export function oauthClient({ clientId, clientSecret, redirectUri, loginUrl }) {
   const client = {
     authUrl({ state, codeChallenge, scope }) {
-      const base = issuerFor();
+      const base = issuerFor(loginUrl);
       const qp = new URLSearchParams({
         response_type: 'code',
         client_id: clientId,
@@ -20,7 +94,7 @@ export function oauthClient({ clientId, clientSecret, redirectUri }) {
     },
 
     async exchangeCode(code, codeVerifier) {
-      const base = issuerFor();
+      const base = issuerFor(loginUrl);
       const form = new URLSearchParams({
         grant_type: 'authorization_code',
         code,
@@ -40,7 +114,7 @@ export function oauthClient({ clientId, clientSecret, redirectUri }) {
     },
 
     async refreshToken(refreshToken) {
-      const base = issuerFor();
+      const base = issuerFor(loginUrl);
       const form = new URLSearchParams({
         grant_type: 'refresh_token',
         refresh_token: refreshToken,
@@ -53,6 +127,13 @@ export function oauthClient({ clientId, clientSecret, redirectUri }) {
         instanceUrl: data.instance_url,
         issuedAt: Number(data.issued_at) || Date.now()
       };
+    },
+
+    // Revoking a refresh token also revokes the access tokens issued from it
+    async revoke(token) {
+      const base = issuerFor(loginUrl);
+      const form = new URLSearchParams({ token });
+      await axios.post(`${base}/services/oauth2/revoke`, form.toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
     }
   };
   return client;
@@ -2,47 +2,66 @@
 
 import { DescribeCache } from './describeCache.js';
 
+function indexEntry(d) {
+  const fieldMap = new Map();
+  const readable = new Set();
+  const relationships = new Map(); // child-to-parent: relationshipName -> target API name
+  const childRelationships = new Map(); // parent-to-child: relationshipName -> child API name
+  for (const f of d.fields || []) {
+    fieldMap.set(f.name, f);
+    if (f.createable || f.updateable || f.filterable || f.name) {
+      // prefer readable flag if present; fall back to not enforcing
+      if (f.filterable === true || f.name === 'Id' || f.name === 'Name' || f.permissionable === true || f.updateable === true) {
+        readable.add(f.name);
+      }
+    }
+    if (f.relationshipName && f.referenceTo && f.referenceTo.length > 0) {
+      // Map relationshipName and relationshipName__r to target for convenience
+      relationships.set(f.relationshipName, f.referenceTo[0]);
+      if (!f.relationshipName.endsWith('__r')) {
+        relationships.set(`${f.relationshipName}__r`, f.referenceTo[0]);
+      }
+    }
+  }
+  for (const cr of d.childRelationships || []) {
+    if (cr.relationshipName && cr.childSObject) {
+      childRelationships.set(cr.relationshipName, cr.childSObject);
+    }
+  }
+  return { describe: d, fieldMap, readable, relationships, childRelationships };
+}
+
+const emptyEntry = () => ({ describe: undefined, fieldMap: new Map(), readable: new Set(), relationships: new Map(), childRelationships: new Map() });
+
 export async function buildDescribeIndex(sf, objects, { orgId } = {}) {
   const index = { objects: {} };
   // index.catalog may be provided by caller; otherwise leave empty
   const unique = Array.from(new Set(objects.filter(Boolean)));
+  const describes = {};
+  const missing = [];
   for (const objectApiName of unique) {
-    try {
-      let d = (orgId && DescribeCache.get(orgId, objectApiName)) || undefined;
-      if (!d) {
-        d = await sf.describeSObject(objectApiName);
-        if (orgId) DescribeCache.set(orgId, objectApiName, d);
-      }
-      const fieldMap = new Map();
-      const readable = new Set();
-      const relationships = new Map(); // child-to-parent: relationshipName -> target API name
-      const childRelationships = new Map(); // parent-to-child: relationshipName -> child API name
-      for (const f of d.fields || []) {
-        fieldMap.set(f.name, f);
-        if (f.createable || f.updateable || f.filterable || f.name) {
-          // prefer readable flag if present; fall back to not enforcing
-          if (f.filterable === true || f.name === 'Id' || f.name === 'Name' || f.permissionable === true || f.updateable === true) {
-            readable.add(f.name);
-          }
-        }
-        if (f.relationshipName && f.referenceTo && f.referenceTo.length > 0) {
-          // Map relationshipName and relationshipName__r to target for convenience
-          relationships.set(f.relationshipName, f.referenceTo[0]);
-          if (!f.relationshipName.endsWith('__r')) {
-            relationships.set(`${f.relationshipName}__r`, f.referenceTo[0]);
-          }
-        }
-      }
-      for (const cr of d.childRelationships || []) {
-        if (cr.relationshipName && cr.childSObject) {
-          childRelationships.set(cr.relationshipName, cr.childSObject);
-        }
-      }
-      index.objects[objectApiName] = { describe: d, fieldMap, readable, relationships, childRelationships };
-    } catch (e) {
+    const cached = orgId ? DescribeCache.get(orgId, objectApiName) : undefined;
+    if (cached) describes[objectApiName] = cached;
+    else missing.push(objectApiName);
+  }
+  // Uncached objects are described in Composite batches (25 per API call)
+  if (missing.length > 1 && sf.describeMany) {
+    const { describes: fetched } = await sf.describeMany(missing).catch(() => ({ describes: {} }));
+    Object.assign(describes, fetched);
+  } else {
+    for (const objectApiName of missing) {
+      describes[objectApiName] = await sf.describeSObject(objectApiName).catch(() => undefined);
+    }
+  }
+  for (const objectApiName of unique) {
+    const d = describes[objectApiName];
+    if (!d) {
       // Ignore failures for now; caller can handle missing entries
-      index.objects[objectApiName] = { describe: undefined, fieldMap: new Map(), readable: new Set(), relationships: new Map(), childRelationships: new Map() };
+      index.objects[objectApiName] = emptyEntry();
+      continue;
     }
+    if (orgId && missing.includes(objectApiName)) DescribeCache.set(orgId, objectApiName, d);
+    index.objects[objectApiName] = indexEntry(d);
   }
   return index;
 }
@@ -89,6 +108,30 @@ export async function expandDescribeIndex(sf, index, startObject, maxDepth = 2,
   return index;
 }
 
+// Resolve dotted column paths (owsc__Item__r.Name, Contacts.Email) to describe field entries,
+// describing related objects on demand. Unresolvable paths map to undefined.
+export async function resolveFieldPaths(sf, objectApiName, paths, { orgId } = {}) {
+  const index = await buildDescribeIndex(sf, [objectApiName], { orgId });
+  const ensure = async (api) => {
+    if (!index.objects[api]) {
+      const more = await buildDescribeIndex(sf, [api], { orgId });
+      index.objects[api] = more.objects[api];
+    }
+    return index.objects[api];
+  };
+  const out = {};
+  for (const fieldPath of paths) {
+    const segments = fieldPath.split('.');
+    let obj = index.objects[objectApiName];
+    for (const segment of segments.slice(0, -1)) {
+      const target = obj?.relationships.get(segment) || obj?.childRelationships.get(segment);
+      obj = target ? await ensure(target) : undefined;
+    }
+    out[fieldPath] = obj?.fieldMap.get(segments[segments.length - 1]);
+  }
+  return out;
+}
+
 // Build a lowercase object catalog from Describe global list
 export async function buildObjectCatalog(sf) {
   try {
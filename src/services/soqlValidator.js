@@ -0,0 +1,395 @@
+// Validate a SOQL query against describe metadata before it is executed: every object,
+// field, relationship path and child subquery it references must exist. With `repair`,
+// references that are close to a real one are rewritten (wrong case, a lookup field used
+// as a relationship name, a missing namespace or __c, a small typo) and unknown fields or
+// subqueries in the select list are dropped. Unknown references in WHERE, GROUP BY and
+// HAVING always reject the query, since dropping them would change its meaning. GROUP BY
+// keys that describe marks not groupable (formulas, long text) and SUM/AVG/MIN/MAX over
+// fields it marks not aggregatable are invalid references too.
+
+import { parseSoql, parseSoslReturning, printSoql, printSelectItem, resultColumns, fieldReferences } from '../utils/soqlParser.js';
+import { buildDescribeIndex } from './schemaIndex.js';
+
+const lower = (s) => String(s || '').toLowerCase();
+
+// owsc__Item_Name__c, Item_Name__c and item name all normalize to "itemname"
+const normalize = (s) => lower(s).replace(/^[a-z0-9]+__(?=\w+__[cr]$)/, '').replace(/__[cr]$/, '').replace(/[^a-z0-9]/g, '');
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Closest candidate to `name`: a unique normalized match, else a unique nearest one within
+ * a small edit distance. `keys(candidate)` lists the spellings to compare (name, label).
+ * Returns { match, suggestions }.
+ */
+function closest(name, candidates, keys) {
+  const target = normalize(name);
+  const exact = candidates.filter(c => keys(c).some(k => k && normalize(k) === target));
+  if (exact.length === 1) return { match: exact[0], suggestions: exact };
+  const maxDistance = Math.max(1, Math.floor(target.length / 6));
+  const scored = candidates
+    .map(c => ({ c, d: Math.min(...keys(c).filter(Boolean).map(k => editDistance(normalize(k), target))) }))
+    .filter(s => s.d <= maxDistance)
+    .sort((a, b) => a.d - b.d);
+  const suggestions = (exact.length ? exact : scored.map(s => s.c)).slice(0, 3);
+  if (!exact.length && scored.length && (scored.length === 1 || scored[1].d > scored[0].d)) return { match: scored[0].c, suggestions };
+  return { match: undefined, suggestions };
+}
+
+// Object metadata from the enhanced describe index, or described on demand (DescribeCache)
+function createSchemaSource(sf, { describeIndex, orgId }) {
+  const objects = new Map();
+  for (const o of describeIndex?.objects || []) {
+    objects.set(lower(o.apiName), {
+      name: o.apiName,
+      label: o.label,
+      fields: o.fields || [],
+      children: (o.childRelationships || []).map(c => ({ relationshipName: c.relationshipName, childObject: c.childObject }))
+    });
+  }
+  return {
+    names: () => [...objects.values()].filter(Boolean),
+    async get(name) {
+      const key = lower(name);
+      if (!objects.has(key)) {
+        const index = await buildDescribeIndex(sf, [name], { orgId }).catch(() => undefined);
+        const d = index?.objects[name]?.describe;
+        objects.set(key, d ? {
+          name: d.name,
+          label: d.label,
+          fields: d.fields || [],
+          children: (d.childRelationships || []).map(c => ({ relationshipName: c.relationshipName, childObject: c.childSObject }))
+        } : null);
+      }
+      return objects.get(key);
+    }
+  };
+}
+
+const findField = (schema, name) => schema.fields.find(f => lower(f.name) === lower(name));
+const findRelationship = (schema, name) => schema.fields.find(f => f.relationshipName && lower(f.relationshipName) === lower(name));
+
+/**
+ * Resolve a dotted field path on an object. Returns { path, reads, field } with canonical
+ * names (possibly repaired), the [object, field] pairs the path reads (lookup fields along
+ * the way and the final field) and the final field's metadata, or { error, suggestions }.
+ */
+async function resolvePath(source, schema, path, { repair, alias }) {
+  const segments = path.split('.');
+  const prefix = alias && segments.length > 1 && lower(segments[0]) === lower(alias) ? [segments.shift()] : [];
+  const resolved = [];
+  const reads = [];
+  let current = schema;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = segments[i];
+    let ref = findRelationship(current, segment);
+    if (!ref && repair) {
+      // Lookup field name used as a relationship name (owsc__Item__c.Name → owsc__Item__r.Name)
+      const field = findField(current, segment);
+      ref = field?.relationshipName ? field : closest(segment, current.fields.filter(f => f.relationshipName), f => [f.relationshipName, f.name]).match;
+    }
+    if (!ref) {
+      const { suggestions } = closest(segment, current.fields.filter(f => f.relationshipName), f => [f.relationshipName]);
+      return { error: `${current.name} has no relationship ${segment}`, suggestions: suggestions.map(f => f.relationshipName) };
+    }
+    resolved.push(ref.relationshipName);
+    reads.push([current.name, ref.name]);
+    // Polymorphic lookups (Owner, What): follow the target that has the next segment
+    const targets = [];
+    for (const name of ref.referenceTo || []) {
+      const target = await source.get(name);
+      if (target) targets.push(target);
+    }
+    const nextSegment = segments[i + 1];
+    current = targets.find(t => findField(t, nextSegment) || findRelationship(t, nextSegment)) || targets[0];
+    if (!current) return { error: `Cannot describe the target of ${resolved.join('.')}`, suggestions: [] };
+  }
+  const last = segments[segments.length - 1];
+  let field = findField(current, last);
+  if (!field && repair) field = closest(last, current.fields, f => [f.name, f.label]).match;
+  if (!field) {
+    const { suggestions } = closest(last, current.fields, f => [f.name, f.label]);
+    return { error: `${current.name} has no field ${last}`, suggestions: suggestions.map(f => f.name) };
+  }
+  resolved.push(field.name);
+  reads.push([current.name, field.name]);
+  return { path: [...prefix, ...resolved].join('.'), reads, field };
+}
+
+const AGGREGATE_MEASURES = new Set(['sum', 'avg', 'min', 'max']);
+
+function createValidator(source, { repair }) {
+  const repairs = [];
+  const errors = [];
+  const objects = new Map(); // object API name -> Set of field names read on it
+
+  const touch = (object, field) => {
+    if (!objects.has(object)) objects.set(object, new Set());
+    if (field) objects.get(object).add(field);
+  };
+
+  const note = (clause, from, to, reason) => {
+    // Case-only differences are normalized silently
+    if (to !== null && lower(from) === lower(to)) return;
+    repairs.push({ clause, from, to, reason });
+  };
+
+  // Check a field or function expression in place; returns false if a reference is invalid.
+  // `usage` is 'aggregate' for arguments of SUM/AVG/MIN/MAX
+  async function checkExpression(expr, schema, ctx, clause, usage) {
+    if (expr.type === 'literal') return true;
+    if (expr.type === 'function') {
+      // FIELDS(ALL | STANDARD | CUSTOM) names field groups, not fields; it reads all of them
+      if (lower(expr.name) === 'fields') {
+        const group = lower(expr.args[0]?.path);
+        for (const f of schema.fields) {
+          if (group === 'all' || (group === 'custom') === !!f.custom) touch(schema.name, f.name);
+        }
+        return true;
+      }
+      let ok = true;
+      const argUsage = AGGREGATE_MEASURES.has(lower(expr.name)) ? 'aggregate' : undefined;
+      for (const arg of expr.args) ok = (await checkExpression(arg, schema, ctx, clause, argUsage)) && ok;
+      return ok;
+    }
+    if (ctx.aliases.has(lower(expr.path))) return true;
+    const result = await resolvePath(source, schema, expr.path, { repair, alias: ctx.alias });
+    if (result.error) {
+      ctx.failures.push({ clause, reference: expr.path, message: result.error, suggestions: result.suggestions });
+      return false;
+    }
+    note(clause, expr.path, result.path, 'unknown field');
+    expr.path = result.path;
+    for (const [object, field] of result.reads) touch(object, field);
+    // Describe flags are absent from some index entries; only an explicit false rejects
+    if (clause === 'groupBy' && result.field.groupable === false) {
+      ctx.failures.push({ clause, reference: expr.path, message: `${result.path} cannot be grouped`, suggestions: [] });
+      return false;
+    }
+    if (usage === 'aggregate' && result.field.aggregatable === false) {
+      ctx.failures.push({ clause, reference: expr.path, message: `${result.path} cannot be aggregated`, suggestions: [] });
+      return false;
+    }
+    return true;
+  }
+
+  async function checkCondition(condition, schema, ctx, clause) {
+    if (!condition) return;
+    if (condition.type === 'and' || condition.type === 'or') {
+      for (const c of condition.conditions) await checkCondition(c, schema, ctx, clause);
+      return;
+    }
+    if (condition.type === 'not') return checkCondition(condition.condition, schema, ctx, clause);
+    await checkExpression(condition.left, schema, ctx, clause);
+    // Semi-join: Id IN (SELECT AccountId FROM Contact)
+    if (condition.right.type === 'subquery') await checkQuery(condition.right.query);
+  }
+
+  async function resolveChild(schema, sub) {
+    const byName = schema.children.find(c => c.relationshipName && lower(c.relationshipName) === lower(sub.object));
+    if (byName || !repair) return byName;
+    // Child object name used instead of its relationship name
+    const byObject = schema.children.filter(c => c.relationshipName && lower(c.childObject) === lower(sub.object));
+    if (byObject.length === 1) return byObject[0];
+    return closest(sub.object, schema.children.filter(c => c.relationshipName), c => [c.relationshipName]).match;
+  }
+
+  // Validate one query level. `parent` is the parent schema for child subqueries.
+  async function checkQuery(query, parent) {
+    let schema;
+    if (parent) {
+      const child = await resolveChild(parent, query);
+      if (!child) {
+        errors.push({ clause: 'subquery', reference: query.object, message: `${parent.name} has no child relationship ${query.object}` });
+        return false;
+      }
+      note('subquery', query.object, child.relationshipName, 'unknown child relationship');
+      query.object = child.relationshipName;
+      schema = await source.get(child.childObject);
+      touch(child.childObject);
+      if (!schema) {
+        errors.push({ clause: 'subquery', reference: query.object, message: `Cannot describe ${child.childObject}` });
+        return false;
+      }
+    } else {
+      schema = await source.get(query.object);
+      if (!schema && repair) {
+        const { match } = closest(query.object, source.names(), o => [o.name, o.label]);
+        if (match) {
+          note('from', query.object, match.name, 'unknown object');
+          query.object = match.name;
+          schema = match;
+        }
+      }
+      if (!schema) {
+        const { suggestions } = closest(query.object, source.names(), o => [o.name, o.label]);
+        errors.push({ clause: 'from', reference: query.object, message: `Unknown object ${query.object}`, suggestions: suggestions.map(o => o.name) });
+        return false;
+      }
+      note('from', query.object, schema.name, 'unknown object');
+      query.object = schema.name;
+      touch(schema.name);
+    }
+
+    const ctx = { alias: query.alias, failures: [], aliases: new Set(query.select.map(i => lower(i.alias)).filter(Boolean)) };
+    const keep = [];
+    for (const item of query.select) {
+      const failuresBefore = ctx.failures.length;
+      const errorsBefore = errors.length;
+      const from = printSelectItem(item);
+      let ok = true;
+      if (item.type === 'subquery') ok = await checkQuery(item.query, schema);
+      else if (item.type === 'typeof') ok = await checkTypeof(item, schema, ctx);
+      else ok = await checkExpression(item, schema, ctx, 'select');
+      if (ok) {
+        keep.push(item);
+      } else if (repair) {
+        // Unknown select items are dropped; their errors become repairs
+        const [failure] = [...ctx.failures.splice(failuresBefore), ...errors.splice(errorsBefore)];
+        repairs.push({ clause: 'select', from, to: null, reason: failure?.message });
+      }
+    }
+    if (repair) {
+      if (!keep.length) {
+        errors.push({ clause: 'select', reference: query.object, message: 'No valid fields left in the select list' });
+        return false;
+      }
+      query.select = keep;
+    }
+
+    await checkCondition(query.where, schema, ctx, 'where');
+    for (const item of query.groupBy?.items || []) await checkExpression(item, schema, ctx, 'groupBy');
+    await checkCondition(query.having, schema, ctx, 'having');
+    if (query.orderBy) {
+      const orderBy = [];
+      for (const item of query.orderBy) {
+        const before = ctx.failures.length;
+        if (await checkExpression(item.expr, schema, ctx, 'orderBy')) orderBy.push(item);
+        else if (repair) {
+          // Ordering by an unknown field is dropped; the rows are still the ones asked for
+          const [failure] = ctx.failures.splice(before);
+          repairs.push({ clause: 'orderBy', from: failure.reference, to: null, reason: failure.message });
+        }
+      }
+      query.orderBy = orderBy;
+    }
+
+    errors.push(...ctx.failures);
+    return ctx.failures.length === 0;
+  }
+
+  async function checkTypeof(item, schema, ctx) {
+    const ref = findRelationship(schema, item.path);
+    if (!ref) {
+      ctx.failures.push({ clause: 'select', reference: item.path, message: `${schema.name} has no relationship ${item.path}` });
+      return false;
+    }
+    item.path = ref.relationshipName;
+    touch(schema.name, ref.name);
+    let ok = true;
+    for (const when of item.whens) {
+      const target = await source.get(when.object);
+      if (!target) {
+        ctx.failures.push({ clause: 'select', reference: when.object, message: `Unknown object ${when.object}` });
+        ok = false;
+        continue;
+      }
+      touch(target.name);
+      for (const name of when.fields) {
+        const field = findField(target, name);
+        if (field) {
+          touch(target.name, field.name);
+        } else {
+          ctx.failures.push({ clause: 'select', reference: `${when.object}.${name}`, message: `${target.name} has no field ${name}` });
+          ok = false;
+        }
+      }
+    }
+    return ok;
+  }
+
+  const touched = () => Object.fromEntries([...objects].map(([object, fields]) => [object, [...fields]]));
+
+  return { checkQuery, repairs, errors, touched };
+}
+
+/**
+ * Parse and validate a SOQL query. `describeIndex` is the enhanced describe index;
+ * objects missing from it are described on demand.
+ * Returns { parsed, valid, soql, object, columns, fields, wildcard, repairs, errors }:
+ * - soql:     the query to run (reprinted when repairs were made)
+ * - columns:  keys of the returned records (fields, aggregate aliases, child relationships)
+ * - fields:   every field path the query references on its FROM object
+ * - wildcard: the select list uses FIELDS(...), so columns and fields are incomplete
+ * - objects:  every object the query reads (FROM object, relationship targets, child and
+ *             semi-join subqueries, TYPEOF targets) mapped to the field names read on it
+ * A query the parser does not understand comes back with parsed: false and is not validated.
+ */
+export async function validateSoql(sf, soql, { describeIndex, orgId, repair = true } = {}) {
+  let ast;
+  try {
+    ast = parseSoql(soql);
+  } catch (e) {
+    return { parsed: false, valid: false, soql, error: e.message, repairs: [], errors: [], objects: {} };
+  }
+  const source = createSchemaSource(sf, { describeIndex, orgId });
+  const validator = createValidator(source, { repair });
+  await validator.checkQuery(ast);
+  const { repairs, errors } = validator;
+  return {
+    parsed: true,
+    valid: errors.length === 0,
+    soql: repairs.length ? printSoql(ast) : soql,
+    object: ast.object,
+    columns: resultColumns(ast),
+    fields: fieldReferences(ast),
+    wildcard: ast.select.some(i => i.type === 'function' && lower(i.name) === 'fields'),
+    objects: validator.touched(),
+    repairs,
+    errors
+  };
+}
+
+/**
+ * Collect the objects and fields a SOSL search reads through its RETURNING clause
+ * (relationship paths and WHERE clauses included). Nothing is repaired; a reference that
+ * cannot be resolved is still listed under its RETURNING object. `columns` maps each
+ * RETURNING object to the result columns of its field list (for enforceFls).
+ * Returns { parsed, valid, objects, columns, errors } or { parsed: false, error, objects: {}, columns: {} }.
+ */
+export async function validateSosl(sf, sosl, { describeIndex, orgId } = {}) {
+  let entries;
+  try {
+    entries = parseSoslReturning(sosl);
+  } catch (e) {
+    return { parsed: false, valid: false, error: e.message, errors: [], objects: {}, columns: {} };
+  }
+  const source = createSchemaSource(sf, { describeIndex, orgId });
+  const objects = {};
+  const columns = {};
+  const errors = [];
+  for (const entry of entries) {
+    const validator = createValidator(source, { repair: false });
+    await validator.checkQuery(entry);
+    columns[entry.object] = resultColumns(entry).filter(Boolean);
+    for (const [object, fields] of Object.entries(validator.touched())) {
+      objects[object] = [...new Set([...(objects[object] || []), ...fields])];
+    }
+    objects[entry.object] ||= [];
+    for (const e of validator.errors) {
+      errors.push(e);
+      if (e.clause !== 'from') objects[entry.object].push(e.reference);
+    }
+  }
+  return { parsed: true, valid: errors.length === 0, objects, columns, errors };
+}
@@ -0,0 +1,124 @@
+// Read-only answers to metadata questions ("which validation rules exist on Item",
+// "what Apex triggers touch Item Lot") via the Tooling API. These setup objects are
+// blocked for data queries by org policy, so they are answered here instead of through
+// the SOQL planner.
+
+import { logger } from '../utils/logger.js';
+
+const LIMIT = 200;
+
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// Each kind: question pattern, the query to run (optionally scoped to an object's
+// EntityDefinition DurableId) and how a record maps onto table columns
+const METADATA_KINDS = {
+  validationRules: {
+    sobject: 'ValidationRule',
+    pattern: /\bvalidation\s+rules?\b/,
+    columns: ['name', 'object', 'active', 'description', 'errorMessage', 'errorField'],
+    soql: (entity) => `SELECT Id, ValidationName, Active, Description, ErrorMessage, ErrorDisplayField, EntityDefinition.QualifiedApiName FROM ValidationRule${entity ? ` WHERE EntityDefinitionId = ${quote(entity.durableId)}` : ''} ORDER BY ValidationName LIMIT ${LIMIT}`,
+    row: (r) => ({
+      name: r.ValidationName,
+      object: r.EntityDefinition?.QualifiedApiName,
+      active: r.Active,
+      description: r.Description,
+      errorMessage: r.ErrorMessage,
+      errorField: r.ErrorDisplayField
+    })
+  },
+  triggers: {
+    sobject: 'ApexTrigger',
+    pattern: /\bapex\s+triggers?\b|\btriggers?\s+(on|for|touch\w*|fire\w*)\b|\b(which|what|list|show|any)\b.*\btriggers\b/,
+    columns: ['name', 'object', 'status', 'events'],
+    soql: (entity) => `SELECT Id, Name, TableEnumOrId, Status, UsageBeforeInsert, UsageAfterInsert, UsageBeforeUpdate, UsageAfterUpdate, UsageBeforeDelete, UsageAfterDelete, UsageAfterUndelete FROM ApexTrigger${entity ? ` WHERE TableEnumOrId = ${quote(entity.durableId)}` : ''} ORDER BY Name LIMIT ${LIMIT}`,
+    row: (r, entity) => ({
+      name: r.Name,
+      object: entity?.apiName || r.TableEnumOrId,
+      status: r.Status,
+      events: Object.keys(r)
+        .filter(k => k.startsWith('Usage') && r[k] === true)
+        .map(k => k.replace(/^Usage/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase())
+        .join(', ')
+    })
+  },
+  flows: {
+    sobject: 'FlowDefinitionView',
+    // FlowDefinitionView is a setup object on the data API, not the Tooling API
+    api: 'data',
+    // Metadata phrasing only: "order flow for account X" or "inventory flows by warehouse" are data questions
+    pattern: /\b(active|inactive|draft|obsolete|automation|automated|record[-\s]triggered|screen|autolaunched|scheduled|salesforce)\s+flows?\b|\b(which|what|list|any)\s+flows\b|(?<!cash\s)\bflows\s+(on|touch\w*|fir\w*|trigger\w*|that\s+(run|fire|touch|trigger|update)\w*)\b|\bflow\s+(definitions?|versions?|automations?|builder)\b|\bprocess\s+builders?\b/,
+    columns: ['name', 'label', 'object', 'type', 'trigger', 'active', 'description'],
+    soql: (entity) => `SELECT ApiName, Label, Description, ProcessType, TriggerType, TriggerObjectOrEventLabel, IsActive FROM FlowDefinitionView${entity ? ` WHERE TriggerObjectOrEventId = ${quote(entity.durableId)}` : ''} ORDER BY Label LIMIT ${LIMIT}`,
+    row: (r) => ({
+      name: r.ApiName,
+      label: r.Label,
+      object: r.TriggerObjectOrEventLabel,
+      type: r.ProcessType,
+      trigger: r.TriggerType,
+      active: r.IsActive,
+      description: r.Description
+    })
+  },
+  customFields: {
+    sobject: 'CustomField',
+    pattern: /\bcustom\s+fields?\b|\bfield\s+(definitions?|descriptions?)\b|\bhelp\s+text\b/,
+    requiresObject: true,
+    columns: ['name', 'label', 'type', 'object', 'description', 'helpText'],
+    soql: (entity) => `SELECT Id, DeveloperName, NamespacePrefix, Description, InlineHelpText, TableEnumOrId FROM CustomField WHERE TableEnumOrId = ${quote(entity.durableId)} ORDER BY DeveloperName LIMIT ${LIMIT}`,
+    row: (r, entity, describeFields) => {
+      const name = `${r.NamespacePrefix ? `${r.NamespacePrefix}__` : ''}${r.DeveloperName}__c`;
+      const f = describeFields.get(name);
+      return {
+        name,
+        label: f?.label,
+        type: f?.type,
+        object: entity.apiName,
+        description: r.Description,
+        helpText: r.InlineHelpText
+      };
+    }
+  }
+};
+
+/**
+ * Which metadata kind a question asks about, or null
+ */
+export function detectMetadataIntent(question = '') {
+  const q = String(question).toLowerCase();
+  for (const [kind, def] of Object.entries(METADATA_KINDS)) {
+    if (def.pattern.test(q)) return kind;
+  }
+  return null;
+}
+
+// DurableId is the object's name for standard objects and its 01I id for custom ones,
+// which is what TableEnumOrId / EntityDefinitionId hold
+async function resolveEntity(sf, objectApiName) {
+  const data = await sf.tooling.query(`SELECT DurableId, QualifiedApiName, Label FROM EntityDefinition WHERE QualifiedApiName = ${quote(objectApiName)}`);
+  const rec = data?.records?.[0];
+  if (!rec) throw new Error(`No EntityDefinition for ${objectApiName}`);
+  return { apiName: rec.QualifiedApiName, label: rec.Label, durableId: rec.DurableId };
+}
+
+/**
+ * Answer a metadata question of `kind`, optionally scoped to one object.
+ * `describeFields` (the object's describe fields) fill in labels and types for custom fields.
+ * Returns { columns, rows, sobject, soql, object, tooling }.
+ */
+export async function queryMetadata(sf, kind, { objectApiName, describeFields = [] } = {}) {
+  const def = METADATA_KINDS[kind];
+  if (!def) throw new Error(`Unknown metadata kind: ${kind}`);
+  if (def.requiresObject && !objectApiName) throw new Error(`Unable to resolve target object for ${def.sobject} question`);
+
+  const entity = objectApiName ? await resolveEntity(sf, objectApiName) : undefined;
+  const soql = def.soql(entity);
+  const data = def.api === 'data' ? await sf.query(soql) : await sf.tooling.query(soql);
+  const fieldsByName = new Map(describeFields.map(f => [f.name, f]));
+  const records = data?.records || [];
+  const rows = records.map(r => {
+    const mapped = def.row(r, entity, fieldsByName);
+    return def.columns.map(c => (mapped[c] !== undefined && mapped[c] !== null && mapped[c] !== '') ? mapped[c] : null);
+  });
+  logger.info({ kind, object: entity?.apiName, rows: rows.length }, 'Metadata question answered');
+  return { columns: def.columns, rows, sobject: def.sobject, soql, object: entity?.apiName, tooling: def.api !== 'data' };
+}
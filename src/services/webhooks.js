@@ -0,0 +1,157 @@
+import axios from 'axios';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { withRetry } from '../utils/withRetry.js';
+import { hmacSign, signUrl } from '../utils/signedUrl.js';
+import { logger } from '../utils/logger.js';
+
+// Completion webhooks for exports and long-running generate requests.
+// Receivers verify `X-Orion-Signature: sha256=<hex>`, the HMAC of `<X-Orion-Timestamp>.<raw body>`
+// under DOWNLOAD_SIGNING_SECRET (the secret behind signed download URLs).
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const RETRIES = Number(process.env.WEBHOOK_RETRIES || 4);
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+// Callbacks to loopback, private and link-local addresses are refused unless this is set (local development)
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Addresses a callback must not reach: loopback, RFC 1918, CGNAT, link-local (cloud metadata),
+// unspecified, benchmarking, multicast and reserved ranges, and their IPv6 counterparts
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that fails when any address of the host is blocked; used for the connection
+// itself so a host cannot pass validation and then re-resolve to an internal address
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!ALLOW_PRIVATE && addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(Object.assign(new Error(`Callback host ${hostname} resolves to a private address`), { code: 'ECALLBACKBLOCKED' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another attempt; other 4xx and
+// blocked destinations are not
+const shouldRetryWebhook = (err) => {
+  if (err?.code === 'ECALLBACKBLOCKED') return false;
+  const sc = err?.response?.status;
+  if (!sc) return true;
+  return sc === 408 || sc === 429 || sc >= 500;
+};
+
+/**
+ * Check a client-supplied callbackUrl. Resolves to { ok, url } or { ok: false, error }.
+ * Hosts that are or resolve to loopback, private or link-local addresses are refused
+ * (unless WEBHOOK_ALLOW_PRIVATE=true); WEBHOOK_ALLOWED_HOSTS (comma separated) further
+ * restricts where the server will POST.
+ */
+export async function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    return { ok: false, error: 'invalid_callback_url' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return { ok: false, error: 'invalid_callback_url' };
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (ALLOWED_HOSTS.length && !ALLOWED_HOSTS.includes(hostname)) {
+    return { ok: false, error: 'callback_host_not_allowed' };
+  }
+  if (!ALLOW_PRIVATE) {
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      return { ok: false, error: 'callback_host_unresolvable' };
+    }
+    if (!addresses.length || addresses.some(a => isBlockedAddress(a.address))) {
+      return { ok: false, error: 'callback_host_not_allowed' };
+    }
+  }
+  return { ok: true, url: url.toString() };
+}
+
+/**
+ * Webhook body for a finished job (export or generate request) with a fresh signed download URL.
+ * `baseUrl` (PUBLIC_BASE_URL, else the host the job was submitted to) makes the links absolute.
+ */
+export function buildJobPayload(id, job) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || job.baseUrl || '';
+  const kind = job.kind || 'export';
+  return {
+    event: `${kind}.${job.status}`,
+    id,
+    kind,
+    status: job.status,
+    size: job.size,
+    rowsWritten: job.rowsWritten,
+    format: job.format,
+    error: job.error,
+    org_id: job.org_id,
+    sessionId: job.sessionId,
+    scheduleId: job.scheduleId,
+    statusUrl: `${baseUrl}/export/${id}/status`,
+    downloadUrl: job.status === 'complete' ? baseUrl + signUrl(`/export/${id}/download`) : undefined,
+    expiresAt: job.expiresAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * POST a signed payload, retrying failed deliveries with backoff.
+ * Returns { delivered, attempts, status, error }; never throws.
+ */
+export async function deliverWebhook(callbackUrl, payload) {
+  const body = JSON.stringify(payload);
+  let attempts = 0;
+  try {
+    const res = await withRetry(() => {
+      // Timestamp per attempt so receivers can reject stale replays
+      const timestamp = String(Date.now());
+      return axios.post(callbackUrl, body, {
+        timeout: TIMEOUT_MS,
+        // Redirects could point anywhere; connections re-check the resolved address
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Orion-Event': payload.event,
+          'X-Orion-Timestamp': timestamp,
+          'X-Orion-Signature': `sha256=${hmacSign(`${timestamp}.${body}`)}`
+        }
+      });
+    }, {
+      retries: RETRIES,
+      delayMs: 1000,
+      shouldRetry: shouldRetryWebhook,
+      onAttempt: ({ attempt, error }) => {
+        attempts = attempt + 1;
+        if (error) logger.warn({ callbackUrl, attempt, error }, 'Webhook delivery failed, retrying');
+      }
+    });
+    logger.info({ callbackUrl, event: payload.event, id: payload.id, attempts }, 'Webhook delivered');
+    return { delivered: true, attempts, status: res.status };
+  } catch (err) {
+    logger.error({ callbackUrl, event: payload.event, id: payload.id, attempts, error: err?.message }, 'Webhook delivery gave up');
+    return { delivered: false, attempts, status: err?.response?.status, error: err?.message };
+  }
+}
@@ -0,0 +1,204 @@
+// Flatten Salesforce REST records into tabular rows for exports:
+// - `attributes` is dropped at every level
+// - parent relationships become dotted columns (owsc__Item__r.Name)
+// - child subqueries become a count column, an array column (serialized as JSON by the
+//   writers), or extra rows ('explode')
+
+export const CHILD_MODES = ['count', 'json', 'explode'];
+
+// Split on a delimiter outside parentheses and quotes
+function splitTopLevel(text, delimiter = ',') {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'" && text[i - 1] !== '\\') quoted = !quoted;
+    if (!quoted) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (ch === delimiter && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Split a query at its top-level FROM: { list, rest } (rest starts after FROM)
+function splitSelect(soql) {
+  const text = String(soql || '').trim();
+  if (!/^SELECT\s/i.test(text)) return undefined;
+  let depth = 0;
+  for (let i = 6; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (depth === 0 && /\sFROM\s/i.test(text.slice(i - 1, i + 5))) {
+      return { list: text.slice(6, i).trim(), rest: text.slice(i + 4).trim() };
+    }
+  }
+  return undefined;
+}
+
+const selectList = (soql) => splitSelect(soql)?.list;
+
+/**
+ * Object named in the top-level FROM clause
+ */
+export function fromObject(soql) {
+  return splitSelect(soql)?.rest.match(/^(\w+)/)?.[1];
+}
+
+/**
+ * Columns implied by a SOQL select list: [{ field } | { child, fields }].
+ * Returns undefined for selects that cannot be mapped to columns (functions, TYPEOF).
+ */
+export function selectColumns(soql) {
+  const list = selectList(soql);
+  if (!list) return undefined;
+  const columns = [];
+  for (const item of splitTopLevel(list)) {
+    const sub = item.match(/^\(\s*SELECT\s+([\s\S]+?)\s+FROM\s+(\w+)/i);
+    if (sub) {
+      const fields = splitTopLevel(sub[1]);
+      if (fields.some(f => /[()\s]/.test(f))) return undefined;
+      columns.push({ child: sub[2], fields });
+      continue;
+    }
+    if (/[()\s]/.test(item)) return undefined;
+    columns.push({ field: item });
+  }
+  return columns;
+}
+
+const isSubqueryResult = (v) => v && typeof v === 'object' && !Array.isArray(v) && Array.isArray(v.records);
+
+function flattenInto(out, obj, prefix, children) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (key === 'attributes') continue;
+    if (isSubqueryResult(value)) {
+      if (children) children.push({ name: key, result: value });
+      continue;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenInto(out, value, `${prefix}${key}.`, undefined);
+      continue;
+    }
+    out[`${prefix}${key}`] = value;
+  }
+  return out;
+}
+
+/**
+ * Flatten one record. Returns { row, children: [{ name, result }] } with
+ * dotted parent columns; child subquery results are returned separately.
+ */
+export function flattenRecord(record) {
+  const children = [];
+  const row = flattenInto({}, record, '', children);
+  return { row, children };
+}
+
+/**
+ * Stateful flattener for a paged export. Columns are fixed on the first page
+ * (from the SOQL select list when it can be mapped, else the keys seen on that
+ * page) so every page lines up under the same header.
+ */
+export function createRecordFlattener(soql, { children = 'count' } = {}) {
+  const mode = CHILD_MODES.includes(children) ? children : 'count';
+  const planned = selectColumns(soql);
+  let columns;
+  const childColumnNames = new Set(); // count/json columns; empty subqueries come back as null
+
+  // Salesforce returns API-name casing, which may differ from the SOQL text
+  function resolveColumns(flatPage) {
+    const seen = new Map();
+    const childFields = new Map();
+    for (const { row, children: kids } of flatPage) {
+      for (const key of Object.keys(row)) if (!seen.has(key.toLowerCase())) seen.set(key.toLowerCase(), key);
+      for (const { name, result } of kids) {
+        if (!seen.has(name.toLowerCase())) seen.set(name.toLowerCase(), name);
+        const fields = childFields.get(name) || new Map();
+        for (const rec of result.records) {
+          for (const key of Object.keys(flattenRecord(rec).row)) if (!fields.has(key.toLowerCase())) fields.set(key.toLowerCase(), key);
+        }
+        childFields.set(name, fields);
+      }
+    }
+    const cased = (name) => seen.get(name.toLowerCase()) || name;
+    const childColumns = (name, fields) => {
+      const known = [...(childFields.get(cased(name))?.values() || [])];
+      const list = fields || known;
+      const byLower = new Map(known.map(k => [k.toLowerCase(), k]));
+      return list.map(f => `${cased(name)}.${byLower.get(f.toLowerCase()) || f}`);
+    };
+
+    const out = [];
+    if (planned) {
+      for (const col of planned) {
+        if (col.field) out.push(cased(col.field));
+        else if (mode === 'explode') out.push(...childColumns(col.child, col.fields));
+        else {
+          out.push(cased(col.child));
+          childColumnNames.add(cased(col.child));
+        }
+      }
+    } else {
+      for (const key of seen.values()) {
+        if (childFields.has(key)) {
+          if (mode === 'explode') out.push(...childColumns(key));
+          else {
+            out.push(key);
+            childColumnNames.add(key);
+          }
+        } else {
+          out.push(key);
+        }
+      }
+    }
+    return [...new Set(out)];
+  }
+
+  const project = (values) => Object.fromEntries(columns.map(c => [c, values[c] === undefined ? null : values[c]]));
+
+  return {
+    mode,
+    get columns() { return columns; },
+    // Child subquery columns holding a count or (json mode) an array of flattened records
+    get childColumns() { return childColumnNames; },
+    // Flatten one page of records into rows keyed by the export columns
+    flatten(records) {
+      const flatPage = records.map(flattenRecord);
+      if (!columns) columns = resolveColumns(flatPage);
+      const rows = [];
+      for (const { row, children: kids } of flatPage) {
+        if (mode === 'explode') {
+          const childRows = kids.flatMap(({ name, result }) =>
+            result.records.map(rec => {
+              const childRow = flattenRecord(rec).row;
+              return Object.fromEntries(Object.entries(childRow).map(([k, v]) => [`${name}.${k}`, v]));
+            })
+          );
+          if (!childRows.length) rows.push(project(row));
+          for (const childRow of childRows) rows.push(project({ ...row, ...childRow }));
+          continue;
+        }
+        const values = { ...row };
+        for (const name of childColumnNames) values[name] = mode === 'json' ? [] : 0;
+        for (const { name, result } of kids) {
+          values[name] = mode === 'json'
+            ? result.records.map(rec => flattenRecord(rec).row)
+            : (result.totalSize ?? result.records.length);
+        }
+        rows.push(project(values));
+      }
+      return rows;
+    }
+  };
+}
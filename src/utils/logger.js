@@ -1,5 +1,6 @@
 import pino from 'pino';
 
-export const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
-
+// Under the MCP stdio transport stdout carries JSON-RPC frames, so logs go to stderr
+const destination = process.env.MCP_TRANSPORT === 'stdio' ? pino.destination(2) : undefined;
 
+export const logger = pino({ level: process.env.LOG_LEVEL || 'info' }, destination);
@@ -0,0 +1,9 @@
+// Progress phases shared by the SSE stream route and MCP progress notifications.
+// Order matters: MCP clients receive the phase index as `progress`.
+export const PROGRESS_PHASES = ['ready', 'planning', 'querying', 'formatting', 'done'];
+
+// Report a phase through the optional `req.onProgress` hook (set by MCP callers)
+export function reportProgress(req, phase, detail = {}) {
+  if (typeof req?.onProgress !== 'function') return;
+  try { req.onProgress(phase, detail); } catch {}
+}
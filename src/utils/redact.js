@@ -8,3 +8,8 @@ export function redactPII(text) {
 }
 
 
+
+// Table rows with emails and phone numbers masked in every text cell
+export function redactRows(rows = []) {
+  return rows.map(row => row.map(cell => (typeof cell === 'string' ? redactPII(cell) : cell)));
+}
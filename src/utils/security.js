@@ -1,4 +1,5 @@
 import { logger } from './logger.js';
+import { loadQueryGuidelines } from '../config/configLoader.js';
 
 /**
  * Check CRUD permissions for an object
@@ -7,7 +8,7 @@ export async function checkCrudPermissions(sf, objectApiName, operation = 'read'
   try {
     // For this implementation, we'll use the Salesforce Describe to check permissions
     // In a full implementation, you'd query UserObjectPermissions or use Session-based permissions
-    const describe = await sf.describe(objectApiName);
+    const describe = await sf.describeSObject(objectApiName);
     
     const permissions = {
       createable: describe.createable || false,
@@ -57,7 +58,7 @@ export async function checkCrudPermissions(sf, objectApiName, operation = 'read'
  */
 export async function checkFieldPermissions(sf, objectApiName, fieldNames) {
   try {
-    const describe = await sf.describe(objectApiName);
+    const describe = await sf.describeSObject(objectApiName);
     const fieldMap = new Map();
     
     // Build field permission map
@@ -84,10 +85,12 @@ export async function checkFieldPermissions(sf, objectApiName, fieldNames) {
         } else {
           restricted.push(fieldName);
         }
-      } else if (fieldName.includes('__r.')) {
-        // This is a relationship field (e.g., owsc__Item__r.Name)
+      } else if (fieldName.includes('.')) {
+        // This is a relationship field (e.g., owsc__Item__r.Name, Owner.Name)
         // Check if the base relationship field exists and is accessible
-        const baseField = fieldName.split('__r.')[0] + '__c'; // owsc__Item__c
+        const relationshipName = fieldName.split('.')[0];
+        const baseField = (describe.fields || []).find(f => f.relationshipName === relationshipName)?.name
+          || fieldName.split('__r.')[0] + '__c'; // owsc__Item__c
         const basePermissions = fieldMap.get(baseField);
         
         if (basePermissions && basePermissions.accessible) {
@@ -180,8 +183,9 @@ export function enforceFls(objectName, rows, allowedFields, fieldPermissions = n
       else if (/^expr\d+$/.test(k)) {
         includeField = true;
       }
-      // Handle relationship objects and subquery arrays (keys ending with __r) FIRST
-      else if (k.endsWith('__r') && typeof r[k] === 'object' && r[k] !== null) {
+      // Handle relationship objects and subquery arrays (keys ending with __r, or standard
+      // relationships such as Owner when a field path through them is allowed) FIRST
+      else if ((k.endsWith('__r') || allowedFields.some(field => field.startsWith(`${k}.`))) && typeof r[k] === 'object' && r[k] !== null) {
         // Check if this is a subquery result (array or SF { totalSize, done, records }) or single relationship object
         const isSfSubqueryObject = !!(r[k] && typeof r[k] === 'object' && Array.isArray(r[k].records));
         if (Array.isArray(r[k]) || isSfSubqueryObject) {
@@ -290,7 +294,7 @@ export function enforceFls(objectName, rows, allowedFields, fieldPermissions = n
       if (includeField) {
         // For regular fields, copy the value
         // Relationship objects are already handled in the relationship section above
-        if (!k.endsWith('__r')) {
+        if (!(k in f)) {
           f[k] = r[k];
         }
       } else {
@@ -312,10 +316,62 @@ export function enforceFls(objectName, rows, allowedFields, fieldPermissions = n
   };
 }
 
+// Words of a field or pattern name: Credit_Card_Number__c and CreditCardNumber both give
+// credit, card, number (plus the c suffix)
+const nameWords = (name) => String(name || '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// A pattern matches when its words appear in a row in the field name, so SSN matches
+// Customer_SSN__c but not BusinessName
+function matchesPattern(fieldName, pattern) {
+  const words = nameWords(fieldName);
+  const needle = nameWords(pattern);
+  if (!needle.length) return false;
+  return words.some((_, i) => needle.every((w, j) => words[i + j] === w));
+}
+
 /**
- * Comprehensive security check for query operations
+ * Org policy over everything a query reads. `objects` maps each object API name (FROM
+ * object, relationship targets, child and semi-join subqueries, SOSL RETURNING objects)
+ * to the field names or paths read on it. guardrails.blockedObjects and allowedObjects
+ * apply to every object, and a field whose name matches one of query-guidelines.json's
+ * securityGuidelines.sensitiveFieldPatterns blocks the query.
+ * Returns { allowed, blockedReasons }.
  */
-export async function validateQuerySecurity(sf, objectApiName, fields, orgProfile = {}) {
+export async function checkQueryPolicy(objects, orgProfile = {}) {
+  // Case-insensitive: report columns name objects in upper case (ACCOUNT.NAME)
+  const blockedObjects = (orgProfile.guardrails?.blockedObjects || []).map(o => String(o).toLowerCase());
+  const allowedObjects = (orgProfile.guardrails?.allowedObjects || []).map(o => String(o).toLowerCase());
+  const patterns = (await loadQueryGuidelines())?.securityGuidelines?.sensitiveFieldPatterns || [];
+  const blockedReasons = [];
+
+  for (const [objectApiName, fields] of Object.entries(objects || {})) {
+    const object = objectApiName.toLowerCase();
+    if (blockedObjects.includes(object)) {
+      blockedReasons.push(`Object ${objectApiName} is blocked by org policy`);
+    } else if (allowedObjects.length > 0 && !allowedObjects.includes(object)) {
+      blockedReasons.push(`Object ${objectApiName} is not in allowed list`);
+    }
+    // Every segment of a path is a field name (Secret_Owner__r.Name reads a sensitive lookup)
+    for (const field of fields || []) {
+      const pattern = patterns.find(p => String(field).split('.').some(segment => matchesPattern(segment, p)));
+      if (pattern) blockedReasons.push(`Field ${objectApiName}.${field} matches sensitive field pattern ${pattern}`);
+    }
+  }
+
+  return { allowed: blockedReasons.length === 0, blockedReasons };
+}
+
+/**
+ * Comprehensive security check for query operations. `objects` (see checkQueryPolicy)
+ * lists everything the query reads; without it the policy covers objectApiName and
+ * `fields` only.
+ */
+export async function validateQuerySecurity(sf, objectApiName, fields, orgProfile = {}, { objects } = {}) {
   const results = {
     allowed: false,
     objectPermissions: null,
@@ -325,17 +381,10 @@ export async function validateQuerySecurity(sf, objectApiName, fields, orgProfil
   };
   
   try {
-    // 1. Check if object is explicitly blocked
-    const blockedObjects = orgProfile.guardrails?.blockedObjects || [];
-    if (blockedObjects.includes(objectApiName)) {
-      results.blockedReasons.push(`Object ${objectApiName} is blocked by org policy`);
-      return results;
-    }
-    
-    // 2. Check if only specific objects are allowed
-    const allowedObjects = orgProfile.guardrails?.allowedObjects || [];
-    if (allowedObjects.length > 0 && !allowedObjects.includes(objectApiName)) {
-      results.blockedReasons.push(`Object ${objectApiName} is not in allowed list`);
+    // 1-2. Blocked / allowed objects and sensitive fields over every object the query reads
+    const policy = await checkQueryPolicy(objects || { [objectApiName]: fields || [] }, orgProfile);
+    if (!policy.allowed) {
+      results.blockedReasons.push(...policy.blockedReasons);
       return results;
     }
     
@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+
+// HMAC-signed, short-lived download links (DOWNLOAD_SIGNING_SECRET)
+
+/**
+ * Hex HMAC-SHA256 of text under the download signing secret (also signs webhook payloads)
+ */
+export function hmacSign(text) {
+  const secret = process.env.DOWNLOAD_SIGNING_SECRET || 'dev_secret';
+  return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+/**
+ * Sign a server path for download: returns `pathname?e=<expiry>&s=<hmac>` (valid 5 minutes)
+ */
+export function signUrl(pathname) {
+  const expires = Date.now() + 5 * 60 * 1000; // 5 min
+  const h = hmacSign(pathname + '|' + expires);
+  const u = new URL('http://localhost');
+  u.pathname = pathname;
+  u.searchParams.set('e', String(expires));
+  u.searchParams.set('s', h);
+  return u.pathname + u.search;
+}
+
+/**
+ * Check the signature and expiry on a request made to a signed path
+ */
+export function verifyUrl(req) {
+  try {
+    const e = Number(req.query.e);
+    const s = String(req.query.s || '');
+    if (!e || !s || Date.now() > e) return false;
+    const pathname = req.path;
+    const h = hmacSign(pathname + '|' + e);
+    return crypto.timingSafeEqual(Buffer.from(h, 'hex'), Buffer.from(s, 'hex'));
+  } catch {
+    return false;
+  }
+}
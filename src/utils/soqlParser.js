@@ -0,0 +1,444 @@
+// SOQL parser: turns a query into an AST that can be validated against describe metadata
+// and printed back to SOQL. SOSL RETURNING clauses parse as one query per returned object.
+//
+// Query:      { object, alias, scope, select: [Item], where, with, groupBy, having, orderBy, limit, offset, forClause, updateClause, allRows }
+// Item:       { type: 'field', path, alias } | { type: 'function', name, args, alias }
+//             | { type: 'subquery', query } | { type: 'typeof', path, whens: [{ object, fields }], elseFields }
+// Condition:  { type: 'and' | 'or', conditions } | { type: 'not', condition }
+//             | { type: 'comparison', left: Field | Function, operator, right: Value }
+// Value:      { type: 'literal', raw } | { type: 'list', values } | { type: 'subquery', query }
+// groupBy:    { kind: 'plain' | 'rollup' | 'cube', items: [Field | Function] }
+//
+// Field paths keep their source spelling ('Owner.Name'); literals keep their raw text.
+
+const CLAUSES = new Set(['FROM', 'WHERE', 'WITH', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'FOR', 'UPDATE', 'USING', 'ALL']);
+const OPERATORS = ['!=', '<>', '<=', '>=', '=', '<', '>'];
+const WORD_OPERATORS = new Set(['LIKE', 'IN', 'INCLUDES', 'EXCLUDES']);
+
+export class SoqlParseError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.code = 'soql_parse_error';
+    this.position = position;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+    if (ch === "'") {
+      i++;
+      while (i < text.length && text[i] !== "'") i += text[i] === '\\' ? 2 : 1;
+      if (i >= text.length) throw new SoqlParseError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value: text.slice(start, i), start });
+      continue;
+    }
+    const date = text.slice(i).match(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?)?/);
+    if (date) {
+      i += date[0].length;
+      tokens.push({ type: 'literal', value: date[0], start });
+      continue;
+    }
+    const number = text.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number) {
+      i += number[0].length;
+      tokens.push({ type: 'literal', value: number[0], start });
+      continue;
+    }
+    // Identifiers, dotted paths and date literals with a parameter (LAST_N_DAYS:30)
+    const word = text.slice(i).match(/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*(:\d+)?/);
+    if (word) {
+      i += word[0].length;
+      tokens.push({ type: 'word', value: word[0], upper: word[0].toUpperCase(), start });
+      continue;
+    }
+    const bind = text.slice(i).match(/^:[A-Za-z_][\w.]*/);
+    if (bind) {
+      i += bind[0].length;
+      tokens.push({ type: 'literal', value: bind[0], start });
+      continue;
+    }
+    const op = OPERATORS.find(o => text.startsWith(o, i));
+    if (op) {
+      i += op.length;
+      tokens.push({ type: 'op', value: op, start });
+      continue;
+    }
+    if ('(),'.includes(ch)) {
+      i++;
+      tokens.push({ type: 'punct', value: ch, start });
+      continue;
+    }
+    throw new SoqlParseError(`Unexpected character '${ch}'`, i);
+  }
+  return tokens;
+}
+
+function createParser(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isWord = (t, upper) => t?.type === 'word' && (upper === undefined || t.upper === upper);
+  const isPunct = (t, value) => t?.type === 'punct' && t.value === value;
+  const fail = (message) => { throw new SoqlParseError(message, peek()?.start ?? text.length); };
+  const next = () => tokens[pos++] || fail('Unexpected end of query');
+  const acceptWord = (upper) => (isWord(peek(), upper) ? next() : undefined);
+  const expectWord = (upper) => acceptWord(upper) || fail(`Expected ${upper}`);
+  const expectPunct = (value) => (isPunct(peek(), value) ? next() : fail(`Expected '${value}'`));
+  const atClause = () => isWord(peek()) && CLAUSES.has(peek().upper);
+
+  function parseQuery() {
+    expectWord('SELECT');
+    const query = { select: parseSelectList() };
+    expectWord('FROM');
+    const from = next();
+    if (from.type !== 'word') fail('Expected an object name after FROM');
+    query.object = from.value;
+    if (isWord(peek()) && !CLAUSES.has(peek().upper)) query.alias = next().value;
+    if (acceptWord('USING')) {
+      expectWord('SCOPE');
+      query.scope = next().value;
+    }
+    if (acceptWord('WHERE')) query.where = parseCondition();
+    if (acceptWord('WITH')) query.with = parseRawUntilClause();
+    if (acceptWord('GROUP')) {
+      expectWord('BY');
+      query.groupBy = parseGroupBy();
+    }
+    if (acceptWord('HAVING')) query.having = parseCondition();
+    if (acceptWord('ORDER')) {
+      expectWord('BY');
+      query.orderBy = parseList(parseOrderItem);
+    }
+    if (acceptWord('LIMIT')) query.limit = next().value;
+    if (acceptWord('OFFSET')) query.offset = next().value;
+    if (acceptWord('FOR')) query.forClause = next().upper;
+    if (acceptWord('UPDATE')) query.updateClause = next().upper;
+    if (acceptWord('ALL')) {
+      expectWord('ROWS');
+      query.allRows = true;
+    }
+    return query;
+  }
+
+  function parseList(parseItem) {
+    const items = [parseItem()];
+    while (isPunct(peek(), ',')) {
+      next();
+      items.push(parseItem());
+    }
+    return items;
+  }
+
+  function parseSelectList() {
+    return parseList(() => {
+      if (isPunct(peek(), '(')) {
+        next();
+        const query = parseQuery();
+        expectPunct(')');
+        return { type: 'subquery', query };
+      }
+      if (acceptWord('TYPEOF')) return parseTypeof();
+      const item = parseExpression();
+      // Aliases follow aggregate and function items: COUNT(Id) total
+      if (isWord(peek()) && !CLAUSES.has(peek().upper)) item.alias = next().value;
+      return item;
+    });
+  }
+
+  function parseTypeof() {
+    const path = next().value;
+    const whens = [];
+    while (acceptWord('WHEN')) {
+      const object = next().value;
+      expectWord('THEN');
+      whens.push({ object, fields: parseList(() => next().value) });
+    }
+    const elseFields = acceptWord('ELSE') ? parseList(() => next().value) : undefined;
+    expectWord('END');
+    return { type: 'typeof', path, whens, elseFields };
+  }
+
+  // Field path or function call (COUNT(Id), toLabel(Status), CALENDAR_YEAR(CreatedDate))
+  function parseExpression() {
+    const token = next();
+    if (token.type !== 'word') fail(`Expected a field, found '${token.value}'`);
+    if (!isPunct(peek(), '(')) return { type: 'field', path: token.value };
+    next();
+    const args = [];
+    if (!isPunct(peek(), ')')) {
+      args.push(...parseList(() => {
+        if (isWord(peek()) && !/^(TRUE|FALSE|NULL)$/.test(peek().upper)) return parseExpression();
+        const literal = next();
+        return { type: 'literal', raw: literal.value };
+      }));
+    }
+    expectPunct(')');
+    return { type: 'function', name: token.value, args };
+  }
+
+  function parseCondition() {
+    const conditions = [parseAnd()];
+    while (acceptWord('OR')) conditions.push(parseAnd());
+    return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+  }
+
+  function parseAnd() {
+    const conditions = [parseNot()];
+    while (acceptWord('AND')) conditions.push(parseNot());
+    return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+  }
+
+  function parseNot() {
+    if (acceptWord('NOT')) return { type: 'not', condition: parseNot() };
+    if (isPunct(peek(), '(')) {
+      next();
+      const condition = parseCondition();
+      expectPunct(')');
+      return condition;
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseExpression();
+    let operator;
+    if (peek()?.type === 'op') operator = next().value;
+    else if (isWord(peek(), 'NOT') && isWord(peek(1), 'IN')) {
+      pos += 2;
+      operator = 'NOT IN';
+    } else if (isWord(peek()) && WORD_OPERATORS.has(peek().upper)) operator = next().upper;
+    else fail('Expected a comparison operator');
+    return { type: 'comparison', left, operator, right: parseValue() };
+  }
+
+  function parseValue() {
+    if (isPunct(peek(), '(')) {
+      next();
+      if (isWord(peek(), 'SELECT')) {
+        const query = parseQuery();
+        expectPunct(')');
+        return { type: 'subquery', query };
+      }
+      const values = parseList(() => ({ type: 'literal', raw: next().value }));
+      expectPunct(')');
+      return { type: 'list', values };
+    }
+    const token = next();
+    if (token.type === 'punct' || token.type === 'op') fail(`Expected a value, found '${token.value}'`);
+    return { type: 'literal', raw: token.value };
+  }
+
+  function parseGroupBy() {
+    for (const kind of ['ROLLUP', 'CUBE']) {
+      if (isWord(peek(), kind) && isPunct(peek(1), '(')) {
+        pos += 2;
+        const items = parseList(parseExpression);
+        expectPunct(')');
+        return { kind: kind.toLowerCase(), items };
+      }
+    }
+    return { kind: 'plain', items: parseList(parseExpression) };
+  }
+
+  function parseOrderItem() {
+    const item = { expr: parseExpression() };
+    if (isWord(peek(), 'ASC') || isWord(peek(), 'DESC')) item.direction = next().upper;
+    if (acceptWord('NULLS')) item.nulls = next().upper;
+    return item;
+  }
+
+  // WITH SECURITY_ENFORCED, WITH USER_MODE, WITH DATA CATEGORY ... are kept verbatim
+  function parseRawUntilClause() {
+    const start = peek()?.start ?? text.length;
+    let depth = 0;
+    while (peek() && !(depth === 0 && (atClause() || isPunct(peek(), ')')))) {
+      const t = next();
+      if (isPunct(t, '(')) depth++;
+      if (isPunct(t, ')')) depth--;
+    }
+    return text.slice(start, peek()?.start ?? text.length).trim();
+  }
+
+  return {
+    parse() {
+      const query = parseQuery();
+      if (peek()) fail(`Unexpected '${peek().value}'`);
+      return query;
+    }
+  };
+}
+
+/**
+ * Parse a SOQL query into an AST. Throws SoqlParseError on syntax it does not understand.
+ */
+export function parseSoql(soql) {
+  return createParser(String(soql || '').trim()).parse();
+}
+
+const printExpression = (e) => (e.type === 'function'
+  ? `${e.name}(${e.args.map(a => (a.type === 'literal' ? a.raw : printExpression(a))).join(', ')})`
+  : e.type === 'literal' ? e.raw : e.path);
+
+export function printCondition(c, parent) {
+  if (c.type === 'comparison') return `${printExpression(c.left)} ${c.operator} ${printValue(c.right)}`;
+  if (c.type === 'not') return `NOT ${printCondition(c.condition, 'not')}`;
+  const text = c.conditions.map(child => printCondition(child, c.type)).join(` ${c.type.toUpperCase()} `);
+  return parent ? `(${text})` : text;
+}
+
+function printValue(v) {
+  if (v.type === 'list') return `(${v.values.map(x => x.raw).join(', ')})`;
+  if (v.type === 'subquery') return `(${printSoql(v.query)})`;
+  return v.raw;
+}
+
+export function printSelectItem(item) {
+  if (item.type === 'subquery') return `(${printSoql(item.query)})`;
+  if (item.type === 'typeof') {
+    const whens = item.whens.map(w => `WHEN ${w.object} THEN ${w.fields.join(', ')}`).join(' ');
+    return `TYPEOF ${item.path} ${whens}${item.elseFields ? ` ELSE ${item.elseFields.join(', ')}` : ''} END`;
+  }
+  return `${printExpression(item)}${item.alias ? ` ${item.alias}` : ''}`;
+}
+
+/**
+ * Print an AST back to SOQL
+ */
+export function printSoql(q) {
+  const parts = [`SELECT ${q.select.map(printSelectItem).join(', ')}`, `FROM ${q.object}${q.alias ? ` ${q.alias}` : ''}`];
+  if (q.scope) parts.push(`USING SCOPE ${q.scope}`);
+  if (q.where) parts.push(`WHERE ${printCondition(q.where)}`);
+  if (q.with) parts.push(`WITH ${q.with}`);
+  if (q.groupBy) {
+    const items = q.groupBy.items.map(printExpression).join(', ');
+    parts.push(`GROUP BY ${q.groupBy.kind === 'plain' ? items : `${q.groupBy.kind.toUpperCase()}(${items})`}`);
+  }
+  if (q.having) parts.push(`HAVING ${printCondition(q.having)}`);
+  if (q.orderBy?.length) {
+    parts.push(`ORDER BY ${q.orderBy.map(o => [printExpression(o.expr), o.direction, o.nulls && `NULLS ${o.nulls}`].filter(Boolean).join(' ')).join(', ')}`);
+  }
+  if (q.limit !== undefined) parts.push(`LIMIT ${q.limit}`);
+  if (q.offset !== undefined) parts.push(`OFFSET ${q.offset}`);
+  if (q.forClause) parts.push(`FOR ${q.forClause}`);
+  if (q.updateClause) parts.push(`UPDATE ${q.updateClause}`);
+  if (q.allRows) parts.push('ALL ROWS');
+  return parts.join(' ');
+}
+
+const AGGREGATES = new Set(['COUNT', 'COUNT_DISTINCT', 'SUM', 'AVG', 'MIN', 'MAX']);
+// Functions whose result keeps the field's key in records; every other function gets exprN
+const FIELD_FUNCTIONS = new Set(['TOLABEL', 'FORMAT', 'CONVERTCURRENCY']);
+
+export const isAggregateFunction = (name) => AGGREGATES.has(String(name).toUpperCase());
+
+/**
+ * Keys of the records a query returns, in select order: field paths, function aliases
+ * (expr0, expr1, ... when unaliased) and child relationship names
+ */
+export function resultColumns(q) {
+  let expr = 0;
+  const unalias = (path) => (q.alias && path?.toLowerCase().startsWith(`${q.alias.toLowerCase()}.`) ? path.slice(q.alias.length + 1) : path);
+  return q.select.map(item => {
+    if (item.type === 'subquery') return item.query.object;
+    if (item.type === 'typeof') return item.path;
+    if (item.type === 'function') {
+      if (item.alias) return item.alias;
+      if (item.name.toUpperCase() === 'FIELDS') return undefined;
+      if (FIELD_FUNCTIONS.has(item.name.toUpperCase())) return unalias(item.args.find(a => a.type === 'field')?.path);
+      return `expr${expr++}`;
+    }
+    // Aggregate queries may alias grouped fields
+    return item.alias || unalias(item.path);
+  }).filter(Boolean);
+}
+
+/**
+ * Field paths a query references on its FROM object (select list, function arguments,
+ * WHERE, GROUP BY, HAVING, ORDER BY), without the FROM alias, child subqueries or
+ * semi-join subqueries
+ */
+export function fieldReferences(q) {
+  const paths = new Set();
+  const aliases = new Set(q.select.map(i => i.alias?.toLowerCase()).filter(Boolean));
+  const prefix = q.alias ? `${q.alias.toLowerCase()}.` : undefined;
+  const add = (e) => {
+    if (e.type === 'function') return e.name.toUpperCase() === 'FIELDS' || e.args.forEach(add);
+    if (e.type !== 'field' || aliases.has(e.path.toLowerCase())) return;
+    paths.add(prefix && e.path.toLowerCase().startsWith(prefix) ? e.path.slice(prefix.length) : e.path);
+  };
+  const walk = (c) => {
+    if (!c) return;
+    if (c.type === 'comparison') return add(c.left);
+    if (c.type === 'not') return walk(c.condition);
+    c.conditions.forEach(walk);
+  };
+  q.select.filter(i => i.type === 'field' || i.type === 'function').forEach(add);
+  walk(q.where);
+  q.groupBy?.items.forEach(add);
+  walk(q.having);
+  q.orderBy?.forEach(o => add(o.expr));
+  return [...paths];
+}
+
+// Ends the RETURNING clause of a SOSL search
+const SOSL_TAIL = /^(WITH|LIMIT|OFFSET|UPDATE)\b/i;
+// First clause after the field list inside a RETURNING entry
+const SOSL_ENTRY_CLAUSE = /\s(WHERE|ORDER\s+BY|LIMIT|OFFSET)\b/i;
+
+/**
+ * Parse the RETURNING clause of a SOSL search into one query AST per returned object:
+ * `Account(Id, Name WHERE Type = 'x' LIMIT 5)` reads as `SELECT Id, Name FROM Account
+ * WHERE Type = 'x' LIMIT 5`; an object without a field list returns Id. Returns [] when
+ * the search has no RETURNING clause.
+ */
+export function parseSoslReturning(sosl) {
+  const text = String(sosl || '').trim();
+  // Skip the search term, which may contain any word: FIND {...} or FIND '...'
+  const find = text.match(/^FIND\s*(\{(?:[^}\\]|\\.)*\}|'(?:[^'\\]|\\.)*')/i);
+  if (!find) throw new SoqlParseError('Expected FIND {search term}', 0);
+  const returning = text.slice(find[0].length).match(/\bRETURNING\b/i);
+  if (!returning) return [];
+
+  const entries = [];
+  let i = find[0].length + returning.index + returning[0].length;
+  const skipSpace = () => { while (/\s/.test(text[i] || '')) i++; };
+  while (i < text.length) {
+    skipSpace();
+    if (SOSL_TAIL.test(text.slice(i))) break;
+    const name = text.slice(i).match(/^[A-Za-z_]\w*/);
+    if (!name) throw new SoqlParseError('Expected an object name in RETURNING', i);
+    i += name[0].length;
+    skipSpace();
+    let inner = 'Id';
+    if (text[i] === '(') {
+      const start = ++i;
+      let depth = 1;
+      while (i < text.length && depth) {
+        if (text[i] === "'") {
+          i++;
+          while (i < text.length && text[i] !== "'") i += text[i] === '\\' ? 2 : 1;
+        } else if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        i++;
+      }
+      if (depth) throw new SoqlParseError(`Unclosed field list for ${name[0]}`, start - 1);
+      // USING ListView=... has no SOQL equivalent and names no fields
+      inner = text.slice(start, i - 1).replace(/\s+USING\s+LISTVIEW\s*=\s*\w+/i, '');
+    }
+    const clause = inner.search(SOSL_ENTRY_CLAUSE);
+    const fields = clause === -1 ? inner : inner.slice(0, clause);
+    const rest = clause === -1 ? '' : inner.slice(clause);
+    entries.push(parseSoql(`SELECT ${fields.trim()} FROM ${name[0]}${rest}`));
+    skipSpace();
+    if (text[i] !== ',') break;
+    i++;
+  }
+  return entries;
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aliasOf, uniqueAliases, compileAggregateQuery, compileRecordQuery, aggregateTable } from '../src/services/aggregateQuery.js';
+
+const rules = {
+  targetObject: 'owsc__Item_Lot__c',
+  aggregateBy: ['owsc__Inventory_Location__r.Name', 'owsc__Item__r.Name'],
+  sumFields: ['owsc__Cases_On_Hand__c'],
+  requiredFilters: ["owsc__Status__c = 'Active'", 'owsc__On_Hand_Count__c != 0']
+};
+
+test('aliasOf strips namespaces and suffixes and uniqueAliases numbers repeats', () => {
+  assert.equal(aliasOf('owsc__Inventory_Location__r.Name'), 'Inventory_Location_Name');
+  assert.equal(aliasOf('Amount'), 'Amount');
+  assert.deepEqual(uniqueAliases(['a', 'b', 'a', 'a']), ['a', 'b', 'a2', 'a3']);
+});
+
+test('compiles a rule into ROLLUP SOQL that keeps the generated WHERE and adds missing required filters', () => {
+  const plan = compileAggregateQuery(rules, "SELECT Id FROM owsc__Item_Lot__c WHERE owsc__Status__c = 'Active' AND Name LIKE 'A%' ORDER BY Name LIMIT 200");
+  assert.equal(plan.soql,
+    'SELECT owsc__Inventory_Location__r.Name Inventory_Location_Name, owsc__Item__r.Name Item_Name, SUM(owsc__Cases_On_Hand__c) sum_Cases_On_Hand, COUNT(Id) recordCount, ' +
+    'GROUPING(owsc__Inventory_Location__r.Name) grp_Inventory_Location_Name, GROUPING(owsc__Item__r.Name) grp_Item_Name ' +
+    "FROM owsc__Item_Lot__c WHERE owsc__Status__c = 'Active' AND Name LIKE 'A%' AND owsc__On_Hand_Count__c != 0 " +
+    'GROUP BY ROLLUP(owsc__Inventory_Location__r.Name, owsc__Item__r.Name)');
+  assert.equal(plan.rollup, true);
+  assert.deepEqual(plan.measures.map(m => m.alias), ['sum_Cases_On_Hand', 'recordCount']);
+});
+
+test('uses plain GROUP BY ordered by key when rollup is off, and a bare query for another object', () => {
+  const plan = compileAggregateQuery({ ...rules, rollup: false, requiredFilters: [] }, 'SELECT Id FROM Account WHERE Name = null');
+  assert.equal(plan.soql,
+    'SELECT owsc__Inventory_Location__r.Name Inventory_Location_Name, owsc__Item__r.Name Item_Name, SUM(owsc__Cases_On_Hand__c) sum_Cases_On_Hand, COUNT(Id) recordCount ' +
+    'FROM owsc__Item_Lot__c GROUP BY owsc__Inventory_Location__r.Name, owsc__Item__r.Name ORDER BY owsc__Inventory_Location__r.Name, owsc__Item__r.Name');
+  assert.equal(plan.rollup, false);
+});
+
+test('compileRecordQuery reads child paths through a subquery and reports the crossed relationship', () => {
+  const plan = compileRecordQuery(
+    { targetObject: 'owsc__Item__c', aggregateBy: ['owsc__Lots__r.owsc__Location__c'] },
+    'SELECT Id FROM owsc__Item__c WHERE Name != null LIMIT 5',
+    ['owsc__Lots__r.owsc__Location__c', 'owsc__Lots__r.owsc__Cases__c', 'owsc__Formula__c'],
+    ['owsc__Lots__r']
+  );
+  assert.deepEqual(plan, {
+    soql: 'SELECT Id, owsc__Formula__c, (SELECT Id, owsc__Location__c, owsc__Cases__c FROM owsc__Lots__r) FROM owsc__Item__c WHERE Name != null',
+    object: 'owsc__Item__c',
+    unwind: 'owsc__Lots__r'
+  });
+});
+
+test('compileRecordQuery refuses keys across two child relationships', () => {
+  assert.throws(
+    () => compileRecordQuery({ targetObject: 'X__c', aggregateBy: ['A__r.B__c', 'C__r.D__c'] }, '', ['A__r.B__c', 'C__r.D__c'], ['A__r', 'C__r']),
+    { code: 'unsupported_aggregation' }
+  );
+});
+
+test('aggregateTable labels ROLLUP rows as group, subtotal or total', () => {
+  const plan = compileAggregateQuery(rules, '');
+  const record = (location, item, cases, grpLocation, grpItem) => ({
+    Inventory_Location_Name: location, Item_Name: item, sum_Cases_On_Hand: cases, recordCount: 1,
+    grp_Inventory_Location_Name: grpLocation, grp_Item_Name: grpItem
+  });
+  const table = aggregateTable([record('Main', 'Dow 2017', 12, 0, 0), record('Main', null, 12, 0, 1), record(null, null, 12, 1, 1)], plan);
+  assert.deepEqual(table.columns, ['Inventory_Location_Name', 'Item_Name', 'sum_Cases_On_Hand', 'recordCount', 'rowType']);
+  assert.deepEqual(table.rows.map(r => r.at(-1)), ['group', 'subtotal', 'total']);
+  assert.deepEqual(table.rows[0], ['Main', 'Dow 2017', 12, 1, 'group']);
+});
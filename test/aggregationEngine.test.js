@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregationSpec, fieldPaths, aggregateRecords } from '../src/services/aggregationEngine.js';
+
+const spec = aggregationSpec({
+  aggregateBy: ['owsc__Item__r.Name'],
+  sumFields: ['owsc__Cases__c'],
+  avgFields: ['owsc__Cases__c'],
+  maxFields: ['CreatedDate'],
+  distinctFields: ['owsc__Location__c'],
+  percentiles: [{ field: 'owsc__Cases__c', p: 50 }, { field: 'owsc__Cases__c', p: 150 }]
+});
+
+test('aggregationSpec builds aliased keys and measures and drops out-of-range percentiles', () => {
+  assert.deepEqual(spec.groupBy, [{ path: 'owsc__Item__r.Name', alias: 'Item_Name' }]);
+  assert.deepEqual(spec.measures.map(m => [m.op, m.alias]), [
+    ['sum', 'sum_Cases'], ['avg', 'avg_Cases'], ['max', 'max_CreatedDate'],
+    ['distinct', 'distinct_Location'], ['percentile', 'p50_Cases'], ['count', 'recordCount']
+  ]);
+  assert.deepEqual(fieldPaths(spec), ['owsc__Item__r.Name', 'owsc__Cases__c', 'CreatedDate', 'owsc__Location__c']);
+});
+
+test('groups records by key, sorts keys with nulls last and computes totals over all records', () => {
+  const records = [
+    { owsc__Item__r: { Name: 'B' }, owsc__Cases__c: 0.1, CreatedDate: '2024-01-02', owsc__Location__c: 'L1' },
+    { owsc__Item__r: { Name: 'B' }, owsc__Cases__c: 0.2, CreatedDate: '2024-03-01', owsc__Location__c: 'L1' },
+    // Key casing differs from the spec path; numeric strings count as numbers
+    { owsc__Item__r: { name: 'A' }, owsc__Cases__c: '4', CreatedDate: '2023-12-31', owsc__Location__c: 'L2' },
+    { owsc__Item__r: null, owsc__Cases__c: null, CreatedDate: null, owsc__Location__c: 'L3' }
+  ];
+  const result = aggregateRecords(records, spec);
+  assert.deepEqual(result.columns, ['Item_Name', 'sum_Cases', 'avg_Cases', 'max_CreatedDate', 'distinct_Location', 'p50_Cases', 'recordCount']);
+  assert.deepEqual(result.rows, [
+    ['A', 4, 4, '2023-12-31', 1, 4, 1],
+    ['B', 0.3, 0.15, '2024-03-01', 1, 0.15, 2],
+    [null, null, null, null, 1, null, 1]
+  ]);
+  assert.deepEqual(result.totals, {
+    sum_Cases: 4.3, avg_Cases: 1.43333333333, max_CreatedDate: '2024-03-01', distinct_Location: 3, p50_Cases: 0.2, recordCount: 4
+  });
+  assert.equal(result.recordCount, 4);
+});
+
+test('unwinds a child relationship so each child row counts once', () => {
+  const childSpec = { ...aggregationSpec({ aggregateBy: ['owsc__Lots__r.owsc__Location__c'], sumFields: ['owsc__Lots__r.owsc__Cases__c'] }), unwind: 'owsc__Lots__r' };
+  const records = [
+    { Id: 'i1', owsc__Lots__r: { records: [{ owsc__Location__c: 'X', owsc__Cases__c: 2 }, { owsc__Location__c: 'Y', owsc__Cases__c: 3 }] } },
+    { Id: 'i2', owsc__Lots__r: null }
+  ];
+  const result = aggregateRecords(records, childSpec);
+  assert.deepEqual(result.rows, [['X', 2, 1], ['Y', 3, 1], [null, null, 1]]);
+  assert.deepEqual(result.totals, { sum_Lots_Cases: 5, recordCount: 3 });
+  assert.equal(result.recordCount, 2);
+});
+
+test('rejects an unsupported operation', () => {
+  assert.throws(
+    () => aggregateRecords([{ Amount: 1 }], { groupBy: [], measures: [{ op: 'median', field: 'Amount', alias: 'm' }] }),
+    { code: 'unsupported_aggregation' }
+  );
+});
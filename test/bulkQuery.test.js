@@ -0,0 +1,182 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Module settings are read at import time
+process.env.LOG_LEVEL ??= 'silent';
+process.env.EXPORT_BULK_POLL_MS = '5';
+
+const { sfClient } = await import('../src/services/salesforce.js');
+const { bulkQueryToWriter, isBulkCompatible, toCountSoql, chooseExportMode } = await import('../src/services/bulkQuery.js');
+
+// Local stand-in for the Bulk API 2.0 query endpoints. Each job lists the states its status
+// polls return and the CSV pages its results return; a page's locator is its index + 1.
+// Creating a job returns the most recently mocked one.
+const JOBS_PATH = /^\/services\/data\/v[\d.]+\/jobs\/query/;
+let jobs;
+let requests;
+let server;
+let instanceUrl;
+
+function mockJob(id, { states = ['JobComplete'], pages = [], errorMessage } = {}) {
+  jobs.set(id, { id, states: [...states], pages, errorMessage, state: 'UploadComplete' });
+}
+
+function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: body ? JSON.parse(body) : undefined });
+    const json = (status, data) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+    const [base] = url.pathname.match(JOBS_PATH) || [''];
+    const [, id, results] = url.pathname.slice(base.length).split('/');
+
+    if (req.method === 'POST' && url.pathname === base) {
+      const job = [...jobs.values()].at(-1);
+      return json(200, { id: job.id, state: job.state, operation: 'query' });
+    }
+    const job = jobs.get(id);
+    if (!job) return json(404, [{ errorCode: 'NOT_FOUND', message: 'no such job' }]);
+    if (req.method === 'PATCH') {
+      job.state = 'Aborted';
+      return json(200, { id, state: job.state });
+    }
+    if (req.method === 'GET' && results === 'results') {
+      const index = Number(url.searchParams.get('locator') || 0);
+      const page = job.pages[index];
+      const next = index + 1 < job.pages.length ? String(index + 1) : 'null';
+      res.writeHead(200, { 'Content-Type': 'text/csv', 'Sforce-Locator': next, 'Sforce-NumberOfRecords': String(page.split('\n').filter(Boolean).length - 1) });
+      // Split the header across chunks so header skipping is exercised
+      res.write(page.slice(0, 3));
+      return res.end(page.slice(3));
+    }
+    if (req.method === 'GET') {
+      if (job.state !== 'Aborted') job.state = job.states.length > 1 ? job.states.shift() : job.states[0];
+      return json(200, { id, state: job.state, errorMessage: job.errorMessage });
+    }
+    json(405, {});
+  });
+}
+
+function memoryWriter() {
+  const chunks = [];
+  return {
+    rows: 0,
+    async writeRaw(buf) { chunks.push(Buffer.from(buf)); },
+    countRows(n) { this.rows += n; },
+    text: () => Buffer.concat(chunks).toString('utf8')
+  };
+}
+
+const client = () => sfClient({ instanceUrl, accessToken: 'token', apiVersion: '62.0' });
+
+before(async () => {
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  instanceUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  jobs = new Map();
+  requests = [];
+});
+
+test('creates a job, polls until complete and writes every page with one header', async () => {
+  mockJob('750A', {
+    states: ['InProgress', 'InProgress', 'JobComplete'],
+    pages: ['Id,Name\n001A,Acme\n001B,Globex\n', 'Id,Name\n001C,Initech\n']
+  });
+  const writer = memoryWriter();
+  const polls = [];
+  const pages = [];
+
+  const result = await bulkQueryToWriter(client(), 'SELECT Id, Name FROM Account', writer, {
+    onPoll: job => polls.push(job.state),
+    onPage: page => pages.push(page.rows)
+  });
+
+  assert.deepEqual(result, { jobId: '750A', rows: 3 });
+  assert.equal(writer.text(), 'Id,Name\n001A,Acme\n001B,Globex\n001C,Initech\n');
+  assert.equal(writer.rows, 3);
+  assert.deepEqual(polls, ['InProgress', 'InProgress', 'JobComplete']);
+  assert.deepEqual(pages, [2, 3]);
+
+  const create = requests.find(r => r.method === 'POST');
+  assert.deepEqual(create.body, { operation: 'query', query: 'SELECT Id, Name FROM Account', contentType: 'CSV', lineEnding: 'LF' });
+  const resultCalls = requests.filter(r => r.path.endsWith('/results'));
+  assert.deepEqual(resultCalls.map(r => r.query.locator), [undefined, '1']);
+});
+
+test('stops paging at maxRows and asks for no more records than remain', async () => {
+  mockJob('750B', { pages: ['Id\n1\n2\n', 'Id\n3\n4\n', 'Id\n5\n'] });
+  const writer = memoryWriter();
+
+  const result = await bulkQueryToWriter(client(), 'SELECT Id FROM Account', writer, { jobId: '750B', maxRows: 4 });
+
+  assert.equal(result.rows, 4);
+  assert.equal(writer.text(), 'Id\n1\n2\n3\n4\n');
+  assert.equal(requests.some(r => r.method === 'POST'), false, 'a resumed job is not created again');
+  assert.deepEqual(requests.filter(r => r.path.endsWith('/results')).map(r => r.query.maxRecords), ['4', '2']);
+});
+
+test('rejects with the job error when the job fails', async () => {
+  mockJob('750C', { states: ['InProgress', 'Failed'], errorMessage: 'INVALID_FIELD: Foo__c' });
+
+  await assert.rejects(
+    bulkQueryToWriter(client(), 'SELECT Foo__c FROM Account', memoryWriter(), { jobId: '750C' }),
+    /750C failed: INVALID_FIELD: Foo__c/
+  );
+  assert.equal(requests.some(r => r.path.endsWith('/results')), false);
+});
+
+test('aborts the Salesforce job when the signal aborts while polling', async () => {
+  mockJob('750D', { states: ['InProgress'] });
+  const controller = new AbortController();
+
+  await assert.rejects(
+    bulkQueryToWriter(client(), 'SELECT Id FROM Account', memoryWriter(), {
+      jobId: '750D',
+      signal: controller.signal,
+      onPoll: () => controller.abort()
+    }),
+    { code: 'export_cancelled' }
+  );
+  const abort = requests.find(r => r.method === 'PATCH');
+  assert.match(abort.path, /\/jobs\/query\/750D$/);
+  assert.deepEqual(abort.body, { state: 'Aborted' });
+});
+
+test('aborts the job and rejects once the timeout passes', async () => {
+  mockJob('750E', { states: ['InProgress'] });
+
+  await assert.rejects(
+    bulkQueryToWriter(client(), 'SELECT Id FROM Account', memoryWriter(), { jobId: '750E', timeoutMs: -1 }),
+    /750E timed out/
+  );
+  assert.equal(jobs.get('750E').state, 'Aborted');
+});
+
+test('isBulkCompatible rejects what Bulk API 2.0 query jobs cannot run', () => {
+  assert.equal(isBulkCompatible('SELECT Id, Name FROM Account WHERE Name LIKE \'A%\''), true);
+  assert.equal(isBulkCompatible('SELECT Id, (SELECT Id FROM Contacts) FROM Account'), false);
+  assert.equal(isBulkCompatible('SELECT COUNT(Id) FROM Account'), false);
+  assert.equal(isBulkCompatible('SELECT Id FROM Account LIMIT 10 OFFSET 5'), false);
+});
+
+test('toCountSoql drops the select list, ORDER BY and LIMIT and returns the limit', () => {
+  assert.deepEqual(toCountSoql('SELECT Id, Name FROM Account WHERE Industry = \'Retail\' ORDER BY Name LIMIT 500'), {
+    countSoql: 'SELECT COUNT() FROM Account WHERE Industry = \'Retail\'',
+    limit: 500
+  });
+});
+
+test('chooseExportMode uses Bulk only at or above the threshold', async () => {
+  const sf = (totalSize) => ({ query: async () => ({ totalSize }) });
+  assert.deepEqual(await chooseExportMode(sf(20000), 'SELECT Id FROM Account', { threshold: 10000 }), { useBulk: true, estimatedRows: 20000, reason: 'row_count' });
+  assert.deepEqual(await chooseExportMode(sf(20000), 'SELECT Id FROM Account LIMIT 50', { threshold: 10000 }), { useBulk: false, estimatedRows: 50, reason: 'row_count' });
+  const failing = { query: async () => { throw new Error('boom'); } };
+  assert.deepEqual(await chooseExportMode(failing, 'SELECT Id FROM Account'), { useBulk: false, reason: 'count_failed' });
+});
@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+
+// data/exports resolves against the working directory and module settings are read at
+// import time, so both are set before the sweeper loads
+process.env.LOG_LEVEL ??= 'silent';
+process.env.EXPORT_ORG_QUOTA_BYTES = '2000';
+process.env.EXPORT_FAILED_RETENTION_MS = String(60 * 60 * 1000);
+const cwd = process.cwd();
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'export-retention-test-'));
+process.chdir(root);
+
+const { EXPORT_DIR } = await import('../src/services/exportJob.js');
+const { ExportRetention } = await import('../src/services/exportRetention.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// Write an export's metadata (unless meta is null) and payload; returns its id
+async function writeExport(meta, payload = 'Id\n001\n', { ageMs = 0 } = {}) {
+  const id = crypto.randomUUID();
+  const files = [path.join(EXPORT_DIR, `${id}.csv`)];
+  await fs.writeFile(files[0], payload);
+  if (meta) {
+    files.push(path.join(EXPORT_DIR, `${id}.json`));
+    await fs.writeFile(files[1], JSON.stringify({ id, format: 'csv', ...meta }));
+  }
+  const at = new Date(Date.now() - ageMs);
+  for (const file of files) await fs.utimes(file, at, at);
+  return id;
+}
+
+const exists = (id, ext = 'csv') => fs.access(path.join(EXPORT_DIR, `${id}.${ext}`)).then(() => true, () => false);
+
+before(() => fs.mkdir(EXPORT_DIR, { recursive: true }));
+
+beforeEach(async () => {
+  for (const name of await fs.readdir(EXPORT_DIR)) await fs.rm(path.join(EXPORT_DIR, name));
+});
+
+after(async () => {
+  process.chdir(cwd);
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('deletes completed exports past expiresAt and keeps the rest', async () => {
+  const now = Date.now();
+  const expired = await writeExport({ status: 'complete', org_id: 'a', expiresAt: now - 1000, finishedAt: now - 2000 });
+  const live = await writeExport({ status: 'complete', org_id: 'b', expiresAt: now + HOUR, finishedAt: now });
+  const running = await writeExport({ status: 'running', org_id: 'c' }, 'Id\n', { ageMs: 2 * HOUR });
+
+  const summary = await ExportRetention.sweep();
+
+  assert.deepEqual(summary, { expired: 1, quota: 0, orphan: 0, reclaimedBytes: summary.reclaimedBytes });
+  assert.ok(summary.reclaimedBytes > 'Id\n001\n'.length, 'payload and metadata bytes are both counted');
+  assert.equal(await exists(expired), false);
+  assert.equal(await exists(expired, 'json'), false);
+  assert.equal(await exists(live), true);
+  assert.equal(await exists(running), true);
+});
+
+test('removes payloads without metadata after an hour and failed jobs after their retention', async () => {
+  const now = Date.now();
+  const oldOrphan = await writeExport(null, 'Id\n', { ageMs: 2 * HOUR });
+  const newOrphan = await writeExport(null, 'Id\n');
+  const oldFailure = await writeExport({ status: 'failed', org_id: 'a', finishedAt: now - 2 * HOUR }, '');
+  const newFailure = await writeExport({ status: 'cancelled', org_id: 'a', finishedAt: now }, '');
+
+  const summary = await ExportRetention.sweep();
+
+  assert.equal(summary.orphan, 1);
+  assert.equal(summary.expired, 1);
+  assert.deepEqual(await Promise.all([oldOrphan, newOrphan].map(id => exists(id))), [false, true]);
+  assert.deepEqual(await Promise.all([oldFailure, newFailure].map(id => exists(id, 'json'))), [false, true]);
+});
+
+test('evicts an org\'s oldest completed exports until it is under quota', async () => {
+  const now = Date.now();
+  const payload = 'x'.repeat(1200);
+  const meta = (finishedAt) => ({ status: 'complete', org_id: 'big', expiresAt: now + HOUR, finishedAt });
+  const oldest = await writeExport(meta(now - 3000), payload);
+  const middle = await writeExport(meta(now - 2000), payload);
+  const newest = await writeExport(meta(now - 1000), payload);
+  const otherOrg = await writeExport({ ...meta(now - 5000), org_id: 'small' }, 'Id\n');
+
+  const summary = await ExportRetention.sweep();
+
+  assert.equal(summary.quota, 2);
+  assert.deepEqual(await Promise.all([oldest, middle, newest, otherOrg].map(id => exists(id))), [false, false, true, true]);
+  const stats = ExportRetention.stats();
+  assert.equal(stats.quotaBytes, 2000);
+  assert.ok(stats.usageByOrg.big <= 2000);
+  assert.ok(stats.byReason.quota.exports >= 2);
+});
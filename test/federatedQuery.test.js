@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL ??= 'silent';
+const { mergeOrgTables } = await import('../src/services/federatedQuery.js');
+const { compileAggregateQuery, aggregateTable } = await import('../src/services/aggregateQuery.js');
+
+const plan = compileAggregateQuery({
+  targetObject: 'owsc__Item_Lot__c',
+  aggregateBy: ['owsc__Inventory_Location__r.Name'],
+  sumFields: ['owsc__Cases_On_Hand__c'],
+  rollup: false
+}, 'SELECT Id FROM owsc__Item_Lot__c');
+
+// GROUP BY results come back keyed by the compiled aliases, not expr0..n
+const group = (location, cases, count) => ({ attributes: { type: 'AggregateResult' }, Inventory_Location_Name: location, sum_Cases_On_Hand: cases, recordCount: count });
+
+test('renders each org\'s aggregate groups under its own _orgId', () => {
+  const results = [
+    { orgId: 'east', ok: true, value: { rows: [group('Main', 12, 3), group('Annex', 4, 1)] } },
+    { orgId: 'west', ok: false, error: 'Org is not connected for this session', code: 'missing_salesforce_token' },
+    { orgId: 'north', ok: true, value: { rows: [group('Main', 7, 2)] } }
+  ];
+
+  const merged = mergeOrgTables(results, value => aggregateTable(value.rows, plan));
+
+  assert.deepEqual(merged.columns, ['_orgId', 'Inventory_Location_Name', 'sum_Cases_On_Hand', 'recordCount']);
+  assert.deepEqual(merged.rows, [['east', 'Main', 12, 3], ['east', 'Annex', 4, 1], ['north', 'Main', 7, 2]]);
+  assert.deepEqual(merged.rowCounts, { east: 2, north: 1 });
+});
+
+test('takes the columns from the first org that returned rows', () => {
+  const render = value => ({ columns: value.columns, rows: value.rows });
+  const merged = mergeOrgTables([
+    { orgId: 'a', ok: true, value: { columns: ['Id'], rows: [] } },
+    { orgId: 'b', ok: true, value: { columns: ['Id', 'Name'], rows: [['001', 'Acme']] } }
+  ], render);
+
+  assert.deepEqual(merged.columns, ['_orgId', 'Id', 'Name']);
+  assert.deepEqual(merged.rows, [['b', '001', 'Acme']]);
+  assert.deepEqual(mergeOrgTables([{ orgId: 'a', ok: false }], render), { columns: ['_orgId'], rows: [], rowCounts: {} });
+});
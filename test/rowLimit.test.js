@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL ??= 'silent';
+const { applyRowLimit, capRows, rowCapFor } = await import('../src/services/rowLimit.js');
+
+test('rowCapFor takes the lower of guardrails.maxRows and queryPreferences.maxLimit', async () => {
+  // data/configs/query-guidelines.json sets queryPreferences.maxLimit to 2000
+  assert.equal(await rowCapFor({ guardrails: { maxRows: 50 } }), 50);
+  assert.equal(await rowCapFor({ guardrails: { maxRows: 100000 } }), 2000);
+  assert.equal(await rowCapFor({ guardrails: { maxRows: 'all' } }), 2000);
+  assert.equal(await rowCapFor(undefined), 2000);
+});
+
+test('injects a LIMIT into SOQL that has none', () => {
+  assert.deepEqual(applyRowLimit('SELECT Id FROM Account', 'SOQL', 50), {
+    query: 'SELECT Id FROM Account LIMIT 50',
+    rowLimit: { cap: 50, limit: 50, requested: undefined, action: 'injected' }
+  });
+  // A subquery's LIMIT is not the query's LIMIT
+  assert.equal(applyRowLimit('SELECT Id, (SELECT Id FROM Contacts LIMIT 900) FROM Account', 'soql', 50).query,
+    'SELECT Id, (SELECT Id FROM Contacts LIMIT 900) FROM Account LIMIT 50');
+});
+
+test('clamps a larger SOQL LIMIT and keeps a smaller one', () => {
+  assert.deepEqual(applyRowLimit('SELECT Id FROM Account ORDER BY Name LIMIT 900', 'SOQL', 50), {
+    query: 'SELECT Id FROM Account ORDER BY Name LIMIT 50',
+    rowLimit: { cap: 50, limit: 50, requested: 900, action: 'clamped' }
+  });
+  assert.deepEqual(applyRowLimit('SELECT Id FROM Account LIMIT 10', 'SOQL', 50), {
+    query: 'SELECT Id FROM Account LIMIT 10',
+    rowLimit: { cap: 50, limit: 10, requested: 10, action: 'kept' }
+  });
+});
+
+test('leaves aggregate SOQL alone', () => {
+  for (const soql of ['SELECT COUNT() FROM Account', 'SELECT Industry, SUM(AnnualRevenue) FROM Account GROUP BY Industry']) {
+    assert.deepEqual(applyRowLimit(soql, 'SOQL', 50), { query: soql, rowLimit: { cap: 50, limit: undefined, requested: undefined, action: 'aggregate' } });
+  }
+});
+
+test('does nothing without a cap, and throws invalid_soql on SOQL it cannot parse', () => {
+  assert.deepEqual(applyRowLimit('SELECT Id FROM ((', 'SOQL', undefined), { query: 'SELECT Id FROM ((', rowLimit: { cap: undefined, action: 'none' } });
+  assert.throws(() => applyRowLimit('SELECT Id FROM ((', 'SOQL', 50), { code: 'invalid_soql' });
+});
+
+test('caps SOSL at the top level only, before UPDATE TRACKING', () => {
+  const clamped = applyRowLimit('FIND {limit 5} IN ALL FIELDS RETURNING Account(Id LIMIT 900) LIMIT 1000', 'SOSL', 50);
+  assert.equal(clamped.query, 'FIND {limit 5} IN ALL FIELDS RETURNING Account(Id LIMIT 900) LIMIT 50');
+  assert.deepEqual(clamped.rowLimit, { cap: 50, limit: 50, requested: 1000, action: 'clamped' });
+
+  assert.equal(applyRowLimit('FIND {acme} RETURNING Account(Id) UPDATE TRACKING', 'SOSL', 50).query,
+    'FIND {acme} RETURNING Account(Id) LIMIT 50 UPDATE TRACKING');
+  assert.equal(applyRowLimit("FIND {acme} RETURNING Account(Name WHERE Name = 'x LIMIT 3')", 'SOSL', 50).query,
+    "FIND {acme} RETURNING Account(Name WHERE Name = 'x LIMIT 3') LIMIT 50");
+  assert.equal(applyRowLimit('FIND {acme} LIMIT 20', 'SOSL', 50).rowLimit.action, 'kept');
+});
+
+test('capRows keeps at most cap rows of an already fetched table', () => {
+  const rows = [[1], [2], [3]];
+  assert.deepEqual(capRows(rows, 2), { rows: [[1], [2]], rowLimit: { cap: 2, limit: 2, requested: 3, action: 'clamped' } });
+  assert.deepEqual(capRows(rows, 5), { rows, rowLimit: { cap: 5, limit: 5, requested: 3, action: 'kept' } });
+  assert.deepEqual(capRows(rows, undefined), { rows, rowLimit: { cap: undefined, action: 'none' } });
+});
@@ -0,0 +1,48 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { hmacSign, signUrl, verifyUrl } from '../src/utils/signedUrl.js';
+
+const secret = process.env.DOWNLOAD_SIGNING_SECRET;
+afterEach(() => {
+  if (secret === undefined) delete process.env.DOWNLOAD_SIGNING_SECRET;
+  else process.env.DOWNLOAD_SIGNING_SECRET = secret;
+});
+
+// The parts of an Express request verifyUrl reads
+function requestFor(signed) {
+  const url = new URL(signed, 'http://localhost');
+  return { path: url.pathname, query: Object.fromEntries(url.searchParams) };
+}
+
+test('hmacSign is HMAC-SHA256 under DOWNLOAD_SIGNING_SECRET', () => {
+  process.env.DOWNLOAD_SIGNING_SECRET = 'test-secret';
+  assert.equal(hmacSign('payload'), crypto.createHmac('sha256', 'test-secret').update('payload').digest('hex'));
+});
+
+test('a signed path verifies and expires in five minutes', () => {
+  process.env.DOWNLOAD_SIGNING_SECRET = 'test-secret';
+  const before = Date.now();
+  const req = requestFor(signUrl('/export/abc/download'));
+  assert.equal(verifyUrl(req), true);
+  const expires = Number(req.query.e);
+  assert.ok(expires >= before + 5 * 60 * 1000 && expires <= Date.now() + 5 * 60 * 1000);
+});
+
+test('rejects another path, a changed expiry, a bad signature or another secret', () => {
+  process.env.DOWNLOAD_SIGNING_SECRET = 'test-secret';
+  const req = requestFor(signUrl('/export/abc/download'));
+  assert.equal(verifyUrl({ ...req, path: '/export/xyz/download' }), false);
+  assert.equal(verifyUrl({ ...req, query: { ...req.query, e: String(Number(req.query.e) + 1000) } }), false);
+  assert.equal(verifyUrl({ ...req, query: { ...req.query, s: 'zz' } }), false);
+  assert.equal(verifyUrl({ ...req, query: { e: req.query.e } }), false);
+  process.env.DOWNLOAD_SIGNING_SECRET = 'rotated';
+  assert.equal(verifyUrl(req), false);
+});
+
+test('rejects an expired link even when the signature matches', () => {
+  process.env.DOWNLOAD_SIGNING_SECRET = 'test-secret';
+  const expired = Date.now() - 1000;
+  const req = { path: '/export/abc/download', query: { e: String(expired), s: hmacSign(`/export/abc/download|${expired}`) } };
+  assert.equal(verifyUrl(req), false);
+});
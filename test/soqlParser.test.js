@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSoql, printSoql, resultColumns, fieldReferences, parseSoslReturning, isAggregateFunction, SoqlParseError
+} from '../src/utils/soqlParser.js';
+
+const roundTrip = (soql) => printSoql(parseSoql(soql));
+
+test('prints a parsed query back unchanged', () => {
+  for (const soql of [
+    "SELECT Id, Name, owsc__Item__r.Name, COUNT(Id) cnt, (SELECT Id FROM Contacts) FROM Account a WHERE (Name LIKE 'A%' OR Industry = 'Retail') AND Id IN (SELECT AccountId FROM Opportunity) ORDER BY Name DESC NULLS LAST LIMIT 10",
+    'SELECT Id FROM Account WHERE CreatedDate = LAST_N_DAYS:30 AND Amount > 5 GROUP BY Id HAVING COUNT(Id) > 1'
+  ]) {
+    assert.equal(roundTrip(soql), soql);
+  }
+});
+
+test('reads the select list, FROM alias, WHERE tree and LIMIT', () => {
+  const ast = parseSoql("SELECT Id, SUM(Amount) total FROM Opportunity o WHERE NOT (StageName = 'Closed Lost') LIMIT 5");
+  assert.equal(ast.object, 'Opportunity');
+  assert.equal(ast.alias, 'o');
+  assert.equal(ast.limit, '5');
+  assert.deepEqual(ast.select[1], { type: 'function', name: 'SUM', args: [{ type: 'field', path: 'Amount' }], alias: 'total' });
+  assert.equal(ast.where.type, 'not');
+  assert.equal(ast.where.condition.operator, '=');
+});
+
+test('throws SoqlParseError with a position on syntax it does not understand', () => {
+  assert.throws(() => parseSoql('SELECT Id FROM Account WHERE (('), (e) => e instanceof SoqlParseError && /position \d+/.test(e.message));
+  assert.throws(() => parseSoql('DELETE FROM Account'), SoqlParseError);
+});
+
+test('resultColumns lists record keys and fieldReferences every field read on the FROM object', () => {
+  const ast = parseSoql("SELECT Id, owsc__Item__r.Name, COUNT(Id), MAX(Amount) top, (SELECT Id FROM Contacts) FROM Account WHERE Industry = 'Retail' ORDER BY Rating");
+  assert.deepEqual(resultColumns(ast), ['Id', 'owsc__Item__r.Name', 'expr0', 'top', 'Contacts']);
+  assert.deepEqual(fieldReferences(ast), ['Id', 'owsc__Item__r.Name', 'Amount', 'Industry', 'Rating']);
+});
+
+test('parseSoslReturning reads each RETURNING object as a query', () => {
+  const entries = parseSoslReturning("FIND {acme} IN ALL FIELDS RETURNING Account(Id, Name WHERE Type = 'x' LIMIT 5), Contact LIMIT 20");
+  assert.deepEqual(entries.map(printSoql), ["SELECT Id, Name FROM Account WHERE Type = 'x' LIMIT 5", 'SELECT Id FROM Contact']);
+  assert.deepEqual(parseSoslReturning('FIND {acme}'), []);
+  assert.throws(() => parseSoslReturning('FIND {acme} RETURNING Account(Id,'), /Unclosed field list/);
+});
+
+test('isAggregateFunction ignores case and rejects other functions', () => {
+  assert.equal(isAggregateFunction('sum'), true);
+  assert.equal(isAggregateFunction('COUNT_DISTINCT'), true);
+  assert.equal(isAggregateFunction('FORMAT'), false);
+});
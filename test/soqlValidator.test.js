@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSoql, validateSosl } from '../src/services/soqlValidator.js';
+import { buildEnhancedDescribeIndex } from '../src/services/enhancedDescribe.js';
+
+// Enhanced describe index for two related objects; nothing is described on demand
+const describeIndex = {
+  objects: [
+    {
+      apiName: 'owsc__Item_Lot__c',
+      label: 'Item Lot',
+      fields: [
+        { name: 'Id' },
+        { name: 'Name', label: 'Lot Name' },
+        { name: 'owsc__Cases_On_Hand__c', label: 'Cases On Hand' },
+        { name: 'owsc__Status_Formula__c', label: 'Status Formula', groupable: false, aggregatable: false },
+        { name: 'owsc__Item__c', label: 'Item', relationshipName: 'owsc__Item__r', referenceTo: ['owsc__Item__c'] }
+      ],
+      childRelationships: []
+    },
+    {
+      apiName: 'owsc__Item__c',
+      label: 'Item',
+      fields: [{ name: 'Id' }, { name: 'Name' }, { name: 'owsc__Vintage__c', label: 'Vintage' }],
+      childRelationships: [{ relationshipName: 'owsc__Item_Lots__r', childObject: 'owsc__Item_Lot__c' }]
+    }
+  ]
+};
+const validate = (soql, options) => validateSoql({}, soql, { describeIndex, ...options });
+
+test('accepts a valid query and lists every object and field it reads', async () => {
+  const check = await validate("SELECT Id, owsc__Item__r.Name FROM owsc__Item_Lot__c WHERE Name != null");
+  assert.equal(check.parsed, true);
+  assert.equal(check.valid, true);
+  assert.deepEqual(check.repairs, []);
+  assert.deepEqual(check.columns, ['Id', 'owsc__Item__r.Name']);
+  assert.deepEqual(check.objects, { owsc__Item_Lot__c: ['Id', 'owsc__Item__c', 'Name'], owsc__Item__c: ['Name'] });
+});
+
+test('repairs a lookup field used as a relationship, a missing namespace and wrong case', async () => {
+  const check = await validate('SELECT Id, owsc__Item__c.Name, Item__r.Vintage__c, owsc__cases_on_hand__c FROM Item_Lot__c');
+  assert.equal(check.valid, true);
+  assert.equal(check.soql, 'SELECT Id, owsc__Item__r.Name, owsc__Item__r.owsc__Vintage__c, owsc__Cases_On_Hand__c FROM owsc__Item_Lot__c');
+  assert.deepEqual(check.repairs.map(r => r.to), ['owsc__Item_Lot__c', 'owsc__Item__r.Name', 'owsc__Item__r.owsc__Vintage__c']);
+});
+
+test('repairs a child object named in place of its relationship', async () => {
+  const check = await validate('SELECT Id, (SELECT Id FROM owsc__Item_Lot__c) FROM owsc__Item__c');
+  assert.equal(check.soql, 'SELECT Id, (SELECT Id FROM owsc__Item_Lots__r) FROM owsc__Item__c');
+  assert.deepEqual(Object.keys(check.objects), ['owsc__Item__c', 'owsc__Item_Lot__c']);
+});
+
+test('drops unknown select fields but rejects unknown WHERE fields', async () => {
+  const check = await validate('SELECT Id, Bogus__c FROM owsc__Item_Lot__c WHERE Nope__c = 1');
+  assert.equal(check.valid, false);
+  assert.equal(check.soql, 'SELECT Id FROM owsc__Item_Lot__c WHERE Nope__c = 1');
+  assert.deepEqual(check.errors.map(e => [e.clause, e.reference]), [['where', 'Nope__c']]);
+});
+
+test('does not repair when repair is false', async () => {
+  const check = await validate('SELECT Id FROM Item_Lot__c', { repair: false });
+  assert.equal(check.valid, false);
+  assert.deepEqual(check.errors[0].suggestions, ['owsc__Item_Lot__c']);
+});
+
+test('rejects GROUP BY and SUM over fields describe marks not groupable or aggregatable', async () => {
+  const grouped = await validate('SELECT owsc__Status_Formula__c, COUNT(Id) FROM owsc__Item_Lot__c GROUP BY owsc__Status_Formula__c');
+  assert.deepEqual(grouped.errors.map(e => e.message), ['owsc__Status_Formula__c cannot be grouped']);
+  const summed = await validate('SELECT SUM(owsc__Status_Formula__c) FROM owsc__Item_Lot__c', { repair: false });
+  assert.deepEqual(summed.errors.map(e => e.message), ['owsc__Status_Formula__c cannot be aggregated']);
+});
+
+test('keeps groupable and aggregatable from describe in the enhanced describe index', async () => {
+  const field = (name, extra) => ({ name, label: name, type: 'double', groupable: true, aggregatable: true, ...extra });
+  const describe = {
+    name: 'owsc__Item_Lot__c',
+    label: 'Item Lot',
+    fields: [field('Id', { type: 'id' }), field('owsc__Cases_On_Hand__c'), field('owsc__Status_Formula__c', { type: 'string', groupable: false, aggregatable: false })],
+    childRelationships: []
+  };
+  const sf = {
+    orgLimits: async () => ({ DailyApiRequests: { Max: 15000, Remaining: 15000 } }),
+    listSObjects: async () => [{ name: 'owsc__Item_Lot__c', label: 'Item Lot', queryable: true, custom: true }],
+    describeMany: async () => ({ describes: { owsc__Item_Lot__c: describe }, errors: {} })
+  };
+  const index = await buildEnhancedDescribeIndex(sf);
+
+  const summed = await validateSoql(sf, 'SELECT SUM(owsc__Status_Formula__c) FROM owsc__Item_Lot__c', { describeIndex: index, repair: false });
+  assert.deepEqual(summed.errors.map(e => e.message), ['owsc__Status_Formula__c cannot be aggregated']);
+  const grouped = await validateSoql(sf, 'SELECT owsc__Status_Formula__c, SUM(owsc__Cases_On_Hand__c) FROM owsc__Item_Lot__c GROUP BY owsc__Status_Formula__c', { describeIndex: index });
+  assert.deepEqual(grouped.errors.map(e => e.message), ['owsc__Status_Formula__c cannot be grouped']);
+  assert.equal((await validateSoql(sf, 'SELECT SUM(owsc__Cases_On_Hand__c) FROM owsc__Item_Lot__c', { describeIndex: index })).valid, true);
+});
+
+test('reports a query the parser cannot read as unparsed, with no objects', async () => {
+  const check = await validate('SELECT Id FROM owsc__Item_Lot__c WHERE ((');
+  assert.equal(check.parsed, false);
+  assert.equal(check.valid, false);
+  assert.match(check.error, /position \d+/);
+  assert.deepEqual(check.objects, {});
+});
+
+test('validateSosl collects RETURNING objects and result columns', async () => {
+  const check = await validateSosl({}, "FIND {x} RETURNING owsc__Item_Lot__c(Id, owsc__Item__r.Name WHERE Name = 'a'), owsc__Item__c", { describeIndex });
+  assert.equal(check.valid, true);
+  assert.deepEqual(check.objects, { owsc__Item_Lot__c: ['Id', 'owsc__Item__c', 'Name'], owsc__Item__c: ['Name', 'Id'] });
+  assert.deepEqual(check.columns, { owsc__Item_Lot__c: ['Id', 'owsc__Item__r.Name'], owsc__Item__c: ['Id'] });
+
+  const broken = await validateSosl({}, 'FIND {x} RETURNING owsc__Item_Lot__c(Id,', { describeIndex });
+  assert.equal(broken.parsed, false);
+  assert.deepEqual(broken.objects, {});
+});
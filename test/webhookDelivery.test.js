@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+// Delivery to a local receiver needs private destinations allowed (as in local development).
+// Module settings are read at import time.
+process.env.LOG_LEVEL ??= 'silent';
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+process.env.WEBHOOK_RETRIES = '1';
+process.env.DOWNLOAD_SIGNING_SECRET = 'webhook-test-secret';
+process.env.PUBLIC_BASE_URL = 'https://orion.example.com';
+
+const { deliverWebhook, buildJobPayload } = await import('../src/services/webhooks.js');
+const { verifyUrl } = await import('../src/utils/signedUrl.js');
+
+let server;
+let callbackUrl;
+let received;
+let statuses;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  callbackUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function reset(...codes) {
+  received = [];
+  statuses = codes;
+}
+
+test('signs the timestamp and raw body with the download signing secret', async () => {
+  reset();
+  const payload = { event: 'export.complete', id: 'job-1', status: 'complete' };
+  const result = await deliverWebhook(callbackUrl, payload);
+
+  assert.deepEqual(result, { delivered: true, attempts: 1, status: 204 });
+  const [{ headers, body }] = received;
+  assert.equal(body, JSON.stringify(payload));
+  assert.equal(headers['x-orion-event'], 'export.complete');
+  const expected = crypto.createHmac('sha256', 'webhook-test-secret').update(`${headers['x-orion-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-orion-signature'], `sha256=${expected}`);
+});
+
+test('retries a 5xx response and gives up on a 4xx one', async () => {
+  reset(503);
+  assert.deepEqual(await deliverWebhook(callbackUrl, { event: 'export.complete', id: 'job-2' }), { delivered: true, attempts: 2, status: 204 });
+  assert.equal(received.length, 2);
+
+  reset(410);
+  const gone = await deliverWebhook(callbackUrl, { event: 'export.complete', id: 'job-3' });
+  assert.equal(gone.delivered, false);
+  assert.equal(gone.status, 410);
+  assert.equal(received.length, 1);
+});
+
+test('buildJobPayload links a signed download for complete jobs only', () => {
+  const payload = buildJobPayload('job-4', { status: 'complete', format: 'csv', rowsWritten: 12 });
+  assert.equal(payload.event, 'export.complete');
+  assert.equal(payload.statusUrl, 'https://orion.example.com/export/job-4/status');
+  const url = new URL(payload.downloadUrl);
+  assert.equal(url.origin, 'https://orion.example.com');
+  assert.equal(verifyUrl({ path: url.pathname, query: Object.fromEntries(url.searchParams) }), true);
+
+  assert.equal(buildJobPayload('job-5', { kind: 'generate', status: 'failed', error: 'boom' }).downloadUrl, undefined);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Default settings: private destinations are refused. Module settings are read at import time.
+process.env.LOG_LEVEL ??= 'silent';
+delete process.env.WEBHOOK_ALLOW_PRIVATE;
+delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+const { validateCallbackUrl, deliverWebhook } = await import('../src/services/webhooks.js');
+
+test('rejects callback URLs that are not http or https', async () => {
+  for (const value of ['not a url', 'ftp://example.com/hook', 'file:///etc/passwd', undefined]) {
+    assert.deepEqual(await validateCallbackUrl(value), { ok: false, error: 'invalid_callback_url' });
+  }
+});
+
+test('rejects loopback, private, link-local and mapped addresses', async () => {
+  for (const value of [
+    'http://127.0.0.1:3018/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://localhost:3018/hook'
+  ]) {
+    assert.deepEqual(await validateCallbackUrl(value), { ok: false, error: 'callback_host_not_allowed' }, value);
+  }
+});
+
+test('accepts a public address', async () => {
+  assert.deepEqual(await validateCallbackUrl('https://93.184.216.34/hooks/orion'), { ok: true, url: 'https://93.184.216.34/hooks/orion' });
+});
+
+test('does not deliver to a host that resolves to loopback, and does not retry', async () => {
+  let received = 0;
+  const server = http.createServer((req, res) => { received++; res.end(); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const result = await deliverWebhook(`http://localhost:${server.address().port}/hook`, { event: 'export.complete', id: 'x' });
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 1);
+    assert.match(result.error, /private address/);
+    assert.equal(received, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});